@@ -98,7 +98,7 @@ module.exports = {
   projects: [
     {
       displayName: "unit",
-      testMatch: ["**/tests/lexer.test.js", "**/tests/parser.test.js", "**/tests/comprehensive-sql.test.js", "**/tests/complex-queries.test.js"],
+      testMatch: ["**/tests/lexer.test.js", "**/tests/parser.test.js", "**/tests/comprehensive-sql.test.js", "**/tests/complex-queries.test.js", "**/tests/generator.test.js", "**/tests/formatter.test.js", "**/tests/dialect.test.js", "**/tests/script.test.js", "**/tests/ddl.test.js"],
       testTimeout: 10000,
     },
     {
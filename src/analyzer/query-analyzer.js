@@ -4,12 +4,13 @@
  * @returns {Object|null} 限制信息
  */
 function extractLimit(limit) {
-  if (!limit || !limit.count) {
+  if (!limit || (!limit.count && !limit.offset)) {
     return null;
   }
 
+  // Every syntax (LIMIT, LIMIT offset, count, OFFSET ... FETCH, TOP) shares this shape
   return {
-    count: extractValue(limit.count),
+    count: limit.count ? extractValue(limit.count) : null,
     offset: limit.offset ? extractValue(limit.offset) : null,
   };
 }
@@ -47,9 +48,106 @@ export function analyzeSelectQuery(ast) {
     groupBy: extractGroupBy(ast.groupBy),
     // 限制信息
     limit: extractLimit(ast.limit),
+    // 行锁信息，非空时为加锁读
+    locking: extractLocking(ast.locking),
   };
 }
 
+/**
+ * 提取行锁子句（FOR UPDATE、FOR SHARE、LOCK IN SHARE MODE 等）
+ * @param {Array|null} locking - LockingClause列表
+ * @returns {Array} 行锁列表
+ */
+function extractLocking(locking) {
+  if (!locking) {
+    return [];
+  }
+
+  return locking.map(({ strength, tables, wait }) => ({ strength, tables, wait }));
+}
+
+/**
+ * 提取INSERT、UPDATE、DELETE语句RETURNING/OUTPUT子句的输出字段
+ * @param {Object} ast - 解析后的AST
+ * @returns {Array} 字段配置列表，没有RETURNING/OUTPUT时为空
+ */
+export function extractReturningFields(ast) {
+  return extractFields(ast.returning ? ast.returning.columns : null);
+}
+
+/**
+ * 提取非SELECT语句中引用的表，与SELECT分析结果的表信息形状相同
+ * @param {Object} ast - 解析后的AST
+ * @returns {Array} 表信息列表，按出现顺序，每次引用一条记录
+ */
+export function extractStatementTables(ast) {
+  const tables = [];
+
+  function visit(node) {
+    if (!node || typeof node !== "object") {
+      return;
+    }
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (node.type === "TableReference" && node.name) {
+      tables.push({
+        name: node.name,
+        alias: node.alias,
+        schema: node.schema,
+        catalog: node.catalog,
+      });
+    }
+    Object.values(node).forEach(visit);
+  }
+
+  visit(ast);
+  return tables;
+}
+
+/**
+ * 提取GRANT、REVOKE语句授予或撤销的权限
+ * @param {Object} ast - 解析后的AST
+ * @returns {Array} 每个被授权者与每个权限（或角色）、对象的组合一条记录，其他语句为空
+ */
+export function extractPrivileges(ast) {
+  if (ast.type !== "GrantStatement" && ast.type !== "RevokeStatement") {
+    return [];
+  }
+
+  const grants =
+    ast.roles.length > 0
+      ? ast.roles.map((role) => ({
+          privilege: null,
+          role,
+          columns: [],
+          objectType: null,
+          object: null,
+        }))
+      : ast.privileges.flatMap((privilege) =>
+          ast.objects.map((object) => ({
+            privilege: privilege.name,
+            role: null,
+            columns: privilege.columns,
+            // Objects without a type are tables
+            objectType: ast.objectType || "TABLE",
+            object: [object.catalog, object.schema, object.table, object.name]
+              .filter(Boolean)
+              .join("."),
+          }))
+        );
+
+  return ast.grantees.flatMap((grantee) =>
+    grants.map((grant) => ({
+      action: ast.type === "GrantStatement" ? "GRANT" : "REVOKE",
+      grantee,
+      ...grant,
+      grantOption: ast.grantOption,
+    }))
+  );
+}
+
 /**
  * 提取WHERE条件
  * @param {Object} whereClause - WHERE子句AST
@@ -62,13 +160,18 @@ function extractConditions(whereClause) {
 
   const conditions = [];
 
-  function traverseCondition(node) {
+  // negated: whether the condition is inside an odd number of NOT operators
+  function traverseCondition(node, negated = false) {
     if (!node) {
       return;
     }
 
     switch (node.type) {
-      case "BinaryExpression":
+      case "BinaryExpression": {
+        const operator = node.operator.toUpperCase();
+        // Predicate without its NOT, e.g. "IN" for "NOT IN" and "IS" for "IS NOT"
+        const predicate = operator.replace(/^NOT /, "").replace(/^IS NOT\b/, "IS");
+
         if (
           [
             "=",
@@ -80,24 +183,33 @@ function extractConditions(whereClause) {
             "<=",
             "LIKE",
             "ILIKE",
+            "SIMILAR TO",
             "IN",
             "BETWEEN",
-          ].includes(node.operator)
+            "IS",
+            "IS DISTINCT FROM",
+          ].includes(predicate)
         ) {
-          conditions.push({
+          const condition = {
             field: extractFieldName(node.left),
             operator: node.operator,
             value: extractValue(node.right),
-            type: getConditionType(node.operator, node.right),
-          });
-        } else if (["AND", "OR"].includes(node.operator)) {
-          traverseCondition(node.left);
-          traverseCondition(node.right);
+            type: getConditionType(predicate, node.right),
+            negated: negated !== (predicate !== operator),
+          };
+          if (node.escape) {
+            condition.escape = extractValue(node.escape);
+          }
+          conditions.push(condition);
+        } else if (["AND", "OR"].includes(operator)) {
+          traverseCondition(node.left, negated);
+          traverseCondition(node.right, negated);
         }
         break;
+      }
       case "UnaryExpression":
-        if (node.operator === "NOT") {
-          traverseCondition(node.operand);
+        if (node.operator.toUpperCase() === "NOT") {
+          traverseCondition(node.operand, !negated);
         }
         break;
     }
@@ -144,11 +256,21 @@ function extractFields(selectList) {
       fieldInfo.table = field.object.name;
       fieldInfo.name = field.property.name;
       fieldInfo.type = "column";
+    } else if (field.type === "Wildcard") {
+      fieldInfo.name = "*";
+      fieldInfo.table = field.table;
+      fieldInfo.type = "wildcard";
     } else if (field.type === "FunctionCall") {
       fieldInfo.name = field.name;
       fieldInfo.type = "function";
       fieldInfo.aggregation = isAggregateFunction(field.name);
       fieldInfo.expression = formatFunctionCall(field);
+    } else if (field.type === "Cast") {
+      const column = field.expression.type === "ColumnReference" ? field.expression : null;
+      fieldInfo.name = column ? column.name : field.alias || "cast_expression";
+      fieldInfo.table = column ? column.table : null;
+      fieldInfo.type = "cast";
+      fieldInfo.expression = extractValue(field);
     } else if (field.type === "CaseExpression") {
       fieldInfo.name = field.alias || "case_expression";
       fieldInfo.type = "case";
@@ -181,6 +303,7 @@ function extractTableInfo(fromClause) {
         name: node.name,
         alias: node.alias,
         schema: node.schema,
+        catalog: node.catalog,
       });
     } else if (node.type === "JoinExpression") {
       extractTable(node.left);
@@ -221,6 +344,8 @@ function extractJoinInfo(joins) {
     table: join.table.name,
     alias: join.table.alias,
     condition: join.condition ? extractJoinCondition(join.condition) : null,
+    using: join.using || null,
+    natural: Boolean(join.natural),
   }));
 }
 
@@ -286,6 +411,8 @@ function extractFieldName(node) {
       return `${node.object.name}.${node.property.name}`;
     case "FunctionCall":
       return formatFunctionCall(node);
+    case "Cast":
+      return extractFieldName(node.expression);
     default:
       return node.name || "unknown";
   }
@@ -309,12 +436,15 @@ function extractValue(node) {
   switch (node.type) {
     case "Literal":
       return node.value;
+
+    case "Parameter":
+      return `${node.prefix}${node.name ?? node.number ?? ""}`;
       
     case "Identifier":
       return node.name;
       
     case "ColumnReference":
-      return node.table ? `${node.table}.${node.name}` : node.name;
+      return [node.catalog, node.schema, node.table, node.name].filter(Boolean).join(".");
       
     case "TableReference":
       return node.name;
@@ -323,7 +453,14 @@ function extractValue(node) {
       return `${extractValue(node.object)}.${extractValue(node.property)}`;
       
     case "ArrayExpression":
+    case "ArrayLiteral":
       return node.elements.map((el) => extractValue(el));
+
+    case "Subscript": {
+      const lower = node.lower ? extractValue(node.lower) : "";
+      const upper = node.upper ? extractValue(node.upper) : "";
+      return `${extractValue(node.expression)}[${node.slice ? `${lower}:${upper}` : lower}]`;
+    }
       
     case "BinaryExpression":
       return `${extractValue(node.left)} ${node.operator} ${extractValue(node.right)}`;
@@ -336,6 +473,17 @@ function extractValue(node) {
       return `${node.name}(${args})`;
     }
       
+    case "Cast":
+      return `CAST(${extractValue(node.expression)} AS ${extractValue(node.dataType)})`;
+
+    case "DataType": {
+      const parameters = node.parameters.length
+        ? `(${node.parameters.map((parameter) => extractValue(parameter)).join(", ")})`
+        : "";
+      const arrays = node.arrayDimensions.map((size) => `[${size ? extractValue(size) : ""}]`);
+      return [`${node.name}${parameters}`, ...node.modifiers].join(" ") + arrays.join("");
+    }
+
     case "CaseExpression": {
       let caseStr = "CASE";
       if (node.expression) {
@@ -376,7 +524,10 @@ function extractValue(node) {
       return node.tables ? node.tables.map(table => extractValue(table)).join(', ') : '';
       
     case "JoinClause":
-      return `${node.joinType} ${extractValue(node.table)}${node.condition ? ` ON ${extractValue(node.condition)}` : ''}`;
+      if (node.using) {
+        return `${node.joinType} ${extractValue(node.table)} USING (${node.using.join(', ')})`;
+      }
+      return `${node.natural ? 'NATURAL ' : ''}${node.joinType} ${extractValue(node.table)}${node.condition ? ` ON ${extractValue(node.condition)}` : ''}`;
       
     case "OrderByColumn":
       return `${extractValue(node.column)} ${node.direction}`;
@@ -421,11 +572,11 @@ function extractValue(node) {
 
 /**
  * 获取条件类型
- * @param {string} operator - 操作符
- * @param {Object} _value - 值节点
+ * @param {string} operator - 不含 NOT 的大写操作符
+ * @param {Object} value - 值节点
  * @returns {string} 条件类型
  */
-function getConditionType(operator, _value) {
+function getConditionType(operator, value) {
   switch (operator) {
     case "=":
     case "!=":
@@ -438,11 +589,16 @@ function getConditionType(operator, _value) {
       return "comparison";
     case "LIKE":
     case "ILIKE":
+    case "SIMILAR TO":
       return "pattern";
     case "IN":
       return "list";
     case "BETWEEN":
       return "range";
+    case "IS":
+      return value.dataType === "NULL" ? "null" : "truth";
+    case "IS DISTINCT FROM":
+      return "distinct";
     default:
       return "other";
   }
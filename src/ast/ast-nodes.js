@@ -50,9 +50,10 @@ export class SelectStatement extends ASTNode {
             where: null,
             groupBy: null,
             having: null,
+            window: null,       // WINDOW clause definitions
             orderBy: null,
             limit: null,
-            offset: null,
+            locking: null,      // Array of LockingClause (FOR UPDATE ...)
             distinct: false,
             ...properties
         });
@@ -64,7 +65,12 @@ export class InsertStatement extends ASTNode {
         super('InsertStatement', {
             table: null,
             columns: [],
-            values: [],
+            values: [],           // Array of ValuesList
+            query: null,          // Query source of INSERT ... SELECT
+            defaultValues: false, // true for DEFAULT VALUES
+            onConflict: null,     // OnConflictClause (PostgreSQL, SQLite)
+            onDuplicateKeyUpdate: null, // Array of Assignment (MySQL)
+            returning: null,      // ReturningClause
             ...properties
         });
     }
@@ -74,8 +80,13 @@ export class UpdateStatement extends ASTNode {
     constructor(properties = {}) {
         super('UpdateStatement', {
             table: null,
+            joins: [],          // Array of JoinClause (UPDATE a JOIN b ... SET)
             set: [],
+            from: null,         // FromClause (UPDATE ... SET ... FROM)
             where: null,
+            orderBy: null,
+            limit: null,
+            returning: null,    // ReturningClause
             ...properties
         });
     }
@@ -84,26 +95,319 @@ export class UpdateStatement extends ASTNode {
 export class DeleteStatement extends ASTNode {
     constructor(properties = {}) {
         super('DeleteStatement', {
+            targets: [],        // Tables to delete from (DELETE a, b FROM ...)
             from: null,
+            joins: [],          // Array of JoinClause (DELETE a FROM a JOIN b ...)
+            using: null,        // FromClause (DELETE FROM a USING b ...)
             where: null,
+            orderBy: null,
+            limit: null,
+            returning: null,    // ReturningClause
+            ...properties
+        });
+    }
+}
+
+/**
+ * MERGE Statement node
+ */
+export class MergeStatement extends ASTNode {
+    constructor(properties = {}) {
+        super('MergeStatement', {
+            target: null,       // TableReference
+            source: null,       // TableReference or SubQuery
+            on: null,           // Join condition
+            whenClauses: [],    // Array of MergeWhenClause, in source order
+            ...properties
+        });
+    }
+}
+
+/**
+ * WHEN [NOT] MATCHED branch of a MERGE statement
+ */
+export class MergeWhenClause extends ASTNode {
+    constructor(properties = {}) {
+        super('MergeWhenClause', {
+            matched: true,
+            by: null,           // 'TARGET' or 'SOURCE' for NOT MATCHED BY ... (T-SQL)
+            condition: null,    // AND condition
+            action: 'UPDATE',   // 'UPDATE', 'DELETE', 'INSERT' or 'NOTHING'
+            set: [],            // Array of Assignment for UPDATE
+            columns: [],        // INSERT column names
+            values: null,       // ValuesList for INSERT, null for INSERT DEFAULT VALUES
+            ...properties
+        });
+    }
+}
+
+/**
+ * CREATE TABLE Statement node
+ */
+export class CreateTableStatement extends ASTNode {
+    constructor(properties = {}) {
+        super('CreateTableStatement', {
+            table: null,        // TableReference
+            temporary: false,
+            ifNotExists: false,
+            columns: [],        // Array of ColumnDefinition
+            constraints: [],    // Array of table-level ConstraintDefinition
+            query: null,        // Query for CREATE TABLE ... AS SELECT
+            ...properties
+        });
+    }
+}
+
+/**
+ * ALTER TABLE Statement node
+ */
+export class AlterTableStatement extends ASTNode {
+    constructor(properties = {}) {
+        super('AlterTableStatement', {
+            table: null,        // TableReference
+            ifExists: false,
+            actions: [],        // Array of AlterTableAction
+            ...properties
+        });
+    }
+}
+
+/**
+ * CREATE INDEX Statement node
+ */
+export class CreateIndexStatement extends ASTNode {
+    constructor(properties = {}) {
+        super('CreateIndexStatement', {
+            name: null,         // Index name
+            unique: false,
+            ifNotExists: false,
+            table: null,        // Indexed TableReference
+            method: null,       // USING method, e.g. 'btree'
+            columns: [],        // Array of OrderByColumn
+            where: null,        // Partial index condition
+            ...properties
+        });
+    }
+}
+
+/**
+ * CREATE VIEW Statement node
+ */
+export class CreateViewStatement extends ASTNode {
+    constructor(properties = {}) {
+        super('CreateViewStatement', {
+            name: null,         // View TableReference
+            orReplace: false,
+            temporary: false,
+            ifNotExists: false,
+            columns: [],        // Optional column names
+            query: null,        // View query
+            ...properties
+        });
+    }
+}
+
+/**
+ * DROP Statement node
+ */
+export class DropStatement extends ASTNode {
+    constructor(properties = {}) {
+        super('DropStatement', {
+            objectType: null,   // 'TABLE', 'VIEW', 'INDEX', 'DATABASE' or 'SCHEMA'
+            ifExists: false,
+            names: [],          // TableReference for tables and views, Identifier otherwise
+            table: null,        // TableReference of DROP INDEX ... ON table
+            behavior: null,     // 'CASCADE' or 'RESTRICT'
+            ...properties
+        });
+    }
+}
+
+/**
+ * TRUNCATE Statement node
+ */
+export class TruncateStatement extends ASTNode {
+    constructor(properties = {}) {
+        super('TruncateStatement', {
+            tables: [],         // Array of TableReference
+            identity: null,     // 'RESTART IDENTITY' or 'CONTINUE IDENTITY'
+            behavior: null,     // 'CASCADE' or 'RESTRICT'
             ...properties
         });
     }
 }
 
 /**
- * UNION Statement node
+ * Transaction control statement node (BEGIN, COMMIT, ROLLBACK, SAVEPOINT, ...)
  */
-export class UnionStatement extends ASTNode {
+export class TransactionStatement extends ASTNode {
     constructor(properties = {}) {
-        super('UnionStatement', {
-            left: null,      // Left SELECT statement
-            right: null,     // Right SELECT statement
-            unionType: 'UNION', // 'UNION' or 'UNION ALL'
-            all: false,      // true for UNION ALL
+        super('TransactionStatement', {
+            action: 'BEGIN',    // 'BEGIN', 'START TRANSACTION', 'COMMIT', 'ROLLBACK', 'SAVEPOINT',
+                                // 'RELEASE' or 'SET TRANSACTION'
+            keyword: null,      // 'TRANSACTION', 'WORK' or 'TRAN' after BEGIN, COMMIT or ROLLBACK
+            behavior: null,     // SQLite BEGIN 'DEFERRED', 'IMMEDIATE' or 'EXCLUSIVE'
+            modes: [],          // e.g. 'ISOLATION LEVEL SERIALIZABLE', 'READ ONLY'
+            savepoint: null,    // Savepoint name of SAVEPOINT, RELEASE and ROLLBACK TO
+            scope: null,        // 'SESSION' or 'GLOBAL' of MySQL SET TRANSACTION
+            ...properties
+        });
+    }
+}
+
+/**
+ * Session SET statement node
+ */
+export class SetStatement extends ASTNode {
+    constructor(variables = []) {
+        super('SetStatement', {
+            variables           // Array of SetVariable
+        });
+    }
+}
+
+/**
+ * Variable of a SET statement, e.g. search_path TO a, b or @@session.sql_mode = 'x'
+ */
+export class SetVariable extends ASTNode {
+    constructor(properties = {}) {
+        super('SetVariable', {
+            name: null,         // Identifier (table holds a qualifier) or Parameter for @var
+            scope: null,        // 'SESSION', 'LOCAL' or 'GLOBAL'
+            operator: null,     // '=', 'TO' or null for SET NAMES x, SET TIME ZONE x, SET NOCOUNT ON
+            values: [],         // Comma separated values
+            ...properties
+        });
+    }
+}
+
+/**
+ * USE statement node
+ */
+export class UseStatement extends ASTNode {
+    constructor(database) {
+        super('UseStatement', {
+            database            // Database name
+        });
+    }
+}
+
+/**
+ * SHOW statement node
+ */
+export class ShowStatement extends ASTNode {
+    constructor(properties = {}) {
+        super('ShowStatement', {
+            subject: null,      // Upper case words, e.g. 'TABLES', 'CREATE TABLE', 'SEARCH_PATH'
+            target: null,       // TableReference of SHOW ... FROM t or SHOW CREATE TABLE t
+            like: null,         // LIKE pattern
+            where: null,        // WHERE condition
+            ...properties
+        });
+    }
+}
+
+/**
+ * GRANT Statement node
+ */
+export class GrantStatement extends ASTNode {
+    constructor(properties = {}) {
+        super('GrantStatement', {
+            privileges: [],     // Array of Privilege, empty when roles are granted
+            roles: [],          // Granted role names of GRANT role TO user
+            objectType: null,   // 'TABLE', 'SEQUENCE', 'SCHEMA', 'DATABASE', 'ALL TABLES IN SCHEMA', ...
+            objects: [],        // TableReference for tables and sequences, Identifier otherwise
+            grantees: [],       // Role and user names
+            grantOption: false, // true for WITH GRANT OPTION (WITH ADMIN OPTION for roles)
+            ...properties
+        });
+    }
+}
+
+/**
+ * REVOKE Statement node
+ */
+export class RevokeStatement extends ASTNode {
+    constructor(properties = {}) {
+        super('RevokeStatement', {
+            privileges: [],     // Array of Privilege, empty when roles are revoked
+            roles: [],          // Revoked role names of REVOKE role FROM user
+            objectType: null,
+            objects: [],
+            grantees: [],       // Role and user names after FROM
+            grantOption: false, // true for GRANT OPTION FOR (ADMIN OPTION FOR for roles)
+            behavior: null,     // 'CASCADE' or 'RESTRICT'
+            ...properties
+        });
+    }
+}
+
+/**
+ * Privilege of a GRANT or REVOKE statement, e.g. UPDATE (a, b)
+ */
+export class Privilege extends ASTNode {
+    constructor(name, columns = []) {
+        super('Privilege', {
+            name,               // Upper case privilege, e.g. 'SELECT', 'ALL PRIVILEGES'
+            columns             // Column names the privilege is limited to
+        });
+    }
+}
+
+/**
+ * EXPLAIN Statement node wrapping the explained statement
+ */
+export class ExplainStatement extends ASTNode {
+    constructor(properties = {}) {
+        super('ExplainStatement', {
+            statement: null,    // Explained statement AST node
+            options: [],        // Array of ExplainOption in source order
+            parenthesized: false, // true for EXPLAIN (option [value], ...) statement
+            ...properties
+        });
+    }
+}
+
+/**
+ * Option of an EXPLAIN statement, e.g. ANALYZE or FORMAT JSON
+ */
+export class ExplainOption extends ASTNode {
+    constructor(name, value = null) {
+        super('ExplainOption', {
+            name,               // Upper case option, e.g. 'ANALYZE', 'FORMAT', 'QUERY PLAN'
+            value               // Upper case value, e.g. 'JSON', 'OFF', or null
+        });
+    }
+}
+
+/**
+ * Set operation node (UNION, INTERSECT, EXCEPT)
+ */
+export class SetOperation extends ASTNode {
+    constructor(properties = {}) {
+        super('SetOperation', {
+            operator: 'UNION', // 'UNION', 'INTERSECT' or 'EXCEPT'
+            all: false,        // true for ALL
+            distinct: false,   // true for an explicit DISTINCT
+            left: null,        // Left query
+            right: null,       // Right query
+            orderBy: null,
+            limit: null,
+            ...properties
+        });
+    }
+}
+
+/**
+ * Parenthesized query with its own ORDER BY or LIMIT, carrying the ORDER BY
+ * and LIMIT of the whole query, e.g. (SELECT ... ORDER BY a LIMIT 5) ORDER BY b
+ */
+export class ParenthesizedQuery extends ASTNode {
+    constructor(properties = {}) {
+        super('ParenthesizedQuery', {
+            query: null,       // Parenthesized query
             orderBy: null,
             limit: null,
-            offset: null,
             ...properties
         });
     }
@@ -154,9 +458,11 @@ export class WindowFunction extends ASTNode {
 export class OverClause extends ASTNode {
     constructor(properties = {}) {
         super('OverClause', {
+            name: null,         // Inherited WINDOW clause window, as in OVER (w ORDER BY ...)
             partitionBy: null,  // PARTITION BY columns
             orderBy: null,      // ORDER BY columns
             frame: null,        // Window frame (ROWS/RANGE)
+            parenthesized: true, // false for OVER w, a bare reference to a WINDOW clause window
             ...properties
         });
     }
@@ -168,14 +474,27 @@ export class OverClause extends ASTNode {
 export class WindowFrame extends ASTNode {
     constructor(properties = {}) {
         super('WindowFrame', {
-            type: 'ROWS',       // 'ROWS' or 'RANGE'
+            type: 'ROWS',       // 'ROWS', 'RANGE' or 'GROUPS'
             start: null,        // Frame start
             end: null,          // Frame end
+            exclude: null,      // 'CURRENT ROW', 'GROUP', 'TIES' or 'NO OTHERS'
             ...properties
         });
     }
 }
 
+/**
+ * Named window of a WINDOW clause
+ */
+export class WindowDefinition extends ASTNode {
+    constructor(name, specification) {
+        super('WindowDefinition', {
+            name,           // Window name
+            specification   // OverClause
+        });
+    }
+}
+
 /**
  * Expression nodes
  */
@@ -227,6 +546,32 @@ export class WhenClause extends ASTNode {
     }
 }
 
+/**
+ * Array constructor: ARRAY[1, 2] (nested rows may omit ARRAY, e.g. ARRAY[[1, 2], [3, 4]])
+ */
+export class ArrayLiteral extends ASTNode {
+    constructor(elements = []) {
+        super('ArrayLiteral', {
+            elements
+        });
+    }
+}
+
+/**
+ * Array subscript or slice: expr[i], expr[lower:upper]
+ */
+export class Subscript extends ASTNode {
+    constructor(properties = {}) {
+        super('Subscript', {
+            expression: null,
+            lower: null,         // The index, or the lower bound of a slice (null if omitted)
+            upper: null,         // Upper bound of a slice (null if omitted)
+            slice: false,        // True for expr[lower:upper]
+            ...properties
+        });
+    }
+}
+
 /**
  * Identifier and Literal nodes
  */
@@ -240,25 +585,29 @@ export class Identifier extends ASTNode {
 }
 
 export class TableReference extends ASTNode {
-    constructor(name, alias = null, schema = null) {
+    constructor(name, alias = null, schema = null, catalog = null) {
         super('TableReference', {
             name,
             alias,
-            schema
+            schema,
+            catalog             // Qualifier of catalog.schema.table
         });
     }
 }
 
 export class ColumnReference extends ASTNode {
-    constructor(name, table = null, alias = null) {
-        super('ColumnReference', { name, table, alias });
+    constructor(name, table = null, alias = null, schema = null, catalog = null) {
+        super('ColumnReference', { name, table, alias, schema, catalog });
     }
 }
 
 export class Wildcard extends ASTNode {
-    constructor() {
+    constructor(table = null, schema = null, catalog = null) {
         super('Wildcard', {
-            name: '*'
+            name: '*',
+            table,              // Qualifiers of [catalog.][schema.]table.*
+            schema,
+            catalog
         });
     }
 }
@@ -272,6 +621,22 @@ export class Literal extends ASTNode {
     }
 }
 
+/**
+ * Bind parameter placeholder
+ */
+export class Parameter extends ASTNode {
+    constructor(properties = {}) {
+        super('Parameter', {
+            style: 'positional', // 'positional' (?), 'numbered' ($1, :1, ?1) or 'named' (:name, @name, $name)
+            prefix: '?',        // '?', '$', ':' or '@'
+            name: null,         // Name of a named parameter
+            number: null,       // Number of a numbered parameter
+            position: null,     // 1-based order of the placeholder in the statement
+            ...properties
+        });
+    }
+}
+
 /**
  * Clause nodes
  */
@@ -293,11 +658,13 @@ export class WhereClause extends ASTNode {
 }
 
 export class JoinClause extends ASTNode {
-    constructor(type, table, condition) {
+    constructor(type, table, condition, using = null, natural = false) {
         super('JoinClause', {
             joinType: type,
             table,
-            condition
+            condition,
+            using,      // Shared column names of JOIN ... USING (...)
+            natural     // true for NATURAL joins
         });
     }
 }
@@ -335,11 +702,31 @@ export class OrderByColumn extends ASTNode {
     }
 }
 
+/**
+ * Row limit in any of its syntaxes, normalized to a count and an offset
+ */
 export class LimitClause extends ASTNode {
-    constructor(count, offset = null) {
+    constructor(count, offset = null, syntax = 'LIMIT', percent = false, withTies = false) {
         super('LimitClause', {
-            count,
-            offset
+            count,              // null for a bare OFFSET
+            offset,
+            syntax,             // 'LIMIT', 'LIMIT_COMMA' (LIMIT offset, count), 'OFFSET', 'FETCH' or 'TOP'
+            percent,            // TOP / FETCH ... PERCENT
+            withTies            // TOP / FETCH ... WITH TIES
+        });
+    }
+}
+
+/**
+ * Row locking clause of a SELECT statement, e.g. FOR UPDATE OF t SKIP LOCKED
+ */
+export class LockingClause extends ASTNode {
+    constructor(strength, tables = [], wait = null, syntax = 'FOR') {
+        super('LockingClause', {
+            strength,           // 'UPDATE', 'NO KEY UPDATE', 'SHARE' or 'KEY SHARE'
+            tables,             // Table names or aliases of OF t1, t2
+            wait,               // 'NOWAIT', 'SKIP LOCKED' or null
+            syntax              // 'FOR' or 'LOCK IN SHARE MODE' (MySQL)
         });
     }
 }
@@ -348,10 +735,37 @@ export class LimitClause extends ASTNode {
  * Assignment and Value nodes
  */
 export class Assignment extends ASTNode {
-    constructor(column, value) {
+    constructor(column, value, table = null) {
         super('Assignment', {
             column,
-            value
+            value,
+            table               // Qualifier of SET t.col = ...
+        });
+    }
+}
+
+export class OnConflictClause extends ASTNode {
+    constructor(properties = {}) {
+        super('OnConflictClause', {
+            columns: [],        // Conflict target columns
+            targetWhere: null,  // Partial index condition of the conflict target
+            constraint: null,   // ON CONSTRAINT name
+            action: 'NOTHING',  // 'NOTHING' or 'UPDATE'
+            set: [],            // Array of Assignment for DO UPDATE
+            where: null,        // DO UPDATE condition
+            ...properties
+        });
+    }
+}
+
+/**
+ * RETURNING (PostgreSQL, SQLite) or OUTPUT (T-SQL) clause of a DML statement
+ */
+export class ReturningClause extends ASTNode {
+    constructor(columns = [], syntax = 'RETURNING') {
+        super('ReturningClause', {
+            syntax,             // 'RETURNING' or 'OUTPUT'
+            columns             // Select columns, aliases and wildcards
         });
     }
 }
@@ -391,12 +805,100 @@ export class Interval extends ASTNode {
 export class SubQuery extends ASTNode {
     constructor(query, alias = null) {
         super('SubQuery', {
-            query,  // The SELECT statement
+            query,  // The SELECT statement or set operation
             alias   // Optional alias for the subquery
         });
     }
 }
 
+/**
+ * DDL nodes
+ */
+export class ColumnDefinition extends ASTNode {
+    constructor(properties = {}) {
+        super('ColumnDefinition', {
+            name: null,
+            dataType: null,       // DataType node
+            nullable: null,       // true (NULL), false (NOT NULL) or null when not specified
+            defaultValue: null,   // DEFAULT expression
+            autoIncrement: false,
+            constraints: [],      // Inline ConstraintDefinition nodes
+            ...properties
+        });
+    }
+}
+
+export class ConstraintDefinition extends ASTNode {
+    constructor(properties = {}) {
+        super('ConstraintDefinition', {
+            constraintType: null, // 'PRIMARY KEY', 'UNIQUE', 'FOREIGN KEY' or 'CHECK'
+            name: null,           // CONSTRAINT name
+            columns: [],          // Constrained columns (empty for inline constraints)
+            expression: null,     // CHECK expression
+            references: null,     // ReferenceDefinition for FOREIGN KEY
+            ...properties
+        });
+    }
+}
+
+export class ReferenceDefinition extends ASTNode {
+    constructor(properties = {}) {
+        super('ReferenceDefinition', {
+            table: null,          // Referenced TableReference
+            columns: [],          // Referenced columns
+            onDelete: null,       // e.g. 'CASCADE', 'SET NULL'
+            onUpdate: null,
+            ...properties
+        });
+    }
+}
+
+export class AlterTableAction extends ASTNode {
+    constructor(properties = {}) {
+        super('AlterTableAction', {
+            action: null,         // 'ADD COLUMN', 'DROP COLUMN', 'RENAME COLUMN', 'RENAME TABLE', 'ALTER COLUMN',
+                                  // 'MODIFY COLUMN', 'ADD CONSTRAINT' or 'DROP CONSTRAINT'
+            name: null,           // Column or constraint the action applies to
+            newName: null,        // Target name of RENAME actions
+            definition: null,     // ColumnDefinition or ConstraintDefinition being added or modified
+            operation: null,      // ALTER COLUMN change: 'TYPE', 'SET DEFAULT', 'DROP DEFAULT', 'SET NOT NULL' or 'DROP NOT NULL'
+            dataType: null,       // DataType for ALTER COLUMN ... TYPE
+            defaultValue: null,   // Expression for ALTER COLUMN ... SET DEFAULT
+            ifExists: false,
+            ifNotExists: false,
+            behavior: null,       // 'CASCADE' or 'RESTRICT' for DROP actions
+            ...properties
+        });
+    }
+}
+
+export class DataType extends ASTNode {
+    constructor(properties = {}) {
+        super('DataType', {
+            name: null,           // Type name as written, e.g. 'VARCHAR', 'DOUBLE PRECISION'
+            parameters: [],       // Length/precision expressions, e.g. (10, 2)
+            modifiers: [],        // Trailing words, e.g. 'UNSIGNED', 'WITH TIME ZONE'
+            arrayDimensions: [],  // One entry per [] suffix: size expression or null
+            ...properties
+        });
+    }
+}
+
+/**
+ * Type conversion: CAST(x AS type), TRY_CAST(x AS type), CONVERT(type, x) or x::type
+ */
+export class Cast extends ASTNode {
+    constructor(properties = {}) {
+        super('Cast', {
+            expression: null,
+            dataType: null,       // DataType node
+            syntax: 'CAST',       // 'CAST', 'TRY_CAST', 'CONVERT' or '::'
+            style: null,          // CONVERT style argument
+            ...properties
+        });
+    }
+}
+
 /**
  * Utility functions for creating AST nodes
  */
@@ -406,7 +908,26 @@ export const AST = {
     insert: (props) => new InsertStatement(props),
     update: (props) => new UpdateStatement(props),
     delete: (props) => new DeleteStatement(props),
-    union: (props) => new UnionStatement(props),
+    merge: (props) => new MergeStatement(props),
+    mergeWhen: (props) => new MergeWhenClause(props),
+    setOperation: (props) => new SetOperation(props),
+    parenthesizedQuery: (props) => new ParenthesizedQuery(props),
+    createTable: (props) => new CreateTableStatement(props),
+    alterTable: (props) => new AlterTableStatement(props),
+    createIndex: (props) => new CreateIndexStatement(props),
+    createView: (props) => new CreateViewStatement(props),
+    drop: (props) => new DropStatement(props),
+    truncate: (props) => new TruncateStatement(props),
+    transaction: (props) => new TransactionStatement(props),
+    set: (variables) => new SetStatement(variables),
+    setVariable: (props) => new SetVariable(props),
+    use: (database) => new UseStatement(database),
+    show: (props) => new ShowStatement(props),
+    grant: (props) => new GrantStatement(props),
+    revoke: (props) => new RevokeStatement(props),
+    privilege: (name, columns) => new Privilege(name, columns),
+    explain: (props) => new ExplainStatement(props),
+    explainOption: (name, value) => new ExplainOption(name, value),
 
     // CTE and Window Functions
     with: (props) => new WithClause(props),
@@ -414,6 +935,7 @@ export const AST = {
     windowFunction: (props) => new WindowFunction(props),
     over: (props) => new OverClause(props),
     windowFrame: (props) => new WindowFrame(props),
+    windowDefinition: (name, specification) => new WindowDefinition(name, specification),
 
     // Expressions
     binary: (left, op, right) => new BinaryExpression(left, op, right),
@@ -421,28 +943,44 @@ export const AST = {
     function: (name, args) => new FunctionCall(name, args),
     case: (props) => new CaseExpression(props),
     when: (condition, result) => new WhenClause(condition, result),
+    array: (elements) => new ArrayLiteral(elements),
+    subscript: (props) => new Subscript(props),
 
     // Identifiers and References
     identifier: (name, table) => new Identifier(name, table),
-    table: (name, alias, schema) => new TableReference(name, alias, schema),
-    column: (name, table, alias) => new ColumnReference(name, table, alias),
-    wildcard: () => new Wildcard(),
+    table: (name, alias, schema, catalog) => new TableReference(name, alias, schema, catalog),
+    column: (name, table, alias, schema, catalog) =>
+        new ColumnReference(name, table, alias, schema, catalog),
+    wildcard: (table, schema, catalog) => new Wildcard(table, schema, catalog),
     literal: (value, type) => new Literal(value, type),
+    parameter: (props) => new Parameter(props),
 
     // Clauses
     from: (tables, joins = []) => new FromClause(tables, joins),
     where: (condition) => new WhereClause(condition),
-    join: (type, table, condition) => new JoinClause(type, table, condition),
+    join: (type, table, condition, using, natural) => new JoinClause(type, table, condition, using, natural),
     groupBy: (columns) => new GroupByClause(columns),
     having: (condition) => new HavingClause(condition),
     orderBy: (columns) => new OrderByClause(columns),
     orderByColumn: (column, direction) => new OrderByColumn(column, direction),
-    limit: (count, offset) => new LimitClause(count, offset),
+    limit: (count, offset, syntax, percent, withTies) =>
+        new LimitClause(count, offset, syntax, percent, withTies),
+    locking: (strength, tables, wait, syntax) => new LockingClause(strength, tables, wait, syntax),
 
     // Other
-    assignment: (column, value) => new Assignment(column, value),
+    assignment: (column, value, table) => new Assignment(column, value, table),
     valuesList: (values) => new ValuesList(values),
+    onConflict: (props) => new OnConflictClause(props),
+    returning: (columns, syntax) => new ReturningClause(columns, syntax),
     betweenRange: (start, end) => new BetweenRange(start, end),
     interval: (value, unit) => new Interval(value, unit),
-    subquery: (query, alias) => new SubQuery(query, alias)
+    subquery: (query, alias) => new SubQuery(query, alias),
+
+    // DDL
+    columnDefinition: (props) => new ColumnDefinition(props),
+    constraint: (props) => new ConstraintDefinition(props),
+    reference: (props) => new ReferenceDefinition(props),
+    alterAction: (props) => new AlterTableAction(props),
+    dataType: (props) => new DataType(props),
+    cast: (props) => new Cast(props)
 };
\ No newline at end of file
@@ -0,0 +1,432 @@
+/**
+ * SQL Dialects
+ *
+ * Describes the lexical and syntactic differences between SQL dialects
+ * (keywords, quoting, escaping, comments, operators and optional syntax) so that
+ * the lexer, parser and generator can consult the active dialect instead of fixed rules
+ */
+
+import { TokenType, KEYWORDS } from "../lexer/token-types.js";
+import { SQLError } from "../errors/sql-error.js";
+
+/**
+ * Operators shared by all built-in dialects
+ */
+const STANDARD_OPERATORS = {
+  "=": TokenType.EQUALS,
+  "!=": TokenType.NOT_EQUALS,
+  "<>": TokenType.NOT_EQUALS,
+  "<": TokenType.LESS_THAN,
+  "<=": TokenType.LESS_THAN_EQUALS,
+  ">": TokenType.GREATER_THAN,
+  ">=": TokenType.GREATER_THAN_EQUALS,
+  "+": TokenType.PLUS,
+  "-": TokenType.MINUS,
+  "*": TokenType.MULTIPLY,
+  "/": TokenType.DIVIDE,
+  "%": TokenType.MODULO,
+  "||": TokenType.CONCAT,
+};
+
+// PostgreSQL adds the :: cast operator and the JSON and array operators
+const POSTGRESQL_OPERATORS = {
+  ...STANDARD_OPERATORS,
+  "::": TokenType.DOUBLE_COLON,
+  "->": TokenType.ARROW,
+  "->>": TokenType.LONG_ARROW,
+  "#>": TokenType.HASH_ARROW,
+  "#>>": TokenType.HASH_LONG_ARROW,
+  "@>": TokenType.CONTAINS,
+  "<@": TokenType.CONTAINED_BY,
+  "?": TokenType.HAS_KEY,
+  "?|": TokenType.HAS_ANY_KEY,
+  "?&": TokenType.HAS_ALL_KEYS,
+  "&&": TokenType.OVERLAPS,
+};
+
+// MySQL has the -> and ->> JSON column path operators
+const MYSQL_OPERATORS = {
+  ...STANDARD_OPERATORS,
+  "->": TokenType.ARROW,
+  "->>": TokenType.LONG_ARROW,
+};
+
+/**
+ * Optional syntax a dialect may allow, all disabled unless a dialect enables them
+ */
+const DEFAULT_FEATURES = {
+  insertWithoutInto: false, // INSERT table ... without INTO
+  onConflict: false, // INSERT ... ON CONFLICT upserts
+  onDuplicateKeyUpdate: false, // INSERT ... ON DUPLICATE KEY UPDATE upserts
+  returning: false, // INSERT/UPDATE/DELETE ... RETURNING columns
+  output: false, // INSERT/UPDATE/DELETE ... OUTPUT columns
+  dmlLimit: false, // UPDATE/DELETE ... ORDER BY ... LIMIT
+  convert: false, // CONVERT(type, expression [, style]) casts
+  top: false, // SELECT TOP (n) [PERCENT] [WITH TIES] row limits
+};
+
+/**
+ * Keywords that may still be used as table, column and alias names
+ */
+const STANDARD_NON_RESERVED = [
+  "KEY",
+  "TEXT",
+  "DATE",
+  "TIME",
+  "TIMESTAMP",
+  "YEAR",
+  "MONTH",
+  "DAY",
+  "HOUR",
+  "MINUTE",
+  "SECOND",
+  "COUNT",
+  "SUM",
+  "AVG",
+  "MIN",
+  "MAX",
+  "ROW_NUMBER",
+  "RANK",
+  "DENSE_RANK",
+  "LEAD",
+  "LAG",
+  "FIRST_VALUE",
+  "LAST_VALUE",
+  "NTH_VALUE",
+  "PRECEDING",
+  "FOLLOWING",
+  "UNBOUNDED",
+  "AUTO_INCREMENT",
+];
+
+export class Dialect {
+  /**
+   * Create a new dialect
+   * @param {string} name - Dialect name
+   * @param {Object} definition - Dialect definition
+   * @param {Object} definition.keywords - Keyword text to token type mapping
+   * @param {Array<string>} definition.nonReserved - Keywords that can be used as identifiers
+   * @param {Array<Array<string>>} definition.identifierQuotes - [open, close] identifier quote pairs, preferred first
+   * @param {Array<string>} definition.stringQuotes - String literal quote characters
+   * @param {Object} definition.escapes - { backslash, doubledQuote } escape rules for quoted text
+   * @param {Array<string>} definition.lineComments - Line comment markers
+   * @param {boolean} definition.blockComments - Whether slash-star comments are allowed
+   * @param {Object} definition.operators - Operator text to token type mapping
+   * @param {Object} definition.features - Optional syntax flags, e.g. { insertWithoutInto: true }
+   */
+  constructor(name, definition = {}) {
+    this.name = name;
+    this.keywords = { ...(definition.keywords || KEYWORDS) };
+    this.nonReserved = new Set(
+      (definition.nonReserved || []).map((word) => word.toUpperCase())
+    );
+    this.identifierQuotes = definition.identifierQuotes || [['"', '"']];
+    this.stringQuotes = definition.stringQuotes || ["'"];
+    this.escapes = {
+      backslash: false,
+      doubledQuote: true,
+      ...definition.escapes,
+    };
+    this.lineComments = definition.lineComments || ["--"];
+    this.blockComments = definition.blockComments !== false;
+    this.operators = { ...(definition.operators || STANDARD_OPERATORS) };
+    this.features = { ...DEFAULT_FEATURES, ...definition.features };
+
+    // Longest operators first so that e.g. <= wins over <
+    this.operatorList = Object.keys(this.operators)
+      .filter((operator) => this.operators[operator])
+      .sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Get the token type of a keyword
+   * @param {string} word - Word to look up
+   * @returns {string|null} Token type or null if the word is not a keyword
+   */
+  keywordType(word) {
+    return this.keywords[word.toUpperCase()] || null;
+  }
+
+  /**
+   * Check if a word is a keyword (reserved or not)
+   * @param {string} word - Word to check
+   * @returns {boolean} True if the word is a keyword
+   */
+  isKeyword(word) {
+    return this.keywordType(word) !== null;
+  }
+
+  /**
+   * Check if a keyword may be used as an identifier
+   * @param {string} word - Word to check
+   * @returns {boolean} True if the word is a non-reserved keyword
+   */
+  isNonReserved(word) {
+    return this.nonReserved.has(word.toUpperCase());
+  }
+
+  /**
+   * Check if the dialect allows an optional piece of syntax
+   * @param {string} feature - Feature name, e.g. 'insertWithoutInto'
+   * @returns {boolean} True if the feature is enabled
+   */
+  supports(feature) {
+    return this.features[feature] === true;
+  }
+
+  /**
+   * Get the closing quote of an identifier quote
+   * @param {string} char - Opening character
+   * @returns {string|null} Closing character or null if char does not open an identifier
+   */
+  identifierClosingQuote(char) {
+    const pair = this.identifierQuotes.find(([open]) => open === char);
+    return pair ? pair[1] : null;
+  }
+
+  /**
+   * Check if a character opens a string literal
+   * @param {string} char - Character to check
+   * @returns {boolean} True if the character is a string quote
+   */
+  isStringQuote(char) {
+    return this.stringQuotes.includes(char);
+  }
+
+  /**
+   * Find the line comment marker starting at a position
+   * @param {string} input - Source text
+   * @param {number} position - Position to check
+   * @returns {string|null} Comment marker or null
+   */
+  lineCommentAt(input, position) {
+    const marker = this.lineComments.find((marker) => input.startsWith(marker, position));
+    if (!marker) {
+      return null;
+    }
+    // A longer operator that begins with the marker wins, e.g. #> when # starts comments
+    const operator = this.operatorAt(input, position);
+    return operator && operator.length > marker.length && operator.startsWith(marker)
+      ? null
+      : marker;
+  }
+
+  /**
+   * Find the longest operator starting at a position
+   * @param {string} input - Source text
+   * @param {number} position - Position to check
+   * @returns {string|null} Operator text or null
+   */
+  operatorAt(input, position) {
+    return (
+      this.operatorList.find((operator) =>
+        input.startsWith(operator, position)
+      ) || null
+    );
+  }
+
+  /**
+   * Quote an identifier with the preferred identifier quotes
+   * @param {string} name - Identifier name
+   * @returns {string} Quoted identifier
+   */
+  quoteIdentifier(name) {
+    const [open, close] = this.identifierQuotes[0];
+    return `${open}${this.escape(name, close)}${close}`;
+  }
+
+  /**
+   * Quote a string literal with the preferred string quote
+   * @param {string} value - String value
+   * @returns {string} Quoted string
+   */
+  quoteString(value) {
+    const quote = this.stringQuotes[0];
+    return `${quote}${this.escape(String(value), quote)}${quote}`;
+  }
+
+  /**
+   * Escape quoted text according to the dialect's escape rules
+   * @param {string} text - Raw text
+   * @param {string} quote - Closing quote character
+   * @returns {string} Escaped text
+   */
+  escape(text, quote) {
+    let escaped = text;
+    if (this.escapes.backslash) {
+      escaped = escaped.replace(/\\/g, "\\\\");
+    }
+    const replacement = this.escapes.doubledQuote
+      ? `${quote}${quote}`
+      : `\\${quote}`;
+    return escaped.split(quote).join(replacement);
+  }
+}
+
+/**
+ * Copy a keyword or operator mapping without some of its entries
+ * @param {Object} mapping - Keyword or operator mapping
+ * @param {Array<string>} keys - Entries to leave out
+ * @returns {Object} New mapping
+ */
+function without(mapping, keys) {
+  const result = { ...mapping };
+  keys.forEach((key) => delete result[key]);
+  return result;
+}
+
+/**
+ * Built-in dialect definitions
+ */
+const BUILT_IN_DIALECTS = {
+  // Permissive superset used when no dialect is given. CONVERT is left out because
+  // T-SQL's CONVERT(type, expr) and MySQL's CONVERT(expr, type) cannot be told apart
+  standard: {
+    keywords: KEYWORDS,
+    nonReserved: STANDARD_NON_RESERVED,
+    identifierQuotes: [
+      ['"', '"'],
+      ["`", "`"],
+    ],
+    stringQuotes: ["'"],
+    escapes: { backslash: true, doubledQuote: true },
+    lineComments: ["--", "#"],
+    operators: POSTGRESQL_OPERATORS,
+    features: {
+      insertWithoutInto: true,
+      onConflict: true,
+      onDuplicateKeyUpdate: true,
+      returning: true,
+      output: true,
+      dmlLimit: true,
+      top: true,
+    },
+  },
+  mysql: {
+    keywords: without(KEYWORDS, ["ILIKE"]),
+    nonReserved: STANDARD_NON_RESERVED,
+    identifierQuotes: [["`", "`"]],
+    stringQuotes: ["'", '"'],
+    escapes: { backslash: true, doubledQuote: true },
+    lineComments: ["--", "#"],
+    operators: MYSQL_OPERATORS,
+    features: { insertWithoutInto: true, onDuplicateKeyUpdate: true, dmlLimit: true },
+  },
+  postgresql: {
+    keywords: without(KEYWORDS, ["AUTO_INCREMENT"]),
+    nonReserved: STANDARD_NON_RESERVED,
+    identifierQuotes: [['"', '"']],
+    stringQuotes: ["'"],
+    escapes: { backslash: false, doubledQuote: true },
+    lineComments: ["--"],
+    operators: POSTGRESQL_OPERATORS,
+    features: { onConflict: true, returning: true },
+  },
+  sqlite: {
+    keywords: without(KEYWORDS, ["ILIKE", "AUTO_INCREMENT"]),
+    nonReserved: STANDARD_NON_RESERVED,
+    identifierQuotes: [
+      ['"', '"'],
+      ["`", "`"],
+      ["[", "]"],
+    ],
+    stringQuotes: ["'"],
+    escapes: { backslash: false, doubledQuote: true },
+    lineComments: ["--"],
+    operators: STANDARD_OPERATORS,
+    features: { onConflict: true, returning: true },
+  },
+  tsql: {
+    keywords: without(KEYWORDS, ["ILIKE", "AUTO_INCREMENT"]),
+    nonReserved: STANDARD_NON_RESERVED,
+    identifierQuotes: [
+      ["[", "]"],
+      ['"', '"'],
+    ],
+    stringQuotes: ["'"],
+    escapes: { backslash: false, doubledQuote: true },
+    lineComments: ["--"],
+    // T-SQL concatenates strings with +
+    operators: without(STANDARD_OPERATORS, ["||"]),
+    features: { insertWithoutInto: true, output: true, convert: true, top: true },
+  },
+};
+
+const registry = new Map();
+
+/**
+ * Register a dialect, optionally extending a registered one
+ * @param {string} name - Dialect name
+ * @param {Object} definition - Dialect definition (see Dialect constructor)
+ * @param {string} definition.extends - Name of the dialect to start from; keywords,
+ *   operators and features are merged with the base dialect's (map a keyword or
+ *   operator to null to remove it), all other settings replace the base settings
+ * @returns {Dialect} Registered dialect
+ */
+export function registerDialect(name, definition = {}) {
+  if (typeof name !== "string" || !name) {
+    throw new SQLError("Dialect name must be a non-empty string", "INVALID_INPUT", 0, 0);
+  }
+
+  const { extends: baseName, ...overrides } = definition;
+  const base = baseName ? getDialect(baseName) : null;
+  const inherited = base
+    ? {
+        keywords: base.keywords,
+        nonReserved: Array.from(base.nonReserved),
+        identifierQuotes: base.identifierQuotes,
+        stringQuotes: base.stringQuotes,
+        escapes: base.escapes,
+        lineComments: base.lineComments,
+        blockComments: base.blockComments,
+        operators: base.operators,
+        features: base.features,
+      }
+    : {};
+
+  const dialect = new Dialect(name, {
+    ...inherited,
+    ...overrides,
+    keywords: { ...(inherited.keywords || KEYWORDS), ...overrides.keywords },
+    operators: {
+      ...(inherited.operators || STANDARD_OPERATORS),
+      ...overrides.operators,
+    },
+    features: { ...inherited.features, ...overrides.features },
+  });
+
+  registry.set(name.toLowerCase(), dialect);
+  return dialect;
+}
+
+/**
+ * Look up a dialect
+ * @param {string|Dialect} dialect - Dialect name or instance (default: 'standard')
+ * @returns {Dialect} Dialect instance
+ * @throws {SQLError} When no dialect with that name is registered
+ */
+export function getDialect(dialect = "standard") {
+  if (dialect instanceof Dialect) {
+    return dialect;
+  }
+
+  const found = registry.get(String(dialect).toLowerCase());
+  if (!found) {
+    throw new SQLError(`Unknown dialect: ${dialect}`, "UNKNOWN_DIALECT", 0, 0, {
+      dialect,
+    });
+  }
+  return found;
+}
+
+/**
+ * Get the names of all registered dialects
+ * @returns {Array<string>} Dialect names
+ */
+export function listDialects() {
+  return Array.from(registry.keys());
+}
+
+Object.entries(BUILT_IN_DIALECTS).forEach(([name, definition]) => {
+  registry.set(name, new Dialect(name, definition));
+});
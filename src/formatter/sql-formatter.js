@@ -0,0 +1,292 @@
+/**
+ * SQL Formatter
+ *
+ * Pretty-prints an Abstract Syntax Tree (AST) as layout-normalized SQL
+ * Builds on the SQL generator and only changes where lines break and how they are indented
+ */
+
+import { SQLGenerator } from "../generator/sql-generator.js";
+
+export class SQLFormatter extends SQLGenerator {
+  /**
+   * Create a new formatter instance
+   * @param {Object} options - Formatter options
+   * @param {number|string} options.indent - Spaces per level, or the indent string (default: 2)
+   * @param {string} options.keywordCase - 'upper', 'lower' or 'preserve' (default: 'upper')
+   * @param {string} options.commaPosition - 'trailing' or 'leading' (default: 'trailing')
+   * @param {number} options.maxLineWidth - Width above which lists and conditions break (default: 80)
+   * @param {boolean} options.alignAliases - Align AS aliases of broken SELECT lists (default: false)
+   */
+  constructor(options = {}) {
+    super({
+      indent: 2,
+      keywordCase: "upper",
+      commaPosition: "trailing",
+      maxLineWidth: 80,
+      alignAliases: false,
+      ...options,
+    });
+
+    this.indentUnit =
+      typeof this.options.indent === "number"
+        ? " ".repeat(this.options.indent)
+        : String(this.options.indent);
+    this.flatGenerator = new SQLGenerator(this.options);
+    this.depth = 0;
+  }
+
+  /**
+   * Format an AST
+   * @param {ASTNode} ast - AST to format
+   * @returns {string} Formatted SQL
+   */
+  format(ast) {
+    this.depth = 0;
+    return this.generate(ast);
+  }
+
+  /**
+   * Generate a node on a single line
+   * @param {ASTNode} node - Node to generate
+   * @returns {string} Single line SQL
+   */
+  flat(node) {
+    return this.flatGenerator.generate(node);
+  }
+
+  /**
+   * Check whether text fits on one line at the current depth
+   * @param {string} text - Generated text
+   * @returns {boolean} True if the text is single-line and within maxLineWidth
+   */
+  fits(text) {
+    return (
+      !text.includes("\n") &&
+      this.depth * this.indentUnit.length + text.length <= this.options.maxLineWidth
+    );
+  }
+
+  /**
+   * Run a callback one indentation level deeper
+   * @param {Function} callback - Callback generating nested text
+   * @returns {*} Callback result
+   */
+  nested(callback) {
+    this.depth++;
+    try {
+      return callback();
+    } finally {
+      this.depth--;
+    }
+  }
+
+  /**
+   * Indent every non-empty line of a text block by one level
+   * @param {string} text - Text block
+   * @returns {string} Indented text block
+   */
+  indentLines(text) {
+    return text
+      .split("\n")
+      .map((line) => (line ? `${this.indentUnit}${line}` : line))
+      .join("\n");
+  }
+
+  /**
+   * Lay out list items one per line, honouring the comma position
+   * @param {Array<string>} items - Generated items
+   * @returns {string} Multi-line list
+   */
+  breakList(items) {
+    if (this.options.commaPosition === "leading") {
+      // Continuation lines of an item are shifted along with its first line
+      return items
+        .map((item, index) =>
+          item
+            .split("\n")
+            .map((line, lineIndex) => `${lineIndex === 0 && index > 0 ? ", " : "  "}${line}`)
+            .join("\n")
+        )
+        .join("\n");
+    }
+    return items.map((item, index) => (index < items.length - 1 ? `${item},` : item)).join("\n");
+  }
+
+  clauses(clauses) {
+    return clauses.filter(Boolean).join("\n");
+  }
+
+  listClause(keyword, nodes, render = (node) => this.generate(node)) {
+    const items = this.nested(() => nodes.map(render));
+    return this.layoutList(keyword, items, items);
+  }
+
+  /**
+   * Place a list on the keyword line when it fits, otherwise one item per line
+   * @param {string} keyword - Leading keyword(s)
+   * @param {Array<string>} inlineItems - Items used for the single-line layout
+   * @param {Array<string>} brokenItems - Items used for the multi-line layout
+   * @returns {string} Clause text
+   */
+  layoutList(keyword, inlineItems, brokenItems) {
+    const inline = `${keyword} ${this.list(inlineItems)}`;
+    if (this.fits(inline)) {
+      return inline;
+    }
+    return `${keyword}\n${this.indentLines(this.breakList(brokenItems))}`;
+  }
+
+  conditionClause(keyword, condition) {
+    const inline = `${keyword} ${this.flat(condition)}`;
+    if (this.fits(inline)) {
+      return inline;
+    }
+
+    const [first, ...rest] = this.nested(() => this.conditionTerms(condition));
+    return [`${keyword} ${first}`, ...rest.map((term) => this.indentLines(term))].join("\n");
+  }
+
+  /**
+   * Split a top-level AND/OR chain into terms, each term after the first
+   * starting with its operator
+   * @param {ASTNode} condition - Condition expression
+   * @returns {Array<string>} Generated terms
+   */
+  conditionTerms(condition) {
+    if (
+      condition.type !== "BinaryExpression" ||
+      !["AND", "OR"].includes(condition.operator.toUpperCase())
+    ) {
+      return [this.generate(condition)];
+    }
+
+    const operator = condition.operator.toUpperCase();
+    const precedence = this.precedenceOf(condition);
+    const operands = [];
+    let current = condition;
+    while (
+      current.type === "BinaryExpression" &&
+      current.operator.toUpperCase() === operator
+    ) {
+      operands.unshift({ node: current.right, operator: current.operator });
+      current = current.left;
+    }
+
+    return [
+      this.operand(current, precedence),
+      ...operands.map(
+        ({ node, operator: text }) =>
+          `${this.operator(text)} ${this.operand(node, precedence + 1)}`
+      ),
+    ];
+  }
+
+  block(query) {
+    const body = this.nested(() => this.generate(query));
+    return `(\n${this.indentLines(body)}\n)`;
+  }
+
+  definitionList(definitions) {
+    const inline = super.definitionList(definitions);
+    if (this.fits(inline)) {
+      return inline;
+    }
+    return `(\n${this.indentLines(this.breakList(definitions))}\n)`;
+  }
+
+  selectList(node) {
+    const keyword = this.selectKeyword(node);
+    const columns = this.nested(() =>
+      node.columns.map((column) => ({
+        sql: this.generate(column),
+        alias: column.alias ? this.identifier(column.alias) : null,
+      }))
+    );
+    const as = this.keyword("AS");
+    const withAlias = (sql, alias) => (alias ? `${sql} ${as} ${alias}` : sql);
+
+    let width = 0;
+    if (this.options.alignAliases) {
+      columns
+        .filter(({ sql, alias }) => alias && !sql.includes("\n"))
+        .forEach(({ sql }) => {
+          width = Math.max(width, sql.length);
+        });
+    }
+
+    return this.layoutList(
+      keyword,
+      columns.map(({ sql, alias }) => withAlias(sql, alias)),
+      columns.map(({ sql, alias }) =>
+        withAlias(sql.includes("\n") ? sql : sql.padEnd(alias ? width : 0), alias)
+      )
+    );
+  }
+
+  visitWithClause(node) {
+    const ctes = node.expressions.map((cte) => this.generate(cte)).join(",\n");
+    return node.recursive
+      ? `${this.keyword("WITH RECURSIVE")} ${ctes}`
+      : `${this.keyword("WITH")} ${ctes}`;
+  }
+
+  joinClauses(joins) {
+    return this.nested(() => super.joinClauses(joins)).map((join) => this.indentLines(join));
+  }
+
+  visitJoinClause(node) {
+    const inline = this.flat(node);
+    if (this.fits(inline) || !node.condition) {
+      return inline;
+    }
+
+    const join = `${this.keyword(`${node.joinType} JOIN`)} ${this.tableSource(node.table)}`;
+    const on = this.nested(() => this.conditionClause(this.keyword("ON"), node.condition));
+    return `${join}\n${this.indentLines(on)}`;
+  }
+
+  visitSubQuery(node) {
+    const inline = this.flat(node);
+    return this.fits(inline) ? inline : this.block(node.query);
+  }
+
+  visitUnaryExpression(node) {
+    if (node.operator.toUpperCase() === "EXISTS") {
+      const inline = this.flat(node);
+      if (this.fits(inline)) {
+        return inline;
+      }
+    }
+    return super.visitUnaryExpression(node);
+  }
+
+  visitCaseExpression(node) {
+    const inline = this.flat(node);
+    if (this.fits(inline)) {
+      return inline;
+    }
+
+    const head = node.expression
+      ? `${this.keyword("CASE")} ${this.generate(node.expression)}`
+      : this.keyword("CASE");
+    const body = this.nested(() => {
+      const lines = node.whenClauses.map((whenClause) => this.generate(whenClause));
+      if (node.elseClause) {
+        lines.push(`${this.keyword("ELSE")} ${this.generate(node.elseClause)}`);
+      }
+      return lines;
+    });
+
+    return [head, ...body.map((line) => this.indentLines(line)), this.keyword("END")].join("\n");
+  }
+
+  visitOverClause(node) {
+    const inline = this.flat(node);
+    if (this.fits(inline)) {
+      return inline;
+    }
+
+    const parts = this.nested(() => this.windowSpecification(node));
+    return `(\n${this.indentLines(parts.join("\n"))}\n)`;
+  }
+}
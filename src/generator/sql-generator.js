@@ -0,0 +1,1223 @@
+/**
+ * SQL Generator
+ *
+ * Converts an Abstract Syntax Tree (AST) back into SQL text
+ * The generated SQL parses back into an AST equal to the one it was generated from
+ */
+
+import { SQLError } from "../errors/sql-error.js";
+import { getDialect } from "../dialects/dialect.js";
+
+/**
+ * Binding strength of binary operators, mirroring the parser's precedence levels
+ */
+const BINARY_PRECEDENCE = {
+  OR: 1,
+  AND: 2,
+  "=": 3,
+  "!=": 3,
+  "<>": 3,
+  "<": 4,
+  ">": 4,
+  "<=": 4,
+  ">=": 4,
+  LIKE: 4,
+  ILIKE: 4,
+  IN: 4,
+  BETWEEN: 4,
+  SIMILAR: 4,
+  IS: 4,
+  "->": 5,
+  "->>": 5,
+  "#>": 5,
+  "#>>": 5,
+  "@>": 5,
+  "<@": 5,
+  "?": 5,
+  "?|": 5,
+  "?&": 5,
+  "&&": 5,
+  "||": 5,
+  "+": 6,
+  "-": 6,
+  "*": 7,
+  "/": 7,
+  "%": 7,
+};
+
+const UNARY_PRECEDENCE = 8;
+const PRIMARY_PRECEDENCE = 9;
+
+export class SQLGenerator {
+  /**
+   * Create a new generator instance
+   * @param {Object} options - Generator options
+   * @param {string} options.keywordCase - 'preserve', 'upper' or 'lower' (default: 'preserve')
+   * @param {string|Dialect} options.dialect - Dialect whose quoting rules are used (default: 'standard')
+   */
+  constructor(options = {}) {
+    this.options = {
+      keywordCase: "preserve",
+      ...options,
+    };
+    this.dialect = getDialect(this.options.dialect);
+  }
+
+  /**
+   * Generate SQL for any AST node
+   * @param {ASTNode} node - Node to generate SQL for
+   * @returns {string} SQL text
+   * @throws {SQLError} When the node type is not supported
+   */
+  generate(node) {
+    if (node === null || node === undefined) {
+      return "";
+    }
+
+    const method = this[`visit${node.type}`];
+    if (typeof method !== "function") {
+      throw SQLError.unsupportedFeature(
+        `SQL generation for ${node.type || typeof node} nodes`,
+        0,
+        0
+      );
+    }
+
+    return method.call(this, node);
+  }
+
+  /**
+   * Apply the configured keyword case
+   * @param {string} text - Keyword text
+   * @returns {string} Cased keyword
+   */
+  keyword(text) {
+    switch (this.options.keywordCase) {
+      case "upper":
+        return text.toUpperCase();
+      case "lower":
+        return text.toLowerCase();
+      default:
+        return text;
+    }
+  }
+
+  /**
+   * Quote an identifier when it would not lex back as the same plain identifier.
+   * Names with upper case letters are quoted because PostgreSQL folds unquoted
+   * names to lower case (system variables such as @@autocommit are left as they are)
+   * @param {string} name - Identifier name
+   * @returns {string} Identifier text
+   */
+  identifier(name) {
+    if (/^@@[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      return name;
+    }
+    if (/^[a-z_][a-z0-9_]*$/.test(name) && !this.dialect.isKeyword(name)) {
+      return name;
+    }
+    return this.dialect.quoteIdentifier(name);
+  }
+
+  /**
+   * Join the present parts of a qualified name, quoting each as needed
+   * @param {...(string|null)} parts - Name parts, outermost qualifier first
+   * @returns {string} Qualified name text
+   */
+  qualifiedName(...parts) {
+    return parts
+      .filter((part) => part !== null && part !== undefined)
+      .map((part) => this.identifier(part))
+      .join(".");
+  }
+
+  /**
+   * Quote a string literal
+   * @param {string} value - String value
+   * @returns {string} String literal text
+   */
+  string(value) {
+    return this.dialect.quoteString(value);
+  }
+
+  /**
+   * Join a list of already generated items
+   * @param {Array<string>} items - Generated items
+   * @returns {string} Comma separated list
+   */
+  list(items) {
+    return items.join(", ");
+  }
+
+  /**
+   * Join the clauses of a statement
+   * @param {Array<string>} clauses - Generated clauses
+   * @returns {string} Statement text
+   */
+  clauses(clauses) {
+    return clauses.filter(Boolean).join(" ");
+  }
+
+  /**
+   * Generate a keyword followed by a comma separated list of nodes
+   * @param {string} keyword - Leading keyword(s)
+   * @param {Array<ASTNode>} nodes - List items
+   * @param {Function} render - Generates a single item (default: generate)
+   * @returns {string} Clause text
+   */
+  listClause(keyword, nodes, render = (node) => this.generate(node)) {
+    return `${keyword} ${this.list(nodes.map(render))}`;
+  }
+
+  /**
+   * Generate a keyword followed by a condition (WHERE, HAVING, ON)
+   * @param {string} keyword - Leading keyword
+   * @param {ASTNode} condition - Condition expression
+   * @returns {string} Clause text
+   */
+  conditionClause(keyword, condition) {
+    return `${keyword} ${this.generate(condition)}`;
+  }
+
+  /**
+   * Generate a parenthesized list of identifiers
+   * @param {Array<string>} names - Identifier names
+   * @returns {string} Identifier list text
+   */
+  identifierList(names) {
+    return `(${this.list(names.map((name) => this.identifier(name)))})`;
+  }
+
+  /**
+   * Generate the parenthesized definition list of a DDL statement
+   * @param {Array<string>} definitions - Generated column and constraint definitions
+   * @returns {string} Definition list text
+   */
+  definitionList(definitions) {
+    return `(${this.list(definitions)})`;
+  }
+
+  /**
+   * Generate a parenthesized query (subqueries, CTE bodies, EXISTS)
+   * @param {ASTNode} query - Query statement
+   * @returns {string} Parenthesized query text
+   */
+  block(query) {
+    return `(${this.generate(query)})`;
+  }
+
+  /**
+   * Get the precedence level of an expression node
+   * @param {ASTNode} node - Expression node
+   * @returns {number} Precedence level
+   */
+  precedenceOf(node) {
+    if (node.type === "BinaryExpression") {
+      const operator = node.operator.toUpperCase();
+      return (
+        BINARY_PRECEDENCE[operator] ||
+        BINARY_PRECEDENCE[operator.split(" ")[0]] ||
+        BINARY_PRECEDENCE.IS
+      );
+    }
+    if (node.type === "UnaryExpression") {
+      return UNARY_PRECEDENCE;
+    }
+    return PRIMARY_PRECEDENCE;
+  }
+
+  /**
+   * Generate an operand, parenthesized when it binds looser than required
+   * @param {ASTNode} node - Operand node
+   * @param {number} minPrecedence - Lowest precedence allowed without parentheses
+   * @returns {string} Operand text
+   */
+  operand(node, minPrecedence) {
+    const sql = this.generate(node);
+    return this.precedenceOf(node) < minPrecedence ? `(${sql})` : sql;
+  }
+
+  /**
+   * Generate an operator, applying keyword case to word operators
+   * @param {string} operator - Operator text
+   * @returns {string} Operator text
+   */
+  operator(operator) {
+    return /[A-Za-z]/.test(operator) ? this.keyword(operator) : operator;
+  }
+
+  /**
+   * Generate a column in a SELECT list, including its alias
+   * @param {ASTNode} column - Column expression
+   * @returns {string} Column text
+   */
+  selectColumn(column) {
+    const sql = this.generate(column);
+    return column.alias
+      ? `${sql} ${this.keyword("AS")} ${this.identifier(column.alias)}`
+      : sql;
+  }
+
+  /**
+   * Generate a table source (table or subquery), including its alias
+   * @param {TableReference|SubQuery} source - Table source node
+   * @returns {string} Table source text
+   */
+  tableSource(source) {
+    const sql = this.generate(source);
+    return source.alias
+      ? `${sql} ${this.keyword("AS")} ${this.identifier(source.alias)}`
+      : sql;
+  }
+
+  /**
+   * Generate a WHERE clause from a condition or WhereClause node
+   * @param {ASTNode} where - WHERE condition
+   * @returns {string} WHERE clause text
+   */
+  whereClause(where) {
+    if (!where) {
+      return "";
+    }
+    if (where.type === "WhereClause") {
+      return this.generate(where);
+    }
+    return this.conditionClause(this.keyword("WHERE"), where);
+  }
+
+  /**
+   * Generate a window frame boundary
+   * @param {Object} bound - Frame bound object from the parser
+   * @returns {string} Frame bound text
+   */
+  frameBound(bound) {
+    switch (bound.type) {
+      case "UNBOUNDED":
+        return `${this.keyword("UNBOUNDED")} ${this.keyword(bound.direction)}`;
+      case "CURRENT_ROW":
+        return this.keyword("CURRENT ROW");
+      case "INTERVAL":
+        return `${this.keyword("INTERVAL")} ${this.generate(bound.value)} ${this.keyword(
+          bound.unit
+        )} ${this.keyword(bound.direction)}`;
+      default:
+        return `${this.generate(bound.value)} ${this.keyword(bound.direction)}`;
+    }
+  }
+
+  /**
+   * Generate the SELECT keyword and column list
+   * @param {SelectStatement} node - SELECT statement
+   * @returns {string} SELECT list text
+   */
+  selectList(node) {
+    return this.listClause(this.selectKeyword(node), node.columns, (column) =>
+      this.selectColumn(column)
+    );
+  }
+
+  /**
+   * Generate the keywords that start a SELECT list, including DISTINCT and TOP
+   * @param {SelectStatement} node - SELECT statement
+   * @returns {string} SELECT keywords
+   */
+  selectKeyword(node) {
+    const keyword = node.distinct ? this.keyword("SELECT DISTINCT") : this.keyword("SELECT");
+    return node.limit?.syntax === "TOP" ? `${keyword} ${this.generate(node.limit)}` : keyword;
+  }
+
+  visitSelectStatement(node) {
+    return this.clauses([
+      node.with ? this.generate(node.with) : "",
+      this.selectList(node),
+      this.generate(node.from),
+      this.whereClause(node.where),
+      this.generate(node.groupBy),
+      this.generate(node.having),
+      node.window ? this.listClause(this.keyword("WINDOW"), node.window) : "",
+      this.generate(node.orderBy),
+      node.limit?.syntax === "TOP" ? "" : this.generate(node.limit),
+      ...(node.locking || []).map((clause) => this.generate(clause)),
+    ]);
+  }
+
+  visitSetOperation(node) {
+    const precedence = this.setPrecedenceOf(node);
+    let operator = node.operator;
+    if (node.all) {
+      operator += " ALL";
+    } else if (node.distinct) {
+      operator += " DISTINCT";
+    }
+
+    return this.clauses([
+      node.with ? this.generate(node.with) : "",
+      this.setOperand(node.left, precedence),
+      this.keyword(operator),
+      this.setOperand(node.right, precedence + 1),
+      this.generate(node.orderBy),
+      this.generate(node.limit),
+    ]);
+  }
+
+  visitParenthesizedQuery(node) {
+    return this.clauses([
+      node.with ? this.generate(node.with) : "",
+      this.block(node.query),
+      this.generate(node.orderBy),
+      this.generate(node.limit),
+    ]);
+  }
+
+  /**
+   * Get the binding strength of a query inside a set operation
+   * @param {ASTNode} node - Query node
+   * @returns {number} 1 for UNION/EXCEPT, 2 for INTERSECT, 3 for plain queries
+   */
+  setPrecedenceOf(node) {
+    if (node.type !== "SetOperation") {
+      return 3;
+    }
+    return node.operator.toUpperCase() === "INTERSECT" ? 2 : 1;
+  }
+
+  /**
+   * Generate an operand of a set operation, parenthesized when it binds looser
+   * than the operator or carries its own WITH, ORDER BY or LIMIT
+   * @param {ASTNode} node - Operand query
+   * @param {number} minPrecedence - Minimum precedence that needs no parentheses
+   * @returns {string} Operand text
+   */
+  setOperand(node, minPrecedence) {
+    if (node.with || node.orderBy || node.limit || this.setPrecedenceOf(node) < minPrecedence) {
+      return this.block(node);
+    }
+    return this.generate(node);
+  }
+
+  visitInsertStatement(node) {
+    const columns = node.columns.length ? ` ${this.identifierList(node.columns)}` : "";
+
+    let source;
+    if (node.defaultValues) {
+      source = this.keyword("DEFAULT VALUES");
+    } else if (node.query) {
+      source = this.generate(node.query);
+    } else {
+      source = this.listClause(this.keyword("VALUES"), node.values);
+    }
+
+    return this.clauses([
+      node.with ? this.generate(node.with) : "",
+      `${this.keyword("INSERT INTO")} ${this.tableSource(node.table)}${columns}`,
+      this.returningClause(node, "OUTPUT"),
+      source,
+      this.generate(node.onConflict),
+      node.onDuplicateKeyUpdate
+        ? this.listClause(this.keyword("ON DUPLICATE KEY UPDATE"), node.onDuplicateKeyUpdate)
+        : "",
+      this.returningClause(node, "RETURNING"),
+    ]);
+  }
+
+  /**
+   * Generate the returning clause of a DML statement if it uses the given syntax,
+   * since OUTPUT and RETURNING go in different places
+   * @param {ASTNode} node - INSERT, UPDATE or DELETE statement
+   * @param {string} syntax - 'RETURNING' or 'OUTPUT'
+   * @returns {string} Clause text or empty string
+   */
+  returningClause(node, syntax) {
+    return node.returning && node.returning.syntax === syntax ? this.generate(node.returning) : "";
+  }
+
+  visitReturningClause(node) {
+    return this.listClause(this.keyword(node.syntax), node.columns, (column) =>
+      this.selectColumn(column)
+    );
+  }
+
+  visitOnConflictClause(node) {
+    const target = [this.keyword("ON CONFLICT")];
+    if (node.columns.length) {
+      target.push(this.identifierList(node.columns));
+      if (node.targetWhere) {
+        target.push(`${this.keyword("WHERE")} ${this.generate(node.targetWhere)}`);
+      }
+    } else if (node.constraint) {
+      target.push(`${this.keyword("ON CONSTRAINT")} ${this.identifier(node.constraint)}`);
+    }
+
+    if (node.action !== "UPDATE") {
+      return `${target.join(" ")} ${this.keyword("DO NOTHING")}`;
+    }
+    return this.clauses([
+      this.listClause(`${target.join(" ")} ${this.keyword("DO UPDATE SET")}`, node.set),
+      this.whereClause(node.where),
+    ]);
+  }
+
+  visitUpdateStatement(node) {
+    return this.clauses([
+      `${this.keyword("UPDATE")} ${this.tableSource(node.table)}`,
+      ...this.joinClauses(node.joins),
+      this.listClause(this.keyword("SET"), node.set),
+      this.returningClause(node, "OUTPUT"),
+      this.generate(node.from),
+      this.whereClause(node.where),
+      this.generate(node.orderBy),
+      this.generate(node.limit),
+      this.returningClause(node, "RETURNING"),
+    ]);
+  }
+
+  visitDeleteStatement(node) {
+    const targets = node.targets && node.targets.length
+      ? `${this.list(node.targets.map((target) => this.identifier(target)))} `
+      : "";
+
+    return this.clauses([
+      `${this.keyword("DELETE")} ${targets}${this.keyword("FROM")} ${this.tableSource(node.from)}`,
+      ...this.joinClauses(node.joins),
+      this.returningClause(node, "OUTPUT"),
+      node.using ? this.tableSources(this.keyword("USING"), node.using) : "",
+      this.whereClause(node.where),
+      this.generate(node.orderBy),
+      this.generate(node.limit),
+      this.returningClause(node, "RETURNING"),
+    ]);
+  }
+
+  visitMergeStatement(node) {
+    return this.clauses([
+      `${this.keyword("MERGE INTO")} ${this.tableSource(node.target)}`,
+      `${this.keyword("USING")} ${this.tableSource(node.source)}`,
+      this.conditionClause(this.keyword("ON"), node.on),
+      ...node.whenClauses.map((clause) => this.generate(clause)),
+    ]);
+  }
+
+  visitMergeWhenClause(node) {
+    const when = [this.keyword(node.matched ? "WHEN MATCHED" : "WHEN NOT MATCHED")];
+    if (node.by) {
+      when.push(this.keyword(`BY ${node.by}`));
+    }
+    if (node.condition) {
+      when.push(`${this.keyword("AND")} ${this.generate(node.condition)}`);
+    }
+    when.push(this.keyword("THEN"));
+    const header = when.join(" ");
+
+    switch (node.action) {
+      case "UPDATE":
+        return this.listClause(`${header} ${this.keyword("UPDATE SET")}`, node.set);
+      case "DELETE":
+        return `${header} ${this.keyword("DELETE")}`;
+      case "INSERT": {
+        const columns = node.columns.length ? ` ${this.identifierList(node.columns)}` : "";
+        const values = node.values
+          ? `${this.keyword("VALUES")} ${this.generate(node.values)}`
+          : this.keyword("DEFAULT VALUES");
+        return `${header} ${this.keyword("INSERT")}${columns} ${values}`;
+      }
+      default:
+        return `${header} ${this.keyword("DO NOTHING")}`;
+    }
+  }
+
+  visitWithClause(node) {
+    const ctes = this.list(node.expressions.map((cte) => this.generate(cte)));
+    return node.recursive
+      ? `${this.keyword("WITH RECURSIVE")} ${ctes}`
+      : `${this.keyword("WITH")} ${ctes}`;
+  }
+
+  visitCTEExpression(node) {
+    const columns = node.columns ? ` ${this.identifierList(node.columns)}` : "";
+    return `${this.identifier(node.name)}${columns} ${this.keyword("AS")} ${this.block(node.query)}`;
+  }
+
+  visitWindowFunction(node) {
+    return `${this.generate(node.function)} ${this.keyword("OVER")} ${this.generate(node.over)}`;
+  }
+
+  /**
+   * Generate the parts of a window specification
+   * @param {OverClause} node - OVER clause
+   * @returns {Array<string>} Window name, PARTITION BY, ORDER BY and frame parts
+   */
+  windowSpecification(node) {
+    const parts = [];
+    if (node.name) {
+      parts.push(this.identifier(node.name));
+    }
+    if (node.partitionBy) {
+      parts.push(this.listClause(this.keyword("PARTITION BY"), node.partitionBy));
+    }
+    if (node.orderBy) {
+      parts.push(this.listClause(this.keyword("ORDER BY"), node.orderBy));
+    }
+    if (node.frame) {
+      // WindowFrame nodes carry the frame unit ('ROWS'/'RANGE'/'GROUPS') in their type field
+      parts.push(this.visitWindowFrame(node.frame));
+    }
+    return parts;
+  }
+
+  visitOverClause(node) {
+    if (!node.parenthesized) {
+      return this.identifier(node.name);
+    }
+    return `(${this.windowSpecification(node).join(" ")})`;
+  }
+
+  visitWindowFrame(node) {
+    const extent = node.end
+      ? `${this.keyword("BETWEEN")} ${this.frameBound(node.start)} ${this.keyword(
+          "AND"
+        )} ${this.frameBound(node.end)}`
+      : this.frameBound(node.start);
+    const exclude = node.exclude ? ` ${this.keyword(`EXCLUDE ${node.exclude}`)}` : "";
+    return `${this.keyword(node.type)} ${extent}${exclude}`;
+  }
+
+  visitWindowDefinition(node) {
+    return `${this.identifier(node.name)} ${this.keyword("AS")} ${this.generate(
+      node.specification
+    )}`;
+  }
+
+  visitBinaryExpression(node) {
+    const precedence = this.precedenceOf(node);
+    const escape = node.escape
+      ? ` ${this.keyword("ESCAPE")} ${this.operand(node.escape, precedence + 1)}`
+      : "";
+    // = ANY (array) needs the parentheses a subquery brings itself
+    const right =
+      /\s(ANY|ALL)$/i.test(node.operator) && node.right.type !== "SubQuery"
+        ? `(${this.generate(node.right)})`
+        : this.operand(node.right, precedence + 1);
+    return `${this.operand(node.left, precedence)} ${this.operator(node.operator)} ${right}${escape}`;
+  }
+
+  visitUnaryExpression(node) {
+    const operator = this.operator(node.operator);
+
+    if (node.operator.toUpperCase() === "EXISTS") {
+      return `${operator} ${this.block(node.operand)}`;
+    }
+
+    const operand = this.operand(node.operand, UNARY_PRECEDENCE);
+    if (/[A-Za-z]/.test(operator) || /^[-+]/.test(operand)) {
+      return `${operator} ${operand}`;
+    }
+    return `${operator}${operand}`;
+  }
+
+  visitFunctionCall(node) {
+    if (node.isExtract) {
+      const [field, source] = node.arguments;
+      return `${node.name}(${field.value} ${this.keyword("FROM")} ${this.generate(source)})`;
+    }
+
+    const args = this.list(node.arguments.map((arg) => this.generate(arg)));
+    const parts = [
+      node.distinct ? `${node.name}(${this.keyword("DISTINCT")} ${args})` : `${node.name}(${args})`,
+    ];
+    if (node.withinGroup) {
+      parts.push(`${this.keyword("WITHIN GROUP")} (${this.generate(node.withinGroup)})`);
+    }
+    if (node.filter) {
+      parts.push(`${this.keyword("FILTER")} (${this.keyword("WHERE")} ${this.generate(node.filter)})`);
+    }
+    if (node.nullTreatment) {
+      parts.push(this.keyword(node.nullTreatment));
+    }
+    return parts.join(" ");
+  }
+
+  visitCaseExpression(node) {
+    const parts = [this.keyword("CASE")];
+    if (node.expression) {
+      parts.push(this.generate(node.expression));
+    }
+    node.whenClauses.forEach((whenClause) => parts.push(this.generate(whenClause)));
+    if (node.elseClause) {
+      parts.push(`${this.keyword("ELSE")} ${this.generate(node.elseClause)}`);
+    }
+    parts.push(this.keyword("END"));
+    return parts.join(" ");
+  }
+
+  visitWhenClause(node) {
+    return `${this.keyword("WHEN")} ${this.generate(node.condition)} ${this.keyword(
+      "THEN"
+    )} ${this.generate(node.result)}`;
+  }
+
+  visitIdentifier(node) {
+    return this.qualifiedName(node.table, node.name);
+  }
+
+  visitColumnReference(node) {
+    return this.qualifiedName(node.catalog, node.schema, node.table, node.name);
+  }
+
+  visitTableReference(node) {
+    return this.qualifiedName(node.catalog, node.schema, node.name);
+  }
+
+  visitWildcard(node) {
+    return node.table ? `${this.qualifiedName(node.catalog, node.schema, node.table)}.*` : "*";
+  }
+
+  visitLiteral(node) {
+    if (node.value === null || node.value === undefined) {
+      return this.keyword("NULL");
+    }
+
+    switch (node.dataType) {
+      case "STAR":
+        return "*";
+      case "DEFAULT":
+        return this.keyword("DEFAULT");
+      case "UNKNOWN":
+        return this.keyword("UNKNOWN");
+      case "keyword":
+        return this.keyword(node.value);
+      case "number":
+        return String(node.value);
+      case "boolean":
+        return this.keyword(node.value ? "TRUE" : "FALSE");
+      case "string":
+        return this.string(node.value);
+      default:
+        if (typeof node.value === "number") {
+          return String(node.value);
+        }
+        if (typeof node.value === "boolean") {
+          return this.keyword(node.value ? "TRUE" : "FALSE");
+        }
+        return this.string(node.value);
+    }
+  }
+
+  visitArrayLiteral(node) {
+    return `${this.keyword("ARRAY")}[${this.list(node.elements.map((element) => this.generate(element)))}]`;
+  }
+
+  visitSubscript(node) {
+    // PostgreSQL only subscripts column references and parameters without parentheses
+    const expression = ["ColumnReference", "Parameter", "Subscript"].includes(node.expression.type)
+      ? this.generate(node.expression)
+      : `(${this.generate(node.expression)})`;
+    const lower = node.lower ? this.generate(node.lower) : "";
+    const upper = node.upper ? this.generate(node.upper) : "";
+    return `${expression}[${node.slice ? `${lower}:${upper}` : lower}]`;
+  }
+
+  visitParameter(node) {
+    return `${node.prefix}${node.name ?? node.number ?? ""}`;
+  }
+
+  visitFromClause(node) {
+    return this.tableSources(this.keyword("FROM"), node);
+  }
+
+  /**
+   * Generate a keyword followed by the tables and joins of a FROM clause node
+   * @param {string} keyword - FROM, or USING in DELETE
+   * @param {FromClause} node - FROM clause node
+   * @returns {string} Clause text
+   */
+  tableSources(keyword, node) {
+    const tables = this.listClause(keyword, node.tables, (table) => this.tableSource(table));
+    return this.clauses([tables, ...this.joinClauses(node.joins)]);
+  }
+
+  /**
+   * Generate the JOIN clauses that follow a table source
+   * @param {Array<JoinClause>} joins - JOIN clause nodes
+   * @returns {Array<string>} JOIN clause texts
+   */
+  joinClauses(joins) {
+    return (joins || []).map((join) => this.generate(join));
+  }
+
+  visitWhereClause(node) {
+    return this.conditionClause(this.keyword("WHERE"), node.condition);
+  }
+
+  visitJoinClause(node) {
+    const joinType = node.natural ? `NATURAL ${node.joinType}` : node.joinType;
+    const join = `${this.keyword(`${joinType} JOIN`)} ${this.tableSource(node.table)}`;
+    if (node.using) {
+      return `${join} ${this.keyword("USING")} ${this.identifierList(node.using)}`;
+    }
+    return node.condition
+      ? `${join} ${this.conditionClause(this.keyword("ON"), node.condition)}`
+      : join;
+  }
+
+  visitGroupByClause(node) {
+    return this.listClause(this.keyword("GROUP BY"), node.columns);
+  }
+
+  visitHavingClause(node) {
+    return this.conditionClause(this.keyword("HAVING"), node.condition);
+  }
+
+  visitOrderByClause(node) {
+    return this.listClause(this.keyword("ORDER BY"), node.columns);
+  }
+
+  visitOrderByColumn(node) {
+    const column = this.generate(node.column);
+    return node.direction && node.direction.toUpperCase() === "DESC"
+      ? `${column} ${this.keyword("DESC")}`
+      : column;
+  }
+
+  visitLimitClause(node) {
+    const count = node.count ? this.generate(node.count) : "";
+    const offset = node.offset ? this.generate(node.offset) : "";
+    const percent = node.percent ? ` ${this.keyword("PERCENT")}` : "";
+    const ties = node.withTies ? ` ${this.keyword("WITH TIES")}` : "";
+
+    switch (node.syntax) {
+      case "TOP":
+        return `${this.keyword("TOP")} (${count})${percent}${ties}`;
+      case "LIMIT_COMMA":
+        return `${this.keyword("LIMIT")} ${offset}, ${count}`;
+      case "OFFSET":
+        return `${this.keyword("OFFSET")} ${offset} ${this.keyword("ROWS")}`;
+      case "FETCH": {
+        const fetch = `${this.keyword("FETCH NEXT")} ${count}${percent} ${this.keyword("ROWS")}${
+          node.withTies ? ties : ` ${this.keyword("ONLY")}`
+        }`;
+        return node.offset ? `${this.keyword("OFFSET")} ${offset} ${this.keyword("ROWS")} ${fetch}` : fetch;
+      }
+      default: {
+        const limit = `${this.keyword("LIMIT")} ${count}`;
+        return node.offset ? `${limit} ${this.keyword("OFFSET")} ${offset}` : limit;
+      }
+    }
+  }
+
+  visitLockingClause(node) {
+    if (node.syntax === "LOCK IN SHARE MODE") {
+      return this.keyword("LOCK IN SHARE MODE");
+    }
+    const parts = [this.keyword(`FOR ${node.strength}`)];
+    if (node.tables.length > 0) {
+      parts.push(this.keyword("OF"), this.list(node.tables.map((table) => this.identifier(table))));
+    }
+    if (node.wait) {
+      parts.push(this.keyword(node.wait));
+    }
+    return parts.join(" ");
+  }
+
+  visitAssignment(node) {
+    let column =
+      typeof node.column === "string" ? this.identifier(node.column) : this.generate(node.column);
+    if (node.table) {
+      column = `${this.identifier(node.table)}.${column}`;
+    }
+    return `${column} = ${this.generate(node.value)}`;
+  }
+
+  visitValuesList(node) {
+    return `(${this.list(node.values.map((value) => this.generate(value)))})`;
+  }
+
+  visitBetweenRange(node) {
+    return `${this.operand(node.start, BINARY_PRECEDENCE["->"])} ${this.keyword(
+      "AND"
+    )} ${this.operand(node.end, BINARY_PRECEDENCE["->"])}`;
+  }
+
+  visitInterval(node) {
+    return `${this.keyword("INTERVAL")} ${this.generate(node.value)} ${this.keyword(node.unit)}`;
+  }
+
+  visitSubQuery(node) {
+    return this.block(node.query);
+  }
+
+  visitCreateTableStatement(node) {
+    const parts = [this.keyword(node.temporary ? "CREATE TEMPORARY TABLE" : "CREATE TABLE")];
+    if (node.ifNotExists) {
+      parts.push(this.keyword("IF NOT EXISTS"));
+    }
+    parts.push(this.generate(node.table));
+
+    const definitions = [...node.columns, ...node.constraints].map((definition) =>
+      this.generate(definition)
+    );
+    if (definitions.length) {
+      parts.push(this.definitionList(definitions));
+    }
+
+    if (node.query) {
+      return this.clauses([`${parts.join(" ")} ${this.keyword("AS")}`, this.generate(node.query)]);
+    }
+    return parts.join(" ");
+  }
+
+  visitCreateIndexStatement(node) {
+    const parts = [this.keyword(node.unique ? "CREATE UNIQUE INDEX" : "CREATE INDEX")];
+    if (node.ifNotExists) {
+      parts.push(this.keyword("IF NOT EXISTS"));
+    }
+    parts.push(this.identifier(node.name), this.keyword("ON"), this.generate(node.table));
+    if (node.method) {
+      parts.push(`${this.keyword("USING")} ${this.identifier(node.method)}`);
+    }
+    parts.push(`(${this.list(node.columns.map((column) => this.generate(column)))})`);
+    if (node.where) {
+      parts.push(`${this.keyword("WHERE")} ${this.generate(node.where)}`);
+    }
+    return parts.join(" ");
+  }
+
+  visitCreateViewStatement(node) {
+    const parts = [this.keyword("CREATE")];
+    if (node.orReplace) {
+      parts.push(this.keyword("OR REPLACE"));
+    }
+    if (node.temporary) {
+      parts.push(this.keyword("TEMPORARY"));
+    }
+    parts.push(this.keyword("VIEW"));
+    if (node.ifNotExists) {
+      parts.push(this.keyword("IF NOT EXISTS"));
+    }
+    parts.push(this.generate(node.name));
+    if (node.columns.length) {
+      parts.push(this.identifierList(node.columns));
+    }
+    return this.clauses([`${parts.join(" ")} ${this.keyword("AS")}`, this.generate(node.query)]);
+  }
+
+  visitDropStatement(node) {
+    const parts = [this.keyword(`DROP ${node.objectType}`)];
+    if (node.ifExists) {
+      parts.push(this.keyword("IF EXISTS"));
+    }
+    parts.push(this.list(node.names.map((name) => this.generate(name))));
+    if (node.table) {
+      parts.push(`${this.keyword("ON")} ${this.generate(node.table)}`);
+    }
+    if (node.behavior) {
+      parts.push(this.keyword(node.behavior));
+    }
+    return parts.join(" ");
+  }
+
+  visitTruncateStatement(node) {
+    const parts = [
+      this.keyword("TRUNCATE TABLE"),
+      this.list(node.tables.map((table) => this.generate(table))),
+    ];
+    if (node.identity) {
+      parts.push(this.keyword(node.identity));
+    }
+    if (node.behavior) {
+      parts.push(this.keyword(node.behavior));
+    }
+    return parts.join(" ");
+  }
+
+  visitTransactionStatement(node) {
+    // MySQL puts the scope inside SET TRANSACTION
+    const action = node.scope ? node.action.replace("SET", `SET ${node.scope}`) : node.action;
+    const parts = [this.keyword(action)];
+    if (node.behavior) {
+      parts.push(this.keyword(node.behavior));
+    }
+    if (node.keyword) {
+      parts.push(this.keyword(node.keyword));
+    }
+    if (node.action === "SAVEPOINT") {
+      parts.push(this.identifier(node.savepoint));
+    } else if (node.savepoint) {
+      const to = node.action === "ROLLBACK" ? "TO SAVEPOINT" : "SAVEPOINT";
+      parts.push(this.keyword(to), this.identifier(node.savepoint));
+    }
+    if (node.modes.length > 0) {
+      parts.push(this.list(node.modes.map((mode) => this.keyword(mode))));
+    }
+    return parts.join(" ");
+  }
+
+  visitSetStatement(node) {
+    return `${this.keyword("SET")} ${this.list(node.variables.map((variable) => this.generate(variable)))}`;
+  }
+
+  visitSetVariable(node) {
+    const parts = [];
+    if (node.scope) {
+      parts.push(this.keyword(node.scope));
+    }
+    // Settings without an operator (NAMES, TIME ZONE, NOCOUNT) are keywords
+    parts.push(
+      node.operator === null && node.name.type === "Identifier" && !node.name.table
+        ? this.keyword(node.name.name)
+        : this.generate(node.name)
+    );
+    if (node.operator) {
+      parts.push(this.keyword(node.operator));
+    }
+    parts.push(this.list(node.values.map((value) => this.generate(value))));
+    return parts.join(" ");
+  }
+
+  visitUseStatement(node) {
+    return `${this.keyword("USE")} ${this.identifier(node.database)}`;
+  }
+
+  visitShowStatement(node) {
+    const parts = [this.keyword("SHOW")];
+    if (node.subject.startsWith("CREATE ")) {
+      parts.push(this.keyword(node.subject), this.generate(node.target));
+    } else {
+      parts.push(this.keyword(node.subject));
+      if (node.target) {
+        parts.push(this.keyword("FROM"), this.generate(node.target));
+      }
+    }
+    if (node.like !== null) {
+      parts.push(this.keyword("LIKE"), this.string(node.like));
+    }
+    if (node.where) {
+      parts.push(this.keyword("WHERE"), this.generate(node.where));
+    }
+    return parts.join(" ");
+  }
+
+  visitGrantStatement(node) {
+    const parts = [
+      this.keyword("GRANT"),
+      this.grantSubject(node),
+      this.keyword("TO"),
+      this.list(node.grantees.map((grantee) => this.identifier(grantee))),
+    ];
+    if (node.grantOption) {
+      parts.push(this.keyword(node.roles.length > 0 ? "WITH ADMIN OPTION" : "WITH GRANT OPTION"));
+    }
+    return parts.join(" ");
+  }
+
+  visitRevokeStatement(node) {
+    const parts = [this.keyword("REVOKE")];
+    if (node.grantOption) {
+      parts.push(this.keyword(node.roles.length > 0 ? "ADMIN OPTION FOR" : "GRANT OPTION FOR"));
+    }
+    parts.push(
+      this.grantSubject(node),
+      this.keyword("FROM"),
+      this.list(node.grantees.map((grantee) => this.identifier(grantee)))
+    );
+    if (node.behavior) {
+      parts.push(this.keyword(node.behavior));
+    }
+    return parts.join(" ");
+  }
+
+  /**
+   * Generate the privileges and objects, or the roles, of a GRANT or REVOKE statement
+   * @param {GrantStatement|RevokeStatement} node - GRANT or REVOKE node
+   * @returns {string} Subject text
+   */
+  grantSubject(node) {
+    if (node.roles.length > 0) {
+      return this.list(node.roles.map((role) => this.identifier(role)));
+    }
+    const parts = [
+      this.list(node.privileges.map((privilege) => this.generate(privilege))),
+      this.keyword("ON"),
+    ];
+    if (node.objectType) {
+      parts.push(this.keyword(node.objectType));
+    }
+    parts.push(this.list(node.objects.map((object) => this.generate(object))));
+    return parts.join(" ");
+  }
+
+  visitPrivilege(node) {
+    const name = this.keyword(node.name);
+    if (node.columns.length === 0) {
+      return name;
+    }
+    return `${name} ${this.identifierList(node.columns)}`;
+  }
+
+  visitExplainStatement(node) {
+    const parts = [this.keyword("EXPLAIN")];
+    if (node.parenthesized) {
+      parts.push(`(${this.list(node.options.map((option) => this.generate(option)))})`);
+    } else {
+      // Outside parentheses only MySQL's FORMAT = format takes a value
+      parts.push(
+        ...node.options.map((option) =>
+          option.value === null
+            ? this.keyword(option.name)
+            : `${this.keyword(option.name)} = ${this.keyword(option.value)}`
+        )
+      );
+    }
+    parts.push(this.generate(node.statement));
+    return parts.join(" ");
+  }
+
+  visitExplainOption(node) {
+    const name = this.keyword(node.name);
+    return node.value === null ? name : `${name} ${this.keyword(node.value)}`;
+  }
+
+  visitAlterTableStatement(node) {
+    const parts = [this.keyword("ALTER TABLE")];
+    if (node.ifExists) {
+      parts.push(this.keyword("IF EXISTS"));
+    }
+    parts.push(this.generate(node.table));
+    return this.listClause(parts.join(" "), node.actions);
+  }
+
+  visitAlterTableAction(node) {
+    const parts = [];
+    switch (node.action) {
+      case "ADD CONSTRAINT":
+        parts.push(this.keyword("ADD"), this.generate(node.definition));
+        break;
+      case "ADD COLUMN":
+      case "MODIFY COLUMN":
+        parts.push(this.keyword(node.action));
+        if (node.ifNotExists) {
+          parts.push(this.keyword("IF NOT EXISTS"));
+        }
+        parts.push(this.generate(node.definition));
+        break;
+      case "DROP COLUMN":
+      case "DROP CONSTRAINT":
+        parts.push(this.keyword(node.action));
+        if (node.ifExists) {
+          parts.push(this.keyword("IF EXISTS"));
+        }
+        parts.push(this.identifier(node.name));
+        if (node.behavior) {
+          parts.push(this.keyword(node.behavior));
+        }
+        break;
+      case "RENAME TABLE":
+        parts.push(this.keyword("RENAME TO"), this.identifier(node.newName));
+        break;
+      case "RENAME COLUMN":
+        parts.push(
+          this.keyword("RENAME COLUMN"),
+          this.identifier(node.name),
+          this.keyword("TO"),
+          this.identifier(node.newName)
+        );
+        break;
+      case "ALTER COLUMN":
+        parts.push(this.keyword("ALTER COLUMN"), this.identifier(node.name), this.keyword(node.operation));
+        if (node.dataType) {
+          parts.push(this.generate(node.dataType));
+        }
+        if (node.defaultValue) {
+          parts.push(this.generate(node.defaultValue));
+        }
+        break;
+      default:
+        throw SQLError.unsupportedFeature(`ALTER TABLE action ${node.action}`, 0, 0);
+    }
+    return parts.join(" ");
+  }
+
+  visitColumnDefinition(node) {
+    const parts = [this.identifier(node.name), this.generate(node.dataType)];
+    if (node.nullable === false) {
+      parts.push(this.keyword("NOT NULL"));
+    } else if (node.nullable === true) {
+      parts.push(this.keyword("NULL"));
+    }
+    if (node.defaultValue) {
+      parts.push(`${this.keyword("DEFAULT")} ${this.generate(node.defaultValue)}`);
+    }
+    if (node.autoIncrement) {
+      parts.push(this.keyword("AUTO_INCREMENT"));
+    }
+    node.constraints.forEach((constraint) => parts.push(this.generate(constraint)));
+    return parts.join(" ");
+  }
+
+  visitConstraintDefinition(node) {
+    const parts = [];
+    if (node.name) {
+      parts.push(`${this.keyword("CONSTRAINT")} ${this.identifier(node.name)}`);
+    }
+
+    const columns = node.columns.length ? this.identifierList(node.columns) : "";
+    switch (node.constraintType) {
+      case "CHECK":
+        parts.push(`${this.keyword("CHECK")} (${this.generate(node.expression)})`);
+        break;
+      case "FOREIGN KEY":
+        // Inline foreign keys are just a REFERENCES clause
+        if (columns) {
+          parts.push(`${this.keyword("FOREIGN KEY")} ${columns}`);
+        }
+        parts.push(this.generate(node.references));
+        break;
+      default:
+        parts.push(this.keyword(node.constraintType));
+        if (columns) {
+          parts.push(columns);
+        }
+    }
+    return parts.join(" ");
+  }
+
+  visitReferenceDefinition(node) {
+    const parts = [`${this.keyword("REFERENCES")} ${this.generate(node.table)}`];
+    if (node.columns.length) {
+      parts.push(this.identifierList(node.columns));
+    }
+    if (node.onDelete) {
+      parts.push(`${this.keyword("ON DELETE")} ${this.keyword(node.onDelete)}`);
+    }
+    if (node.onUpdate) {
+      parts.push(`${this.keyword("ON UPDATE")} ${this.keyword(node.onUpdate)}`);
+    }
+    return parts.join(" ");
+  }
+
+  visitDataType(node) {
+    const parameters = node.parameters.length
+      ? `(${this.list(node.parameters.map((parameter) => this.generate(parameter)))})`
+      : "";
+    const arrays = (node.arrayDimensions || [])
+      .map((size) => `[${size ? this.generate(size) : ""}]`)
+      .join("");
+    return `${[
+      `${this.keyword(node.name)}${parameters}`,
+      ...node.modifiers.map((modifier) => this.keyword(modifier)),
+    ].join(" ")}${arrays}`;
+  }
+
+  visitCast(node) {
+    const dataType = this.generate(node.dataType);
+    if (node.syntax === "::") {
+      return `${this.operand(node.expression, PRIMARY_PRECEDENCE)}::${dataType}`;
+    }
+    if (node.syntax === "CONVERT") {
+      const style = node.style ? `, ${this.generate(node.style)}` : "";
+      return `${this.keyword("CONVERT")}(${dataType}, ${this.generate(node.expression)}${style})`;
+    }
+    return `${this.keyword(node.syntax)}(${this.generate(node.expression)} ${this.keyword(
+      "AS"
+    )} ${dataType})`;
+  }
+}
@@ -2,17 +2,39 @@
  * SQL Parser Library - Main Entry Point
  *
  * A powerful SQL parser that converts SQL statements into Abstract Syntax Trees (AST)
- * Supports SELECT, INSERT, UPDATE, DELETE statements with comprehensive error handling
+ * Supports SELECT, INSERT, UPDATE, DELETE, MERGE and DDL (CREATE, ALTER, DROP, TRUNCATE) statements with comprehensive error handling
+ * and generates SQL text back from (possibly modified) ASTs
  */
 
 import { Lexer } from "./lexer/lexer.js";
+import { TokenType } from "./lexer/token-types.js";
 import { Parser } from "./parser/parser.js";
 import { SQLError } from "./errors/sql-error.js";
+import { SQLGenerator } from "./generator/sql-generator.js";
+import { SQLFormatter } from "./formatter/sql-formatter.js";
+import {
+  Dialect,
+  getDialect,
+  registerDialect,
+  listDialects,
+} from "./dialects/dialect.js";
 import {
   analyzeSelectQuery,
   analyzeQueryComplexity,
+  extractReturningFields,
+  extractPrivileges,
+  extractStatementTables,
 } from "./analyzer/query-analyzer.js";
 
+/**
+ * Qualified name of a table reference, e.g. catalog.schema.table (internal helper)
+ * @param {Object} node - TableReference node
+ * @returns {string} Dot separated table name
+ */
+function qualifiedTableName(node) {
+  return [node.catalog, node.schema, node.name].filter(Boolean).join(".");
+}
+
 /**
  * Extract tables from AST (internal helper)
  * @param {Object} ast - The AST object
@@ -29,7 +51,7 @@ function extractTablesFromAST(ast) {
     if (node && typeof node === "object") {
       // Handle TableReference nodes - extract the actual table name for each reference
       if (node.type === "TableReference" && node.name) {
-        tables.push(node.name);
+        tables.push(qualifiedTableName(node));
       }
 
       // Recursively traverse all properties
@@ -88,13 +110,86 @@ function extractColumnsFromAST(ast) {
   return Array.from(columns);
 }
 
+/**
+ * Dotted name of a (possibly cast) column reference, e.g. u.id (internal helper)
+ * @param {Object} node - AST node
+ * @returns {string|null} Column name, or null if the node is not a column reference
+ */
+function columnNameOf(node) {
+  if (node && node.type === "Cast") {
+    return columnNameOf(node.expression);
+  }
+  if (!node || node.type !== "ColumnReference") {
+    return null;
+  }
+  return [node.catalog, node.schema, node.table, node.name].filter(Boolean).join(".");
+}
+
+/**
+ * Extract bind parameters from AST (internal helper)
+ * @param {Object} ast - The AST object
+ * @returns {Array<Object>} One { position, style, prefix, name, number, column } entry per
+ *   placeholder in statement order, where column is the column the parameter is compared
+ *   with, assigned to or inserted into (null if there is none)
+ */
+function extractParametersFromAST(ast) {
+  const parameters = [];
+
+  // column: the column a node is compared with, passed on into IN lists, BETWEEN ranges and arrays
+  const traverseAST = (node, column = null) => {
+    if (Array.isArray(node)) {
+      node.forEach((item) => traverseAST(item, column));
+      return;
+    }
+    if (!node || typeof node !== "object") {
+      return;
+    }
+
+    switch (node.type) {
+      case "Parameter": {
+        const { position, style, prefix, name, number } = node;
+        parameters.push({ position, style, prefix, name, number, column });
+        return;
+      }
+      case "BinaryExpression":
+        traverseAST(node.left, columnNameOf(node.right));
+        traverseAST(node.right, columnNameOf(node.left));
+        traverseAST(node.escape);
+        return;
+      case "ValuesList":
+      case "BetweenRange":
+      case "ArrayLiteral":
+      case "Cast":
+        Object.values(node).forEach((value) => traverseAST(value, column));
+        return;
+      case "Assignment":
+        traverseAST(node.value, node.table ? `${node.table}.${node.column}` : node.column);
+        return;
+      case "InsertStatement":
+      case "MergeWhenClause":
+        // VALUES rows line up with the column list
+        [].concat(node.values || []).forEach((row) =>
+          row.values.forEach((value, index) => traverseAST(value, node.columns[index] || null))
+        );
+        Object.entries(node).forEach(([key, value]) => key !== "values" && traverseAST(value));
+        return;
+    }
+
+    Object.values(node).forEach((value) => traverseAST(value));
+  };
+
+  traverseAST(ast);
+  return parameters.sort((a, b) => a.position - b.position);
+}
+
 /**
  * Main SQL parsing function
  * @param {string} sqlString - The SQL statement to parse
  * @param {Object} options - Parsing options
  * @param {boolean} options.strict - Enable strict mode (default: false)
  * @param {boolean} options.includeComments - Include comments in AST (default: false)
- * @param {string} options.dialect - SQL dialect (default: 'standard')
+ * @param {string|Dialect} options.dialect - SQL dialect: 'standard', 'mysql', 'postgresql',
+ *   'sqlite', 'tsql' or a name passed to registerDialect (default: 'standard')
  * @returns {Object} Parsed AST object
  * @throws {SQLError} When parsing fails
  */
@@ -120,15 +215,17 @@ export function parseSQL(sqlString, options = {}) {
     const parser = new Parser(tokens, config);
     const ast = parser.parse();
 
-    // Extract tables and columns for convenience
+    // Extract tables, columns and bind parameters for convenience
     const tables = extractTablesFromAST(ast);
     const columns = extractColumnsFromAST(ast);
+    const parameters = extractParametersFromAST(ast);
 
     return {
       success: true,
       ast,
       tables,
       columns,
+      parameters,
       tokens: config.includeTokens ? tokens : undefined,
       errors: [],
     };
@@ -139,6 +236,7 @@ export function parseSQL(sqlString, options = {}) {
         ast: null,
         tables: [],
         columns: [],
+        parameters: [],
         errors: [error.toJSON()],
       };
     }
@@ -149,6 +247,7 @@ export function parseSQL(sqlString, options = {}) {
       ast: null,
       tables: [],
       columns: [],
+      parameters: [],
       errors: [
         {
           code: "UNEXPECTED_ERROR",
@@ -161,6 +260,111 @@ export function parseSQL(sqlString, options = {}) {
   }
 }
 
+/**
+ * Parse a script of semicolon separated SQL statements (e.g. a migration file)
+ * @param {string} sqlString - The SQL script to parse
+ * @param {Object} options - Parsing options (same as parseSQL)
+ * @returns {Object} Script result with one entry per statement; a statement that
+ *   fails to parse is reported in its entry and does not stop the following ones
+ */
+export function parseScript(sqlString, options = {}) {
+  if (typeof sqlString !== "string") {
+    throw new SQLError("Input must be a string", "INVALID_INPUT", 0, 0);
+  }
+
+  const config = {
+    strict: false,
+    includeComments: false,
+    dialect: "standard",
+    ...options,
+  };
+
+  try {
+    const lexer = new Lexer(sqlString, { ...config, recoverFromErrors: true });
+    const parser = new Parser(lexer.tokenize(), config);
+
+    const statements = parser
+      .parseScript()
+      .map(({ ast, error, start, end, line, column }) => ({
+        success: error === null,
+        ast,
+        sql: sqlString.slice(start, end),
+        range: { start, end, line, column },
+        tables: extractTablesFromAST(ast),
+        columns: extractColumnsFromAST(ast),
+        parameters: extractParametersFromAST(ast),
+        errors: error ? [error.toJSON()] : [],
+      }));
+
+    return {
+      success: statements.every((statement) => statement.success),
+      statements,
+      errors: statements.flatMap((statement) => statement.errors),
+    };
+  } catch (error) {
+    return {
+      success: false,
+      statements: [],
+      errors: [
+        error instanceof SQLError
+          ? error.toJSON()
+          : {
+              code: "UNEXPECTED_ERROR",
+              message: error.message,
+              line: 0,
+              column: 0,
+            },
+      ],
+    };
+  }
+}
+
+/**
+ * Generate SQL text from an AST
+ * @param {ASTNode} ast - The AST to generate SQL for (e.g. `parseSQL(sql).ast`)
+ * @param {Object} options - Generation options
+ * @param {string} options.keywordCase - 'preserve', 'upper' or 'lower' (default: 'preserve')
+ * @param {string|Dialect} options.dialect - Dialect whose quoting rules are used (default: 'standard')
+ * @returns {string} SQL text that parses back into an equal AST
+ * @throws {SQLError} When the AST contains an unsupported node type
+ */
+export function generateSQL(ast, options = {}) {
+  if (!ast || typeof ast !== "object") {
+    throw new SQLError("AST must be an object", "INVALID_INPUT", 0, 0);
+  }
+
+  return new SQLGenerator(options).generate(ast);
+}
+
+/**
+ * Format a SQL statement with normalized layout
+ * @param {string} sqlString - The SQL statement to format
+ * @param {Object} options - Formatting options
+ * @param {number|string} options.indent - Spaces per indentation level, or the indent string (default: 2)
+ * @param {string} options.keywordCase - 'upper', 'lower' or 'preserve' (default: 'upper')
+ * @param {string} options.commaPosition - 'trailing' or 'leading' (default: 'trailing')
+ * @param {number} options.maxLineWidth - Line width above which lists and conditions break (default: 80)
+ * @param {boolean} options.alignAliases - Align AS aliases in multi-line SELECT lists (default: false)
+ * @param {string|Dialect} options.dialect - Dialect used to parse and quote (default: 'standard')
+ * @returns {string} Formatted SQL
+ * @throws {SQLError} When the SQL cannot be parsed or contains comments
+ */
+export function formatSQL(sqlString, options = {}) {
+  if (typeof sqlString !== "string") {
+    throw new SQLError("Input must be a string", "INVALID_INPUT", 0, 0);
+  }
+
+  // Strict mode and no comments so that nothing the formatter cannot represent is silently dropped
+  const tokens = new Lexer(sqlString, { ...options, includeComments: true }).tokenize();
+  const comment = tokens.find((token) => token.is(TokenType.COMMENT));
+  if (comment) {
+    throw SQLError.unsupportedFeature("comments in formatSQL input", comment.line, comment.column);
+  }
+  const ast = new Parser(tokens, { ...options, strict: true }).parse();
+
+  return new SQLFormatter(options).format(ast);
+}
+
 /**
  * Validate SQL syntax without full parsing
  * @param {string} sqlString - The SQL statement to validate
@@ -207,7 +411,7 @@ export function extractTables(sqlString) {
       if (node && typeof node === "object") {
         // Handle TableReference nodes - only extract the actual table name, not alias
         if (node.type === "TableReference" && node.name) {
-          tables.add(node.name);
+          tables.add(qualifiedTableName(node));
         }
 
         // Recursively traverse all properties
@@ -309,7 +513,16 @@ export function analyzeSQL(sql, options = {}) {
       };
     }
 
-    const ast = parseResult.ast;
+    // EXPLAIN 分析被解释的语句，并在 query.explain 中报告 EXPLAIN 选项
+    const explain = parseResult.ast.type === "ExplainStatement" ? parseResult.ast : null;
+    const ast = explain ? explain.statement : parseResult.ast;
+    const query = {
+      type: ast.type,
+      sql: sql.trim(),
+    };
+    if (explain) {
+      query.explain = explain.options;
+    }
 
     // 如果是SELECT查询，进行详细分析
     if (ast.type === "SelectStatement") {
@@ -318,10 +531,7 @@ export function analyzeSQL(sql, options = {}) {
 
       return {
         success: true,
-        query: {
-          type: ast.type,
-          sql: sql.trim(),
-        },
+        query,
         analysis,
         complexity,
         ast: parseResult,
@@ -330,18 +540,17 @@ export function analyzeSQL(sql, options = {}) {
       // 对于非SELECT查询，返回基本信息
       return {
         success: true,
-        query: {
-          type: ast.type,
-          sql: sql.trim(),
-        },
+        query,
         analysis: {
           conditions: [],
-          fields: [],
-          tables: extractTables(ast),
+          fields: extractReturningFields(ast),
+          tables: extractStatementTables(ast),
           joins: [],
           orderBy: [],
           groupBy: [],
           limit: null,
+          locking: [],
+          privileges: extractPrivileges(ast),
         },
         complexity: {
           level: "simple",
@@ -367,15 +576,32 @@ export function analyzeSQL(sql, options = {}) {
 export { Lexer } from "./lexer/lexer.js";
 export { Parser } from "./parser/parser.js";
 export { SQLError } from "./errors/sql-error.js";
+export { SQLGenerator } from "./generator/sql-generator.js";
+export { SQLFormatter } from "./formatter/sql-formatter.js";
+export {
+  Dialect,
+  getDialect,
+  registerDialect,
+  listDialects,
+} from "./dialects/dialect.js";
 
 // Default export for convenience
 export default {
   parseSQL,
+  parseScript,
   validateSQL,
   extractTables,
   extractColumns,
   analyzeSQL,
+  generateSQL,
+  formatSQL,
   Lexer,
   Parser,
   SQLError,
+  SQLGenerator,
+  SQLFormatter,
+  Dialect,
+  getDialect,
+  registerDialect,
+  listDialects,
 };
@@ -5,14 +5,30 @@
  * Handles keywords, identifiers, operators, literals, and comments
  */
 
-import { Token, TokenType, KEYWORDS } from "./token-types.js";
+import { Token, TokenType } from "./token-types.js";
 import { SQLError } from "../errors/sql-error.js";
+import { getDialect } from "../dialects/dialect.js";
+
+// Tokens after which ? and : continue an expression instead of starting a parameter
+const OPERAND_END_TYPES = [
+  TokenType.IDENTIFIER,
+  TokenType.STRING,
+  TokenType.NUMBER,
+  TokenType.BOOLEAN,
+  TokenType.NULL,
+  TokenType.PARAMETER,
+  TokenType.RIGHT_PAREN,
+  TokenType.RIGHT_BRACKET,
+];
 
 export class Lexer {
   /**
    * Create a new lexer instance
    * @param {string} input - SQL source code to tokenize
    * @param {Object} options - Lexer options
+   * @param {string|Dialect} options.dialect - SQL dialect (default: 'standard')
+   * @param {boolean} options.recoverFromErrors - Turn lexical errors into UNKNOWN tokens that
+   *   extend to the next semicolon instead of throwing (default: false)
    */
   constructor(input, options = {}) {
     this.input = input;
@@ -20,11 +36,14 @@ export class Lexer {
     this.line = 1;
     this.column = 1;
     this.tokens = [];
+    this.bracketDepth = 0; // Nesting of [ ], where : is a slice separator
     this.options = {
       includeWhitespace: false,
       includeComments: false,
+      recoverFromErrors: false,
       ...options,
     };
+    this.dialect = getDialect(this.options.dialect);
   }
 
   /**
@@ -110,9 +129,8 @@ export class Lexer {
       value += this.advance();
     }
 
-    // Check if it's a keyword
-    const upperValue = value.toUpperCase();
-    const tokenType = KEYWORDS[upperValue] || TokenType.IDENTIFIER;
+    // Check if it's a keyword of the active dialect
+    const tokenType = this.dialect.keywordType(value) || TokenType.IDENTIFIER;
 
     return new Token(
       tokenType,
@@ -125,8 +143,8 @@ export class Lexer {
   }
 
   /**
-   * Read quoted identifier (backticks or double quotes)
-   * @param {string} quote - Quote character
+   * Read quoted identifier (quote characters depend on the dialect)
+   * @param {string} quote - Closing quote character
    * @returns {Token} Identifier token
    */
   readQuotedIdentifier(quote) {
@@ -138,8 +156,12 @@ export class Lexer {
     // Skip opening quote
     this.advance();
 
-    while (this.current() && this.current() !== quote) {
-      if (this.current() === "\\") {
+    while (this.current() && !this.atClosingQuote(quote)) {
+      if (this.current() === quote) {
+        // Doubled closing quote
+        this.advance();
+        value += this.advance();
+      } else if (this.current() === "\\" && this.dialect.escapes.backslash) {
         // Handle escape sequences
         this.advance();
         if (this.current()) {
@@ -171,6 +193,19 @@ export class Lexer {
     );
   }
 
+  /**
+   * Check if the current character closes quoted text, i.e. it is the
+   * closing quote and not the first half of a doubled-quote escape
+   * @param {string} quote - Closing quote character
+   * @returns {boolean} True if the quoted text ends here
+   */
+  atClosingQuote(quote) {
+    return (
+      this.current() === quote &&
+      !(this.dialect.escapes.doubledQuote && this.peek() === quote)
+    );
+  }
+
   /**
    * Read string literal
    * @param {string} quote - Quote character (' or ")
@@ -185,8 +220,12 @@ export class Lexer {
     // Skip opening quote
     this.advance();
 
-    while (this.current() && this.current() !== quote) {
-      if (this.current() === "\\") {
+    while (this.current() && !this.atClosingQuote(quote)) {
+      if (this.current() === quote) {
+        // Doubled quote
+        this.advance();
+        value += this.advance();
+      } else if (this.current() === "\\" && this.dialect.escapes.backslash) {
         // Handle escape sequences
         this.advance();
         const escaped = this.current();
@@ -294,22 +333,120 @@ export class Lexer {
     );
   }
 
+  /**
+   * Get the last token read, ignoring whitespace and comments
+   * @returns {Token|null} Previous token or null at the start of the input
+   */
+  previousToken() {
+    for (let i = this.tokens.length - 1; i >= 0; i--) {
+      const token = this.tokens[i];
+      if (![TokenType.WHITESPACE, TokenType.NEWLINE, TokenType.COMMENT].includes(token.type)) {
+        return token;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether the previous token ends an operand (a name, literal,
+   * parameter or closing bracket)
+   * @returns {boolean} True if an operand precedes the current position
+   */
+  afterOperand() {
+    const token = this.previousToken();
+    return Boolean(token) && OPERAND_END_TYPES.includes(token.type);
+  }
+
+  /**
+   * Check whether a bind parameter starts at the current position
+   * ?, $1, $name, :1, :name or @name (but not the :: cast operator). After an
+   * operand, ? is the JSON key operator where the dialect has one, and inside
+   * brackets : separates the bounds of an array slice
+   * @returns {boolean} True if a parameter starts here
+   */
+  atParameter() {
+    const char = this.current();
+    const next = this.peek();
+
+    if (char === "?") {
+      return !(this.afterOperand() && this.dialect.operatorAt(this.input, this.position));
+    }
+    if (char === ":" && this.bracketDepth > 0) {
+      return false;
+    }
+    if (char === "$" || char === ":") {
+      return Boolean(next) && /[a-zA-Z0-9_]/.test(next);
+    }
+    if (char === "@") {
+      return Boolean(next) && /[a-zA-Z_]/.test(next);
+    }
+    return false;
+  }
+
+  /**
+   * Read system variable, e.g. @@autocommit or the @@session of @@session.sql_mode
+   * @returns {Token} Identifier token whose value keeps the @@ prefix
+   */
+  readSystemVariable() {
+    const start = this.position;
+    const startLine = this.line;
+    const startColumn = this.column;
+    let value = this.advance() + this.advance();
+
+    while (this.current() && /[a-zA-Z0-9_]/.test(this.current())) {
+      value += this.advance();
+    }
+
+    return new Token(
+      TokenType.IDENTIFIER,
+      value,
+      startLine,
+      startColumn,
+      start,
+      this.position
+    );
+  }
+
+  /**
+   * Read bind parameter
+   * @returns {Token} Parameter token whose value is the full placeholder text
+   */
+  readParameter() {
+    const start = this.position;
+    const startLine = this.line;
+    const startColumn = this.column;
+    let value = this.advance();
+    // ?NNN (SQLite) only takes digits, $ : and @ take names as well
+    const pattern = value === "?" ? /[0-9]/ : /[a-zA-Z0-9_]/;
+
+    while (this.current() && pattern.test(this.current())) {
+      value += this.advance();
+    }
+
+    return new Token(
+      TokenType.PARAMETER,
+      value,
+      startLine,
+      startColumn,
+      start,
+      this.position
+    );
+  }
+
   /**
    * Read single-line comment
+   * @param {string} marker - Comment marker (e.g. -- or #)
    * @returns {Token|null} Comment token or null if not including comments
    */
-  readSingleLineComment() {
+  readSingleLineComment(marker) {
     const start = this.position;
     const startLine = this.line;
     const startColumn = this.column;
     let value = "";
 
-    // Skip -- or #
-    if (this.current() === "-") {
-      this.advance(); // first -
-      this.advance(); // second -
-    } else {
-      this.advance(); // #
+    // Skip the comment marker
+    for (let i = 0; i < marker.length; i++) {
+      this.advance();
     }
 
     // Read until end of line
@@ -370,92 +507,22 @@ export class Lexer {
   }
 
   /**
-   * Read operator token
+   * Read operator token (longest match in the dialect's operator table)
+   * @param {string} operator - Operator text found at the current position
    * @returns {Token} Operator token
    */
-  readOperator() {
+  readOperator(operator) {
     const start = this.position;
     const startLine = this.line;
     const startColumn = this.column;
-    const char = this.current();
-    let value = char;
-    let tokenType;
 
-    this.advance();
-
-    switch (char) {
-      case "=":
-        tokenType = TokenType.EQUALS;
-        break;
-      case "<":
-        if (this.current() === "=") {
-          value += this.advance();
-          tokenType = TokenType.LESS_THAN_EQUALS;
-        } else if (this.current() === ">") {
-          value += this.advance();
-          tokenType = TokenType.NOT_EQUALS;
-        } else {
-          tokenType = TokenType.LESS_THAN;
-        }
-        break;
-      case ">":
-        if (this.current() === "=") {
-          value += this.advance();
-          tokenType = TokenType.GREATER_THAN_EQUALS;
-        } else {
-          tokenType = TokenType.GREATER_THAN;
-        }
-        break;
-      case "!":
-        if (this.current() === "=") {
-          value += this.advance();
-          tokenType = TokenType.NOT_EQUALS;
-        } else {
-          throw SQLError.lexicalError(
-            `Unexpected character: ${char}`,
-            startLine,
-            startColumn
-          );
-        }
-        break;
-      case "+":
-        tokenType = TokenType.PLUS;
-        break;
-      case "-":
-        tokenType = TokenType.MINUS;
-        break;
-      case "*":
-        tokenType = TokenType.MULTIPLY;
-        break;
-      case "/":
-        tokenType = TokenType.DIVIDE;
-        break;
-      case "%":
-        tokenType = TokenType.MODULO;
-        break;
-      case "|":
-        if (this.current() === "|") {
-          value += this.advance();
-          tokenType = TokenType.CONCAT;
-        } else {
-          throw SQLError.lexicalError(
-            `Unexpected character: ${char}`,
-            startLine,
-            startColumn
-          );
-        }
-        break;
-      default:
-        throw SQLError.lexicalError(
-          `Unknown operator: ${char}`,
-          startLine,
-          startColumn
-        );
+    for (let i = 0; i < operator.length; i++) {
+      this.advance();
     }
 
     return new Token(
-      tokenType,
-      value,
+      this.dialect.operators[operator],
+      operator,
       startLine,
       startColumn,
       start,
@@ -484,6 +551,9 @@ export class Lexer {
       case ".":
         tokenType = TokenType.DOT;
         break;
+      case ":":
+        tokenType = TokenType.COLON;
+        break;
       case "(":
         tokenType = TokenType.LEFT_PAREN;
         break;
@@ -492,9 +562,11 @@ export class Lexer {
         break;
       case "[":
         tokenType = TokenType.LEFT_BRACKET;
+        this.bracketDepth++;
         break;
       case "]":
         tokenType = TokenType.RIGHT_BRACKET;
+        this.bracketDepth = Math.max(0, this.bracketDepth - 1);
         break;
       default:
         throw SQLError.lexicalError(
@@ -515,131 +587,187 @@ export class Lexer {
   }
 
   /**
-   * Tokenize the input string
-   * @returns {Array<Token>} Array of tokens
+   * Read the token at the current position and add it to the token list
+   * (whitespace and comments are only added when requested)
    */
-  tokenize() {
-    this.tokens = [];
-    this.position = 0;
-    this.line = 1;
-    this.column = 1;
-
-    while (this.position < this.input.length) {
-      const char = this.current();
-
-      // Skip whitespace
-      if (/\s/.test(char) && char !== "\n") {
-        if (this.options.includeWhitespace) {
-          const start = this.position;
-          const startLine = this.line;
-          const startColumn = this.column;
-          this.skipWhitespace();
-
-          this.tokens.push(
-            new Token(
-              TokenType.WHITESPACE,
-              this.input.slice(start, this.position),
-              startLine,
-              startColumn,
-              start,
-              this.position
-            )
-          );
-        } else {
-          this.skipWhitespace();
-        }
-        continue;
-      }
+  readToken() {
+    const char = this.current();
 
-      // Handle newlines
-      if (char === "\n") {
+    // Skip whitespace
+    if (/\s/.test(char) && char !== "\n") {
+      if (this.options.includeWhitespace) {
         const start = this.position;
         const startLine = this.line;
         const startColumn = this.column;
-        this.advance();
+        this.skipWhitespace();
 
-        if (this.options.includeWhitespace) {
-          this.tokens.push(
-            new Token(
-              TokenType.NEWLINE,
-              "\n",
-              startLine,
-              startColumn,
-              start,
-              this.position
-            )
-          );
-        }
-        continue;
+        this.tokens.push(
+          new Token(
+            TokenType.WHITESPACE,
+            this.input.slice(start, this.position),
+            startLine,
+            startColumn,
+            start,
+            this.position
+          )
+        );
+      } else {
+        this.skipWhitespace();
       }
+      return;
+    }
 
-      // Comments
-      if (char === "-" && this.peek() === "-") {
-        const token = this.readSingleLineComment();
-        if (token) {
-          this.tokens.push(token);
-        }
-        continue;
-      }
+    // Handle newlines
+    if (char === "\n") {
+      const start = this.position;
+      const startLine = this.line;
+      const startColumn = this.column;
+      this.advance();
 
-      if (char === "#") {
-        const token = this.readSingleLineComment();
-        if (token) {
-          this.tokens.push(token);
-        }
-        continue;
+      if (this.options.includeWhitespace) {
+        this.tokens.push(
+          new Token(
+            TokenType.NEWLINE,
+            "\n",
+            startLine,
+            startColumn,
+            start,
+            this.position
+          )
+        );
       }
+      return;
+    }
 
-      if (char === "/" && this.peek() === "*") {
-        const token = this.readMultiLineComment();
-        if (token) {
-          this.tokens.push(token);
-        }
-        continue;
+    // Comments
+    const commentMarker = this.dialect.lineCommentAt(this.input, this.position);
+    if (commentMarker) {
+      const token = this.readSingleLineComment(commentMarker);
+      if (token) {
+        this.tokens.push(token);
       }
+      return;
+    }
 
-      // String literals (single quotes only)
-      if (char === "'") {
-        this.tokens.push(this.readString(char));
-        continue;
+    if (this.dialect.blockComments && char === "/" && this.peek() === "*") {
+      const token = this.readMultiLineComment();
+      if (token) {
+        this.tokens.push(token);
       }
+      return;
+    }
 
-      // Quoted identifiers (double quotes and backticks)
-      if (char === '"' || char === "`") {
-        this.tokens.push(this.readQuotedIdentifier(char));
-        continue;
-      }
+    // String literals
+    if (this.dialect.isStringQuote(char)) {
+      this.tokens.push(this.readString(char));
+      return;
+    }
 
-      // Numbers
-      if (/\d/.test(char)) {
-        this.tokens.push(this.readNumber());
-        continue;
-      }
+    // Quoted identifiers
+    const closingQuote = this.dialect.identifierClosingQuote(char);
+    if (closingQuote) {
+      this.tokens.push(this.readQuotedIdentifier(closingQuote));
+      return;
+    }
 
-      // Identifiers and keywords
-      if (/[a-zA-Z_]/.test(char)) {
-        this.tokens.push(this.readIdentifier());
-        continue;
-      }
+    // Numbers
+    if (/\d/.test(char)) {
+      this.tokens.push(this.readNumber());
+      return;
+    }
 
-      // Operators
-      if ("=<>!+-*/%|".includes(char)) {
-        this.tokens.push(this.readOperator());
-        continue;
-      }
+    // Identifiers and keywords
+    if (/[a-zA-Z_]/.test(char)) {
+      this.tokens.push(this.readIdentifier());
+      return;
+    }
+
+    // System variables such as @@session.sql_mode
+    if (char === "@" && this.peek() === "@" && /[a-zA-Z_]/.test(this.peek(2) || "")) {
+      this.tokens.push(this.readSystemVariable());
+      return;
+    }
+
+    // Bind parameters
+    if (this.atParameter()) {
+      this.tokens.push(this.readParameter());
+      return;
+    }
+
+    // Operators
+    const operator = this.dialect.operatorAt(this.input, this.position);
+    if (operator) {
+      this.tokens.push(this.readOperator(operator));
+      return;
+    }
+
+    // Punctuation
+    if (";,.()[]".includes(char) || (char === ":" && this.bracketDepth > 0)) {
+      this.tokens.push(this.readPunctuation());
+      return;
+    }
+
+    // Unknown character
+    throw SQLError.lexicalError(
+      `Unexpected character: ${char}`,
+      this.line,
+      this.column
+    );
+  }
 
-      // Punctuation
-      if (";,.()[]".includes(char)) {
-        this.tokens.push(this.readPunctuation());
+  /**
+   * Skip the rest of a statement after a lexical error, producing an UNKNOWN
+   * token that covers the skipped text and carries the error
+   * @param {SQLError} error - Lexical error
+   * @param {number} start - Position where the failed token started
+   * @param {number} line - Line where the failed token started
+   * @param {number} column - Column where the failed token started
+   */
+  recoverFromError(error, start, line, column) {
+    while (this.current() && this.current() !== ";") {
+      this.advance();
+    }
+
+    const token = new Token(
+      TokenType.UNKNOWN,
+      this.input.slice(start, this.position),
+      line,
+      column,
+      start,
+      this.position
+    );
+    token.error = error;
+    this.tokens.push(token);
+  }
+
+  /**
+   * Tokenize the input string
+   * @returns {Array<Token>} Array of tokens
+   */
+  tokenize() {
+    this.tokens = [];
+    this.bracketDepth = 0;
+    this.position = 0;
+    this.line = 1;
+    this.column = 1;
+
+    while (this.position < this.input.length) {
+      if (!this.options.recoverFromErrors) {
+        this.readToken();
         continue;
       }
 
-      // Unknown character
-      throw SQLError.lexicalError(
-        `Unexpected character: ${char}`,
-        this.line,
-        this.column
-      );
+      const start = this.position;
+      const line = this.line;
+      const column = this.column;
+      try {
+        this.readToken();
+      } catch (error) {
+        if (!(error instanceof SQLError)) {
+          throw error;
+        }
+        this.recoverFromError(error, start, line, column);
+      }
     }
 
     // Add EOF token
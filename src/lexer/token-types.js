@@ -11,6 +11,7 @@ export const TokenType = {
     NUMBER: 'NUMBER',
     BOOLEAN: 'BOOLEAN',
     NULL: 'NULL',
+    PARAMETER: 'PARAMETER',     // Bind parameter: ?, $1, $name, :name, @name
 
     // Keywords - DDL
     CREATE: 'CREATE',
@@ -41,6 +42,7 @@ export const TokenType = {
     FULL: 'FULL',
     OUTER: 'OUTER',
     CROSS: 'CROSS',
+    NATURAL: 'NATURAL',
     ON: 'ON',
     USING: 'USING',
     GROUP: 'GROUP',
@@ -150,11 +152,23 @@ export const TokenType = {
     DIVIDE: 'DIVIDE',                    // /
     MODULO: 'MODULO',                    // %
     CONCAT: 'CONCAT',                    // ||
+    DOUBLE_COLON: 'DOUBLE_COLON',        // :: (PostgreSQL cast)
+    ARROW: 'ARROW',                      // -> (JSON field)
+    LONG_ARROW: 'LONG_ARROW',            // ->> (JSON field as text)
+    HASH_ARROW: 'HASH_ARROW',            // #> (JSON path)
+    HASH_LONG_ARROW: 'HASH_LONG_ARROW',  // #>> (JSON path as text)
+    CONTAINS: 'CONTAINS',                // @>
+    CONTAINED_BY: 'CONTAINED_BY',        // <@
+    HAS_KEY: 'HAS_KEY',                  // ? (JSON key exists)
+    HAS_ANY_KEY: 'HAS_ANY_KEY',          // ?| (JSON any key exists)
+    HAS_ALL_KEYS: 'HAS_ALL_KEYS',        // ?& (JSON all keys exist)
+    OVERLAPS: 'OVERLAPS',                // && (array overlap)
 
     // Punctuation
     SEMICOLON: 'SEMICOLON',              // ;
     COMMA: 'COMMA',                      // ,
     DOT: 'DOT',                          // .
+    COLON: 'COLON',                      // : (array slice)
     LEFT_PAREN: 'LEFT_PAREN',            // (
     RIGHT_PAREN: 'RIGHT_PAREN',          // )
     LEFT_BRACKET: 'LEFT_BRACKET',        // [
@@ -201,6 +215,7 @@ export const KEYWORDS = {
     'FULL': TokenType.FULL,
     'OUTER': TokenType.OUTER,
     'CROSS': TokenType.CROSS,
+    'NATURAL': TokenType.NATURAL,
     'ON': TokenType.ON,
     'USING': TokenType.USING,
     'GROUP': TokenType.GROUP,
@@ -2,12 +2,29 @@
  * SQL Parser
  *
  * Converts a sequence of tokens into an Abstract Syntax Tree (AST)
- * Supports SELECT, INSERT, UPDATE, DELETE statements with comprehensive SQL syntax
+ * Supports SELECT, INSERT, UPDATE, DELETE, MERGE and DDL (CREATE, ALTER, DROP, TRUNCATE) statements with comprehensive SQL syntax
  */
 
 import { TokenType } from "../lexer/token-types.js";
 import { SQLError } from "../errors/sql-error.js";
 import { AST } from "../ast/ast-nodes.js";
+import { getDialect } from "../dialects/dialect.js";
+
+// || and the PostgreSQL JSON and array operators share one left-associative level
+// between comparisons and + / -, as PostgreSQL's "all other operators"
+const OTHER_OPERATOR_TYPES = new Set([
+  TokenType.CONCAT,
+  TokenType.ARROW,
+  TokenType.LONG_ARROW,
+  TokenType.HASH_ARROW,
+  TokenType.HASH_LONG_ARROW,
+  TokenType.CONTAINS,
+  TokenType.CONTAINED_BY,
+  TokenType.HAS_KEY,
+  TokenType.HAS_ANY_KEY,
+  TokenType.HAS_ALL_KEYS,
+  TokenType.OVERLAPS,
+]);
 
 export class Parser {
   /**
@@ -80,10 +97,30 @@ export class Parser {
     return functionKeywords.includes(token.type);
   }
 
+  /**
+   * Check if a token can be used as an identifier, i.e. it is a plain or quoted
+   * identifier or a keyword the active dialect does not reserve
+   * @param {Token} token - Token to check
+   * @returns {boolean} True if the token can be used as an identifier
+   */
+  isIdentifier(token) {
+    if (!token) {
+      return false;
+    }
+    if (token.is(TokenType.IDENTIFIER)) {
+      return true;
+    }
+    return (
+      this.dialect.isNonReserved(token.value) &&
+      this.dialect.keywordType(token.value) === token.type
+    );
+  }
+
   /**
    * Create a new parser instance
    * @param {Array<Token>} tokens - Array of tokens from lexer
    * @param {Object} options - Parser options
+   * @param {string|Dialect} options.dialect - SQL dialect (default: 'standard')
    */
   constructor(tokens, options = {}) {
     this.tokens = tokens.filter(
@@ -100,6 +137,9 @@ export class Parser {
       allowPartialParsing: true,
       ...options,
     };
+    this.dialect = getDialect(this.options.dialect);
+    // Number of bind parameters read in the current statement
+    this.parameterCount = 0;
   }
 
   /**
@@ -200,6 +240,86 @@ export class Parser {
     return token;
   }
 
+  /**
+   * Expect and consume an identifier (including non-reserved keywords)
+   * @returns {Token} Consumed token
+   */
+  expectIdentifier() {
+    if (this.isIdentifier(this.current())) {
+      const token = this.current();
+      this.advance();
+      return token;
+    }
+    return this.expect(TokenType.IDENTIFIER);
+  }
+
+  /**
+   * Check if the current token is one of the given words. Used for contextual
+   * keywords that the lexer reads as identifiers (e.g. IF, REFERENCES, CASCADE)
+   * @param {...string} words - Upper case words
+   * @returns {boolean} True if the current token is one of the words
+   */
+  matchWord(...words) {
+    return this.isWord(this.current(), ...words);
+  }
+
+  /**
+   * Check if a token is one of the given contextual words
+   * @param {Token|null} token - Token to check
+   * @param {...string} words - Upper case words
+   * @returns {boolean} True if the token is one of the words
+   */
+  isWord(token, ...words) {
+    return (
+      Boolean(token) &&
+      token.is(TokenType.IDENTIFIER) &&
+      words.includes(token.value.toUpperCase())
+    );
+  }
+
+  /**
+   * Consume the current token if it is the given word
+   * @param {string} word - Upper case word
+   * @returns {Token|null} Consumed token or null
+   */
+  consumeWord(word) {
+    if (this.matchWord(word)) {
+      const token = this.current();
+      this.advance();
+      return token;
+    }
+    return null;
+  }
+
+  /**
+   * Expect and consume the given word, throw error if not found
+   * @param {string} word - Upper case word
+   * @returns {Token} Consumed token
+   */
+  expectWord(word) {
+    const token = this.consumeWord(word);
+    if (token) {
+      return token;
+    }
+    throw this.unexpected(word);
+  }
+
+  /**
+   * Create the error for an unexpected current token
+   * @param {string} expected - Description of the expected tokens
+   * @returns {SQLError} UNEXPECTED_END at the end of input, UNEXPECTED_TOKEN otherwise
+   */
+  unexpected(expected) {
+    const token = this.current();
+    if (!token || token.is(TokenType.EOF)) {
+      return SQLError.unexpectedEnd(
+        this.tokens[this.tokens.length - 1]?.line || 1,
+        this.tokens[this.tokens.length - 1]?.column || 1
+      );
+    }
+    return SQLError.unexpectedToken(expected, token.type, token.line, token.column);
+  }
+
   /**
    * Parse the token stream into an AST
    * @returns {ASTNode} Root AST node
@@ -215,6 +335,9 @@ export class Parser {
 
     const statement = this.parseStatement();
 
+    // A single statement may be terminated by a semicolon
+    this.consume(TokenType.SEMICOLON);
+
     // Check for trailing tokens (except EOF)
     if (this.current() && !this.current().is(TokenType.EOF)) {
       if (this.options.strict) {
@@ -230,6 +353,89 @@ export class Parser {
     return statement;
   }
 
+  /**
+   * Parse a script of semicolon separated statements. A statement that fails
+   * to parse is reported and skipped up to the next semicolon, so later
+   * statements are still parsed
+   * @returns {Array<Object>} One { ast, error, start, end, line, column } entry per
+   *   non-empty statement, where start/end are source offsets of the statement
+   */
+  parseScript() {
+    const statements = [];
+
+    while (this.current() && !this.current().is(TokenType.EOF)) {
+      // Empty statement
+      if (this.consume(TokenType.SEMICOLON)) {
+        continue;
+      }
+
+      const first = this.current();
+      let ast = null;
+      let error = null;
+
+      try {
+        const unknown = this.findUnknownToken();
+        if (unknown) {
+          throw unknown.error;
+        }
+
+        this.parameterCount = 0;
+        ast = this.parseStatement();
+
+        if (this.current() && !this.matchAny(TokenType.SEMICOLON, TokenType.EOF)) {
+          throw SQLError.unexpectedToken(
+            "end of statement",
+            this.current().type,
+            this.current().line,
+            this.current().column
+          );
+        }
+      } catch (caught) {
+        error =
+          caught instanceof SQLError
+            ? caught
+            : new SQLError(caught.message, "UNEXPECTED_ERROR", first.line, first.column);
+        ast = null;
+
+        // Skip to the end of the failed statement
+        while (this.current() && !this.matchAny(TokenType.SEMICOLON, TokenType.EOF)) {
+          this.advance();
+        }
+      }
+
+      const last = this.tokens[this.position - 1];
+      statements.push({
+        ast,
+        error,
+        start: first.start,
+        end: last.end,
+        line: first.line,
+        column: first.column,
+      });
+
+      this.consume(TokenType.SEMICOLON);
+    }
+
+    return statements;
+  }
+
+  /**
+   * Find a token the lexer could not read in the current statement
+   * @returns {Token|null} UNKNOWN token or null
+   */
+  findUnknownToken() {
+    for (let i = this.position; i < this.tokens.length; i++) {
+      const token = this.tokens[i];
+      if (token.isOneOf(TokenType.SEMICOLON, TokenType.EOF)) {
+        break;
+      }
+      if (token.is(TokenType.UNKNOWN)) {
+        return token;
+      }
+    }
+    return null;
+  }
+
   /**
    * Parse a SQL statement
    * @returns {ASTNode} Statement AST node
@@ -245,16 +451,50 @@ export class Parser {
       case TokenType.WITH:
         return this.parseWithStatement();
       case TokenType.SELECT:
-        return this.parseUnionStatement();
+      case TokenType.LEFT_PAREN:
+        return this.parseSetOperationStatement();
       case TokenType.INSERT:
         return this.parseInsertStatement();
       case TokenType.UPDATE:
         return this.parseUpdateStatement();
       case TokenType.DELETE:
         return this.parseDeleteStatement();
+      case TokenType.CREATE:
+        return this.parseCreateStatement();
+      case TokenType.ALTER:
+        return this.parseAlterTableStatement();
+      case TokenType.DROP:
+        return this.parseDropStatement();
+      case TokenType.SET:
+        return this.parseSetStatement();
       default:
+        if (this.matchWord("TRUNCATE")) {
+          return this.parseTruncateStatement();
+        }
+        if (this.matchWord("MERGE")) {
+          return this.parseMergeStatement();
+        }
+        if (this.matchWord("BEGIN", "START", "COMMIT", "ROLLBACK", "SAVEPOINT", "RELEASE")) {
+          return this.parseTransactionStatement();
+        }
+        if (this.matchWord("USE")) {
+          return this.parseUseStatement();
+        }
+        if (this.matchWord("SHOW")) {
+          return this.parseShowStatement();
+        }
+        if (this.matchWord("GRANT")) {
+          return this.parseGrantStatement();
+        }
+        if (this.matchWord("REVOKE")) {
+          return this.parseRevokeStatement();
+        }
+        if (this.matchWord("EXPLAIN")) {
+          return this.parseExplainStatement();
+        }
         throw SQLError.unexpectedToken(
-          "WITH, SELECT, INSERT, UPDATE, or DELETE",
+          "WITH, SELECT, INSERT, UPDATE, DELETE, MERGE, CREATE, ALTER, DROP, TRUNCATE, " +
+            "BEGIN, COMMIT, ROLLBACK, SAVEPOINT, SET, USE, SHOW, GRANT, REVOKE, or EXPLAIN",
           token.type,
           token.line,
           token.column
@@ -263,128 +503,110 @@ export class Parser {
   }
 
   /**
-   * Parse UNION statement (handles SELECT with optional UNION clauses)
-   * @returns {UnionStatement|SelectStatement} UNION or SELECT AST node
+   * Parse a query combining SELECT statements with UNION, INTERSECT and EXCEPT,
+   * followed by the optional ORDER BY and LIMIT of the whole query and, for a
+   * single SELECT, row locking clauses (which PostgreSQL also accepts before LIMIT)
+   * @returns {SetOperation|SelectStatement|ParenthesizedQuery} Query AST node
+   * @throws {SQLError} When a locking clause follows a set operation
    */
-  parseUnionStatement() {
-     const left = this.parseSelectStatement();
-
-     // Check for UNION
-     if (this.match(TokenType.UNION)) {
-       this.advance(); // consume UNION
-       
-       const all = this.consume(TokenType.ALL) !== null;
-       const right = this.parseUnionStatementWithoutOrderLimit(); // Recursive for multiple UNIONs
-
-       // Parse optional ORDER BY and LIMIT for the entire UNION
-       let orderByClause = null;
-       if (this.match(TokenType.ORDER)) {
-         orderByClause = this.parseOrderByClause();
-       }
-
-       let limitClause = null;
-       if (this.match(TokenType.LIMIT)) {
-         limitClause = this.parseLimitClause();
-       }
-
-       return AST.union({
-         left,
-         right,
-         unionType: all ? 'UNION ALL' : 'UNION',
-         all,
-         orderBy: orderByClause,
-         limit: limitClause
-       });
-     }
-
-     // Handle ORDER BY and LIMIT for non-UNION SELECT statements
-     let orderByClause = null;
-     if (this.match(TokenType.ORDER)) {
-       orderByClause = this.parseOrderByClause();
-     }
-
-     let limitClause = null;
-     if (this.match(TokenType.LIMIT)) {
-       limitClause = this.parseLimitClause();
-     }
+  parseSetOperationStatement() {
+    let query = this.parseSetOperation();
 
-     // If we have ORDER BY or LIMIT, update the SELECT statement
-     if (orderByClause || limitClause) {
-       left.orderBy = orderByClause;
-       left.limit = limitClause;
-     }
+    // A parenthesized query keeps its own ORDER BY and LIMIT (TOP belongs to the SELECT list),
+    // so those of the whole query go on a wrapper
+    if (
+      (query.orderBy || (query.limit && query.limit.syntax !== "TOP")) &&
+      (this.match(TokenType.ORDER) || this.isLimitStart())
+    ) {
+      query = AST.parenthesizedQuery({ query });
+    }
 
-     return left;
+    if (!query.orderBy && this.match(TokenType.ORDER)) {
+      query.orderBy = this.parseOrderByClause();
+    }
+    if (!query.limit && this.isLimitStart()) {
+      query.limit = this.parseLimitClause();
+    }
+    if (this.isLockingStart()) {
+      if (query.type !== "SelectStatement") {
+        const token = this.current();
+        throw SQLError.syntaxError(
+          "Row locking clauses are only allowed on a single SELECT",
+          token.line,
+          token.column
+        );
+      }
+      query.locking = this.parseLockingClauses();
+      if (!query.limit && this.isLimitStart()) {
+        query.limit = this.parseLimitClause();
+      }
     }
 
+    return query;
+  }
+
   /**
-   * Parse UNION statement without ORDER BY and LIMIT clauses (for recursive parsing)
-   * @returns {UnionStatement|SelectStatement} UNION or SELECT AST node
+   * Parse UNION and EXCEPT operations (lowest set operation precedence, left associative)
+   * @returns {SetOperation|SelectStatement} Set operation or SELECT AST node
    */
-  parseUnionStatementWithoutOrderLimit() {
-     const left = this.parseSelectStatementWithoutOrderLimit();
+  parseSetOperation() {
+    let left = this.parseIntersectOperation();
 
-     // Check for UNION
-     if (this.match(TokenType.UNION)) {
-       this.advance(); // consume UNION
-       
-       const all = this.consume(TokenType.ALL) !== null;
-       const right = this.parseUnionStatementWithoutOrderLimit(); // Recursive for multiple UNIONs
-
-       return AST.union({
-         left,
-         right,
-         unionType: all ? 'UNION ALL' : 'UNION',
-         all
-       });
-     }
-
-     return left;
+    while (this.matchAny(TokenType.UNION, TokenType.EXCEPT)) {
+      const operator = this.current().value.toUpperCase();
+      this.advance();
+      const quantifier = this.parseSetQuantifier();
+      const right = this.parseIntersectOperation();
+      left = AST.setOperation({ operator, ...quantifier, left, right });
     }
 
+    return left;
+  }
+
   /**
-   * Parse SELECT statement without ORDER BY and LIMIT clauses
-   * @returns {SelectStatement} SELECT AST node
+   * Parse INTERSECT operations (binds tighter than UNION and EXCEPT)
+   * @returns {SetOperation|SelectStatement} Set operation or SELECT AST node
    */
-  parseSelectStatementWithoutOrderLimit() {
-    this.expect(TokenType.SELECT);
-
-    const distinct = this.consume(TokenType.DISTINCT) !== null;
-    const columns = this.parseSelectColumns();
+  parseIntersectOperation() {
+    let left = this.parseQueryTerm();
 
-    let fromClause = null;
-    if (this.match(TokenType.FROM)) {
-      fromClause = this.parseFromClause();
+    while (this.match(TokenType.INTERSECT)) {
+      this.advance();
+      const quantifier = this.parseSetQuantifier();
+      const right = this.parseQueryTerm();
+      left = AST.setOperation({ operator: "INTERSECT", ...quantifier, left, right });
     }
 
-    let whereClause = null;
-    if (this.match(TokenType.WHERE)) {
-      whereClause = this.parseWhereClause();
-    }
+    return left;
+  }
 
-    let groupByClause = null;
-    if (this.match(TokenType.GROUP)) {
-      groupByClause = this.parseGroupByClause();
-    }
+  /**
+   * Parse optional ALL or DISTINCT after a set operator
+   * @returns {Object} all and distinct flags
+   */
+  parseSetQuantifier() {
+    const all = this.consume(TokenType.ALL) !== null;
+    const distinct = !all && this.consume(TokenType.DISTINCT) !== null;
+    return { all, distinct };
+  }
 
-    let havingClause = null;
-    if (this.match(TokenType.HAVING)) {
-      havingClause = this.parseHavingClause();
+  /**
+   * Parse an operand of a set operation: a SELECT statement or a parenthesized query
+   * @returns {ASTNode} Query AST node
+   */
+  parseQueryTerm() {
+    if (this.match(TokenType.LEFT_PAREN)) {
+      this.advance();
+      const query = this.parseQuery();
+      this.expect(TokenType.RIGHT_PAREN);
+      return query;
     }
-
-    return AST.select({
-      distinct,
-      columns,
-      from: fromClause,
-      where: whereClause,
-      groupBy: groupByClause,
-      having: havingClause
-    });
+    return this.parseSelectStatement();
   }
 
   /**
    * Parse WITH statement (Common Table Expressions)
-   * @returns {SelectStatement|UnionStatement} Statement with WITH clause
+   * @returns {SelectStatement|SetOperation|InsertStatement} Statement with WITH clause
    */
   parseWithStatement() {
     this.expect(TokenType.WITH);
@@ -394,28 +616,30 @@ export class Parser {
 
     // Parse CTE expressions
     do {
-      const name = this.expect(TokenType.IDENTIFIER).value;
+      const name = this.expectIdentifier().value;
       
       let columns = null;
       if (this.match(TokenType.LEFT_PAREN)) {
         this.advance(); // consume (
         columns = [];
         do {
-          columns.push(this.expect(TokenType.IDENTIFIER).value);
+          columns.push(this.expectIdentifier().value);
         } while (this.consume(TokenType.COMMA));
         this.expect(TokenType.RIGHT_PAREN);
       }
 
       this.expect(TokenType.AS);
       this.expect(TokenType.LEFT_PAREN);
-      const query = this.parseUnionStatement();
+      const query = this.parseSetOperationStatement();
       this.expect(TokenType.RIGHT_PAREN);
 
       expressions.push(AST.cte(name, columns, query));
     } while (this.consume(TokenType.COMMA));
 
-    // Parse the main SELECT statement
-    const mainQuery = this.parseUnionStatement();
+    // Parse the main statement: a query or a data-modifying statement
+    const mainQuery = this.match(TokenType.INSERT)
+      ? this.parseInsertStatement()
+      : this.parseSetOperationStatement();
     
     // Attach WITH clause to the appropriate part of the query
     const withClause = AST.with({ recursive, expressions });
@@ -434,6 +658,7 @@ export class Parser {
     this.expect(TokenType.SELECT);
 
     const distinct = this.consume(TokenType.DISTINCT) !== null;
+    const top = this.isTopStart() ? this.parseTopClause() : null;
     const columns = this.parseSelectColumns();
 
     // FROM clause is optional for SELECT statements (e.g., SELECT 'value' as alias)
@@ -457,7 +682,12 @@ export class Parser {
       havingClause = this.parseHavingClause();
     }
 
-    // ORDER BY and LIMIT are handled in parseUnionStatement for UNION compatibility
+    let window = null;
+    if (this.match(TokenType.WINDOW)) {
+      window = this.parseWindowClause();
+    }
+
+    // ORDER BY and LIMIT are handled in parseSetOperationStatement for set operations
     return AST.select({
       distinct,
       columns,
@@ -465,11 +695,76 @@ export class Parser {
       where: whereClause,
       groupBy: groupByClause,
       having: havingClause,
+      window,
       orderBy: null,
-      limit: null,
+      limit: top,
     });
   }
 
+  /**
+   * Check if the current token starts a T-SQL TOP clause
+   * @returns {boolean} True if TOP (n) or TOP n follows
+   */
+  isTopStart() {
+    const next = this.peek();
+    return (
+      this.dialect.supports("top") &&
+      this.matchWord("TOP") &&
+      Boolean(next) &&
+      next.isOneOf(TokenType.LEFT_PAREN, TokenType.NUMBER, TokenType.PARAMETER, TokenType.HAS_KEY)
+    );
+  }
+
+  /**
+   * Parse TOP clause of a SELECT list
+   * TOP (expression) [PERCENT] [WITH TIES] | TOP number [PERCENT] [WITH TIES]
+   * @returns {LimitClause} LIMIT clause AST node with syntax 'TOP'
+   */
+  parseTopClause() {
+    this.expectWord("TOP");
+    let count;
+    if (this.consume(TokenType.LEFT_PAREN)) {
+      count = this.parseExpression();
+      this.expect(TokenType.RIGHT_PAREN);
+    } else {
+      count = this.parsePrimaryExpression();
+    }
+
+    const percent = this.consumeWord("PERCENT") !== null;
+    const withTies = this.parseWithTies();
+    return AST.limit(count, null, "TOP", percent, withTies);
+  }
+
+  /**
+   * Parse optional WITH TIES
+   * @returns {boolean} True if WITH TIES was present
+   */
+  parseWithTies() {
+    if (!this.consume(TokenType.WITH)) {
+      return false;
+    }
+    this.expectWord("TIES");
+    return true;
+  }
+
+  /**
+   * Parse WINDOW clause
+   * WINDOW name AS (specification) [, name AS (specification)]...
+   * @returns {Array<WindowDefinition>} Named window definitions
+   */
+  parseWindowClause() {
+    this.expect(TokenType.WINDOW);
+    const windows = [];
+
+    do {
+      const name = this.expectIdentifier().value;
+      this.expect(TokenType.AS);
+      windows.push(AST.windowDefinition(name, this.parseWindowSpecification()));
+    } while (this.consume(TokenType.COMMA));
+
+    return windows;
+  }
+
   /**
    * Parse SELECT columns
    * @returns {Array} Array of column expressions
@@ -481,13 +776,18 @@ export class Parser {
       if (this.match(TokenType.MULTIPLY)) {
         this.advance();
         columns.push(AST.wildcard());
+      } else if (this.isQualifiedWildcard()) {
+        // Qualified wildcard: [catalog.][schema.]table.*
+        const [table, schema = null, catalog = null] = this.parseQualifiedName(3, true).reverse();
+        this.expect(TokenType.MULTIPLY);
+        columns.push(AST.wildcard(table, schema, catalog));
       } else {
         const expr = this.parseExpression();
         let alias = null;
 
         if (this.match(TokenType.AS)) {
           this.advance();
-          if (this.canBeAlias(this.current())) {
+          if (this.canBeAlias(this.current()) || this.isIdentifier(this.current())) {
             alias = this.current().value;
             this.advance();
           } else {
@@ -498,7 +798,7 @@ export class Parser {
               this.current().column
             );
           }
-        } else if (this.canBeAlias(this.current())) {
+        } else if (this.canBeAlias(this.current()) && !this.isLockingStart()) {
           // Implicit alias
           alias = this.current().value;
           this.advance();
@@ -521,32 +821,48 @@ export class Parser {
    */
   parseFromClause() {
     this.expect(TokenType.FROM);
+    return this.parseTableSources();
+  }
+
+  /**
+   * Parse comma separated table references with their JOINs
+   * (the body of FROM, or of USING in DELETE)
+   * @returns {FromClause} FROM clause AST node
+   */
+  parseTableSources() {
     const tables = [];
     const joins = [];
 
     do {
-      const table = this.parseTableReference();
-      tables.push(table);
-
-      // Handle JOINs
-      while (
-        this.matchAny(
-          TokenType.JOIN,
-          TokenType.INNER,
-          TokenType.LEFT,
-          TokenType.RIGHT,
-          TokenType.FULL,
-          TokenType.CROSS
-        )
-      ) {
-        const join = this.parseJoinClause();
-        joins.push(join); // Add JOIN to joins array
-      }
+      tables.push(this.parseTableReference());
+      joins.push(...this.parseJoins());
     } while (this.consume(TokenType.COMMA));
 
     return AST.from(tables, joins); // Pass both tables and joins arrays
   }
 
+  /**
+   * Parse the JOIN clauses following a table reference
+   * @returns {Array<JoinClause>} JOIN clause AST nodes
+   */
+  parseJoins() {
+    const joins = [];
+    while (
+      this.matchAny(
+        TokenType.JOIN,
+        TokenType.INNER,
+        TokenType.LEFT,
+        TokenType.RIGHT,
+        TokenType.FULL,
+        TokenType.CROSS,
+        TokenType.NATURAL
+      )
+    ) {
+      joins.push(this.parseJoinClause());
+    }
+    return joins;
+  }
+
   /**
    * Parse table reference
    * @returns {TableReference} Table reference AST node
@@ -560,16 +876,21 @@ export class Parser {
     if (this.match(TokenType.LEFT_PAREN)) {
       this.advance();
       
-      if (this.match(TokenType.SELECT)) {
-        const query = this.parseSelectStatement();
+      if (this.isSubqueryStart()) {
+        const query = this.parseQuery();
         this.expect(TokenType.RIGHT_PAREN);
         
         // Check for alias after subquery
         let alias = null;
         if (this.match(TokenType.AS)) {
           this.advance();
-          alias = this.expect(TokenType.IDENTIFIER).value;
-        } else if (this.match(TokenType.IDENTIFIER) && this.canBeAlias(this.current())) {
+          alias = this.expectIdentifier().value;
+        } else if (
+          this.match(TokenType.IDENTIFIER) &&
+          this.canBeAlias(this.current()) &&
+          !this.isFetchStart() &&
+          !this.isLockingStart()
+        ) {
           alias = this.current().value;
           this.advance();
         }
@@ -582,26 +903,35 @@ export class Parser {
     }
     
     // Regular table reference
-    const name = this.expect(TokenType.IDENTIFIER).value;
+    const [name, schema = null, catalog = null] = this.parseQualifiedName(3).reverse();
     let alias = null;
 
     if (this.match(TokenType.AS)) {
       this.advance();
-      alias = this.expect(TokenType.IDENTIFIER).value;
-    } else if (this.match(TokenType.IDENTIFIER) && this.canBeAlias(this.current())) {
+      alias = this.expectIdentifier().value;
+    } else if (
+      this.match(TokenType.IDENTIFIER) &&
+      this.canBeAlias(this.current()) &&
+      !this.isReturningStart() &&
+      !this.isFetchStart() &&
+      !this.isLockingStart()
+    ) {
       alias = this.current().value;
       this.advance();
     }
 
-    return AST.table(name, alias);
+    return AST.table(name, alias, schema, catalog);
   }
 
   /**
    * Parse JOIN clause
+   * [NATURAL] [INNER | LEFT | RIGHT | FULL [OUTER] | CROSS] JOIN table
+   *   [ON condition | USING (columns)]
    * @returns {JoinClause} JOIN clause AST node
    */
   parseJoinClause() {
     let joinType = "INNER";
+    const natural = this.consume(TokenType.NATURAL) !== null;
 
     if (this.match(TokenType.LEFT)) {
       this.advance();
@@ -624,7 +954,7 @@ export class Parser {
         this.advance();
         joinType = "FULL OUTER";
       }
-    } else if (this.match(TokenType.CROSS)) {
+    } else if (!natural && this.match(TokenType.CROSS)) {
       this.advance();
       joinType = "CROSS";
     } else if (this.match(TokenType.INNER)) {
@@ -634,15 +964,30 @@ export class Parser {
 
     this.expect(TokenType.JOIN);
     const table = this.parseTableReference();
-    
-    // CROSS JOIN doesn't require ON condition
-    let condition = null;
-    if (joinType !== "CROSS") {
-      this.expect(TokenType.ON);
-      condition = this.parseExpression();
+
+    // CROSS and NATURAL joins have no join condition
+    if (joinType === "CROSS" || natural) {
+      return AST.join(joinType, table, null, null, natural);
+    }
+
+    if (this.match(TokenType.USING)) {
+      this.advance();
+      return AST.join(joinType, table, null, this.parseIdentifierList());
+    }
+
+    const token = this.current();
+    if (!token || !token.is(TokenType.ON)) {
+      if (!token || token.is(TokenType.EOF)) {
+        throw SQLError.unexpectedEnd(
+          this.tokens[this.tokens.length - 1]?.line || 1,
+          this.tokens[this.tokens.length - 1]?.column || 1
+        );
+      }
+      throw SQLError.unexpectedToken("ON or USING", token.type, token.line, token.column);
     }
+    this.advance();
 
-    return AST.join(joinType, table, condition);
+    return AST.join(joinType, table, this.parseExpression());
   }
 
   /**
@@ -706,109 +1051,1899 @@ export class Parser {
   }
 
   /**
-   * Parse LIMIT clause
-   * @returns {LimitClause} LIMIT clause AST node
+   * Check if the current tokens start a row-limiting clause (LIMIT, OFFSET or FETCH)
+   * @returns {boolean} True if a row-limiting clause starts here
    */
-  parseLimitClause() {
-    this.expect(TokenType.LIMIT);
-    const count = this.parseExpression();
+  isLimitStart() {
+    return this.matchAny(TokenType.LIMIT, TokenType.OFFSET) || this.isFetchStart();
+  }
 
-    let offset = null;
-    if (this.match(TokenType.OFFSET)) {
-      this.advance();
-      offset = this.parseExpression();
-    }
+  /**
+   * Check if the current tokens start FETCH FIRST or FETCH NEXT
+   * @returns {boolean} True if a FETCH clause starts here
+   */
+  isFetchStart() {
+    return this.matchWord("FETCH") && this.isWord(this.peek(), "FIRST", "NEXT");
+  }
 
-    return AST.limit(count, offset);
+  /**
+   * Parse optional ROW or ROWS
+   * @returns {boolean} True if ROW or ROWS was present
+   */
+  parseRowsWord() {
+    return this.consume(TokenType.ROWS) !== null || this.consume(TokenType.ROW) !== null;
   }
 
   /**
-   * Parse INSERT statement
-   * @returns {InsertStatement} INSERT AST node
+   * Check if the current tokens start a row locking clause
+   * @returns {boolean} True before FOR UPDATE, FOR NO KEY UPDATE, FOR [KEY] SHARE or LOCK IN
    */
-  parseInsertStatement() {
-    this.expect(TokenType.INSERT);
-    this.expect(TokenType.INTO);
+  isLockingStart() {
+    const next = this.peek();
+    if (this.matchWord("FOR")) {
+      return (
+        Boolean(next) &&
+        (next.isOneOf(TokenType.UPDATE, TokenType.KEY) || this.isWord(next, "NO", "SHARE"))
+      );
+    }
+    return this.matchWord("LOCK") && Boolean(next) && next.is(TokenType.IN);
+  }
 
-    const table = this.parseTableReference();
+  /**
+   * Parse row locking clauses
+   * FOR {UPDATE | NO KEY UPDATE | SHARE | KEY SHARE} [OF name [, ...]] [NOWAIT | SKIP LOCKED] [...]
+   * | LOCK IN SHARE MODE
+   * @returns {Array<LockingClause>} Locking clause AST nodes
+   */
+  parseLockingClauses() {
+    const clauses = [];
+
+    while (this.isLockingStart()) {
+      if (this.consumeWord("LOCK")) {
+        this.expect(TokenType.IN);
+        this.expectWord("SHARE");
+        this.expectWord("MODE");
+        clauses.push(AST.locking("SHARE", [], null, "LOCK IN SHARE MODE"));
+        continue;
+      }
 
-    const columns = [];
-    if (this.match(TokenType.LEFT_PAREN)) {
-      this.advance();
-      do {
-        columns.push(this.expect(TokenType.IDENTIFIER).value);
-      } while (this.consume(TokenType.COMMA));
-      this.expect(TokenType.RIGHT_PAREN);
-    }
+      this.expectWord("FOR");
+      let strength;
+      if (this.consume(TokenType.UPDATE)) {
+        strength = "UPDATE";
+      } else if (this.consumeWord("NO")) {
+        this.expect(TokenType.KEY);
+        this.expect(TokenType.UPDATE);
+        strength = "NO KEY UPDATE";
+      } else if (this.consume(TokenType.KEY)) {
+        this.expectWord("SHARE");
+        strength = "KEY SHARE";
+      } else {
+        this.expectWord("SHARE");
+        strength = "SHARE";
+      }
 
-    this.expect(TokenType.VALUES);
-    const values = [];
+      const tables = [];
+      if (this.consumeWord("OF")) {
+        do {
+          tables.push(this.expectIdentifier().value);
+        } while (this.consume(TokenType.COMMA));
+      }
 
-    do {
+      let wait = null;
+      if (this.consumeWord("NOWAIT")) {
+        wait = "NOWAIT";
+      } else if (this.consumeWord("SKIP")) {
+        this.expectWord("LOCKED");
+        wait = "SKIP LOCKED";
+      }
+
+      clauses.push(AST.locking(strength, tables, wait));
+    }
+
+    return clauses;
+  }
+
+  /**
+   * Parse row-limiting clause
+   * LIMIT count [OFFSET offset] | LIMIT offset, count | OFFSET offset [ROW|ROWS] [LIMIT count]
+   * | [OFFSET offset {ROW|ROWS}] FETCH {FIRST|NEXT} [count] [PERCENT] {ROW|ROWS} {ONLY|WITH TIES}
+   * @returns {LimitClause} LIMIT clause AST node
+   */
+  parseLimitClause() {
+    if (this.consume(TokenType.LIMIT)) {
+      const count = this.parseExpression();
+      if (this.consume(TokenType.COMMA)) {
+        // MySQL: LIMIT offset, count
+        return AST.limit(this.parseExpression(), count, "LIMIT_COMMA");
+      }
+      const offset = this.consume(TokenType.OFFSET) ? this.parseExpression() : null;
+      return AST.limit(count, offset);
+    }
+
+    let offset = null;
+    if (this.consume(TokenType.OFFSET)) {
+      offset = this.parseExpression();
+      const rows = this.parseRowsWord();
+
+      // PostgreSQL also accepts OFFSET before LIMIT
+      if (!rows && this.consume(TokenType.LIMIT)) {
+        return AST.limit(this.parseExpression(), offset);
+      }
+      if (!this.isFetchStart()) {
+        return AST.limit(null, offset, "OFFSET");
+      }
+    }
+
+    this.expectWord("FETCH");
+    this.advance(); // FIRST or NEXT
+    const count = this.matchAny(TokenType.ROW, TokenType.ROWS)
+      ? AST.literal(1, "number")
+      : this.parseExpression();
+    const percent = this.consumeWord("PERCENT") !== null;
+    if (!this.parseRowsWord()) {
+      throw this.unexpected("ROW or ROWS");
+    }
+    const withTies = this.parseWithTies();
+    if (!withTies) {
+      this.expectWord("ONLY");
+    }
+
+    return AST.limit(count, offset, "FETCH", percent, withTies);
+  }
+
+  /**
+   * Parse INSERT statement
+   * INSERT [INTO] table [(columns)] [OUTPUT ...] {VALUES (...), ... | DEFAULT VALUES | query}
+   *   [upsert_clause] [RETURNING ...]
+   * @returns {InsertStatement} INSERT AST node
+   */
+  parseInsertStatement() {
+    this.expect(TokenType.INSERT);
+    if (!this.consume(TokenType.INTO) && !this.dialect.supports("insertWithoutInto")) {
+      this.expect(TokenType.INTO);
+    }
+
+    const table = this.parseTableReference();
+
+    const columns =
+      this.match(TokenType.LEFT_PAREN) && !this.isQueryStart(this.peek())
+        ? this.parseIdentifierList()
+        : [];
+
+    const output = this.parseReturningClause("OUTPUT");
+    const insert = this.parseInsertSource(AST.insert({ table, columns }));
+    this.parseUpsertClause(insert);
+    insert.returning = output || this.parseReturningClause("RETURNING");
+
+    return insert;
+  }
+
+  /**
+   * Parse the rows of an INSERT statement into the given node
+   * {VALUES (...), ... | DEFAULT VALUES | query}
+   * @param {InsertStatement} insert - INSERT AST node to fill
+   * @returns {InsertStatement} INSERT AST node
+   */
+  parseInsertSource(insert) {
+    if (this.consume(TokenType.DEFAULT)) {
+      this.expect(TokenType.VALUES);
+      insert.defaultValues = true;
+      return insert;
+    }
+
+    if (!this.match(TokenType.VALUES)) {
+      const token = this.current();
+      if (token && this.isQueryStart(token)) {
+        insert.query = this.parseQuery();
+        return insert;
+      }
+    }
+
+    this.expect(TokenType.VALUES);
+    do {
       this.expect(TokenType.LEFT_PAREN);
       const valueList = [];
       do {
-        valueList.push(this.parseExpression());
+        valueList.push(this.parseValueExpression());
       } while (this.consume(TokenType.COMMA));
       this.expect(TokenType.RIGHT_PAREN);
-      values.push(AST.valuesList(valueList));
+      insert.values.push(AST.valuesList(valueList));
+    } while (this.consume(TokenType.COMMA));
+
+    return insert;
+  }
+
+  /**
+   * Check if the current token starts a RETURNING or OUTPUT clause of the dialect
+   * @returns {boolean} True if a RETURNING or OUTPUT clause starts here
+   */
+  isReturningStart() {
+    return (
+      (this.matchWord("RETURNING") && this.dialect.supports("returning")) ||
+      (this.matchWord("OUTPUT") && this.dialect.supports("output"))
+    );
+  }
+
+  /**
+   * Parse RETURNING or OUTPUT clause of a DML statement, if present
+   * RETURNING select_columns | OUTPUT select_columns
+   * @param {string} syntax - 'RETURNING' or 'OUTPUT'
+   * @returns {ReturningClause|null} RETURNING AST node
+   */
+  parseReturningClause(syntax) {
+    if (!this.matchWord(syntax) || !this.isReturningStart()) {
+      return null;
+    }
+    this.advance();
+    return AST.returning(this.parseSelectColumns(), syntax);
+  }
+
+  /**
+   * Parse the upsert clause of an INSERT statement, if present
+   * ON CONFLICT ... (PostgreSQL, SQLite) or ON DUPLICATE KEY UPDATE ... (MySQL)
+   * @param {InsertStatement} insert - INSERT AST node to attach the clause to
+   * @returns {InsertStatement} INSERT AST node
+   * @throws {SQLError} UNSUPPORTED_FEATURE when the dialect lacks the upsert syntax
+   */
+  parseUpsertClause(insert) {
+    if (!this.match(TokenType.ON)) {
+      return insert;
+    }
+
+    const next = this.peek();
+    const word = next && next.is(TokenType.IDENTIFIER) ? next.value.toUpperCase() : null;
+    const [feature, syntax] = {
+      CONFLICT: ["onConflict", "ON CONFLICT"],
+      DUPLICATE: ["onDuplicateKeyUpdate", "ON DUPLICATE KEY UPDATE"],
+    }[word] || [];
+
+    if (feature && !this.dialect.supports(feature)) {
+      const token = this.current();
+      throw SQLError.unsupportedFeature(`${syntax} in dialect ${this.dialect.name}`, token.line, token.column);
+    }
+
+    if (word === "CONFLICT") {
+      this.advance();
+      insert.onConflict = this.parseOnConflictClause();
+    } else if (word === "DUPLICATE") {
+      this.advance();
+      this.expectWord("DUPLICATE");
+      this.expect(TokenType.KEY);
+      this.expect(TokenType.UPDATE);
+      insert.onDuplicateKeyUpdate = this.parseAssignments();
+    }
+
+    return insert;
+  }
+
+  /**
+   * Parse ON CONFLICT clause (after ON)
+   * CONFLICT [(columns) [WHERE condition] | ON CONSTRAINT name]
+   *   DO NOTHING | DO UPDATE SET assignments [WHERE condition]
+   * @returns {OnConflictClause} ON CONFLICT AST node
+   */
+  parseOnConflictClause() {
+    this.expectWord("CONFLICT");
+    const clause = AST.onConflict();
+
+    if (this.match(TokenType.LEFT_PAREN)) {
+      clause.columns = this.parseIdentifierList();
+      if (this.consume(TokenType.WHERE)) {
+        clause.targetWhere = this.parseExpression();
+      }
+    } else if (this.consume(TokenType.ON)) {
+      this.expect(TokenType.CONSTRAINT);
+      clause.constraint = this.expectIdentifier().value;
+    }
+
+    this.expectWord("DO");
+    if (this.consumeWord("NOTHING")) {
+      clause.action = "NOTHING";
+      return clause;
+    }
+
+    if (!this.consume(TokenType.UPDATE)) {
+      throw this.unexpected("NOTHING or UPDATE");
+    }
+    this.expect(TokenType.SET);
+    clause.action = "UPDATE";
+    clause.set = this.parseAssignments();
+    if (this.consume(TokenType.WHERE)) {
+      clause.where = this.parseExpression();
+    }
+    return clause;
+  }
+
+  /**
+   * Parse comma separated column = value assignments
+   * @returns {Array<Assignment>} Assignment AST nodes
+   */
+  parseAssignments() {
+    const assignments = [];
+    do {
+      let table = null;
+      let column = this.expectIdentifier().value;
+      if (this.consume(TokenType.DOT)) {
+        table = column;
+        column = this.expectIdentifier().value;
+      }
+      this.expect(TokenType.EQUALS);
+      const value = this.parseValueExpression();
+      assignments.push(AST.assignment(column, value, table));
     } while (this.consume(TokenType.COMMA));
+    return assignments;
+  }
+
+  /**
+   * Check if a token starts a query (SELECT, WITH or a parenthesized query)
+   * @param {Token} token - Token to check
+   * @returns {boolean} True if a query starts at the token
+   */
+  isQueryStart(token) {
+    return Boolean(token) && token.isOneOf(TokenType.SELECT, TokenType.WITH, TokenType.LEFT_PAREN);
+  }
+
+  /**
+   * Check if a subquery starts at a token: SELECT, WITH, or a parenthesized query
+   * that continues with a set operator, ORDER BY or a row limit, or ends the
+   * enclosing parentheses. ((SELECT 1) UNION (SELECT 2)) is a query, while the
+   * value list ((SELECT 1), 2) and the expression ((SELECT 1) + 1) are not
+   * @param {number} offset - Offset of the token from the current position
+   * @returns {boolean} True if a subquery starts at the token
+   */
+  isSubqueryStart(offset = 0) {
+    const token = this.peek(offset);
+    if (!token) {
+      return false;
+    }
+    if (token.isOneOf(TokenType.SELECT, TokenType.WITH)) {
+      return true;
+    }
+    if (!token.is(TokenType.LEFT_PAREN) || !this.isSubqueryStart(offset + 1)) {
+      return false;
+    }
+
+    let depth = 0;
+    let close = offset;
+    for (; this.peek(close); close++) {
+      if (this.peek(close).is(TokenType.LEFT_PAREN)) {
+        depth++;
+      } else if (this.peek(close).is(TokenType.RIGHT_PAREN) && --depth === 0) {
+        break;
+      }
+    }
+
+    const next = this.peek(close + 1);
+    return (
+      !next ||
+      next.isOneOf(
+        TokenType.UNION,
+        TokenType.INTERSECT,
+        TokenType.EXCEPT,
+        TokenType.ORDER,
+        TokenType.LIMIT,
+        TokenType.OFFSET,
+        TokenType.RIGHT_PAREN
+      ) ||
+      this.isWord(next, "FETCH")
+    );
+  }
+
+  /**
+   * Parse a value of an INSERT row or an UPDATE assignment, where DEFAULT is allowed
+   * @returns {ASTNode} Expression AST node
+   */
+  parseValueExpression() {
+    if (this.consume(TokenType.DEFAULT)) {
+      return AST.literal("DEFAULT", "DEFAULT");
+    }
+    return this.parseExpression();
+  }
+
+  /**
+   * Parse UPDATE statement
+   * UPDATE table [joins] SET assignments [OUTPUT ...] [FROM tables] [WHERE condition]
+   *   [ORDER BY ...] [LIMIT ...] [RETURNING ...]
+   * @returns {UpdateStatement} UPDATE AST node
+   */
+  parseUpdateStatement() {
+    this.expect(TokenType.UPDATE);
+    const table = this.parseTableReference();
+    const joins = this.parseJoins();
+    this.expect(TokenType.SET);
+    const assignments = this.parseAssignments();
+    const output = this.parseReturningClause("OUTPUT");
+
+    let fromClause = null;
+    if (this.match(TokenType.FROM)) {
+      fromClause = this.parseFromClause();
+    }
+
+    let whereClause = null;
+    if (this.match(TokenType.WHERE)) {
+      whereClause = this.parseWhereClause();
+    }
+    const { orderBy, limit } = this.parseDmlLimit();
+
+    return AST.update({
+      table,
+      joins,
+      set: assignments,
+      from: fromClause,
+      where: whereClause,
+      orderBy,
+      limit,
+      returning: output || this.parseReturningClause("RETURNING"),
+    });
+  }
+
+  /**
+   * Parse the ORDER BY and LIMIT of an UPDATE or DELETE statement (MySQL)
+   * @returns {Object} orderBy and limit AST nodes, null when absent
+   */
+  parseDmlLimit() {
+    const clauses = { orderBy: null, limit: null };
+    if (!this.dialect.supports("dmlLimit")) {
+      return clauses;
+    }
+
+    if (this.match(TokenType.ORDER)) {
+      clauses.orderBy = this.parseOrderByClause();
+    }
+    if (this.match(TokenType.LIMIT)) {
+      clauses.limit = this.parseLimitClause();
+    }
+    return clauses;
+  }
+
+  /**
+   * Parse DELETE statement
+   * DELETE [targets] FROM table [joins] [OUTPUT ...] [USING tables] [WHERE condition]
+   *   [ORDER BY ...] [LIMIT ...] [RETURNING ...]
+   * @returns {DeleteStatement} DELETE AST node
+   */
+  parseDeleteStatement() {
+    this.expect(TokenType.DELETE);
+
+    // DELETE a, b FROM a JOIN b ... names the tables to delete from
+    const targets = [];
+    if (!this.match(TokenType.FROM)) {
+      do {
+        targets.push(this.expectIdentifier().value);
+      } while (this.consume(TokenType.COMMA));
+    }
+    this.expect(TokenType.FROM);
+
+    const table = this.parseTableReference();
+    const joins = this.parseJoins();
+    const output = this.parseReturningClause("OUTPUT");
+
+    let using = null;
+    if (this.consume(TokenType.USING)) {
+      using = this.parseTableSources();
+    }
+
+    let whereClause = null;
+    if (this.match(TokenType.WHERE)) {
+      whereClause = this.parseWhereClause();
+    }
+    const { orderBy, limit } = this.parseDmlLimit();
+
+    return AST.delete({
+      targets,
+      from: table,
+      joins,
+      using,
+      where: whereClause,
+      orderBy,
+      limit,
+      returning: output || this.parseReturningClause("RETURNING"),
+    });
+  }
+
+  /**
+   * Parse MERGE statement
+   * MERGE [INTO] target USING source ON condition
+   *   WHEN [NOT] MATCHED [AND condition] THEN action ...
+   * @returns {MergeStatement} MERGE AST node
+   */
+  parseMergeStatement() {
+    this.expectWord("MERGE");
+    this.consume(TokenType.INTO);
+
+    const target = this.parseTableReference();
+    this.expect(TokenType.USING);
+    const source = this.parseTableReference();
+    this.expect(TokenType.ON);
+    const on = this.parseExpression();
+
+    const whenClauses = [];
+    do {
+      whenClauses.push(this.parseMergeWhenClause());
+    } while (this.match(TokenType.WHEN));
+
+    return AST.merge({ target, source, on, whenClauses });
+  }
+
+  /**
+   * Parse a WHEN branch of a MERGE statement
+   * WHEN MATCHED [AND condition] THEN {UPDATE SET assignments | DELETE | DO NOTHING}
+   * WHEN NOT MATCHED [BY TARGET] [AND condition] THEN
+   *   {INSERT [(columns)] {VALUES (...) | DEFAULT VALUES} | DO NOTHING}
+   * WHEN NOT MATCHED BY SOURCE [AND condition] THEN {UPDATE SET assignments | DELETE | DO NOTHING}
+   * @returns {MergeWhenClause} MERGE WHEN AST node
+   */
+  parseMergeWhenClause() {
+    this.expect(TokenType.WHEN);
+    const clause = AST.mergeWhen({ matched: !this.consume(TokenType.NOT) });
+    this.expectWord("MATCHED");
+
+    if (!clause.matched && this.consume(TokenType.BY)) {
+      if (!this.matchWord("TARGET", "SOURCE")) {
+        throw this.unexpected("TARGET or SOURCE");
+      }
+      clause.by = this.current().value.toUpperCase();
+      this.advance();
+    }
+
+    if (this.consume(TokenType.AND)) {
+      clause.condition = this.parseExpression();
+    }
+    this.expect(TokenType.THEN);
+
+    // Rows only in the source can be inserted, rows in the target updated or deleted
+    const inserts = !clause.matched && clause.by !== "SOURCE";
+
+    if (this.consumeWord("DO")) {
+      this.expectWord("NOTHING");
+      clause.action = "NOTHING";
+    } else if (inserts) {
+      this.expect(TokenType.INSERT);
+      clause.action = "INSERT";
+      if (this.match(TokenType.LEFT_PAREN)) {
+        clause.columns = this.parseIdentifierList();
+      }
+      if (this.consume(TokenType.DEFAULT)) {
+        this.expect(TokenType.VALUES);
+      } else {
+        this.expect(TokenType.VALUES);
+        this.expect(TokenType.LEFT_PAREN);
+        const values = [];
+        do {
+          values.push(this.parseValueExpression());
+        } while (this.consume(TokenType.COMMA));
+        this.expect(TokenType.RIGHT_PAREN);
+        clause.values = AST.valuesList(values);
+      }
+    } else if (this.consume(TokenType.DELETE)) {
+      clause.action = "DELETE";
+    } else {
+      if (!this.consume(TokenType.UPDATE)) {
+        throw this.unexpected("UPDATE, DELETE or DO");
+      }
+      this.expect(TokenType.SET);
+      clause.action = "UPDATE";
+      clause.set = this.parseAssignments();
+    }
+
+    return clause;
+  }
+
+  /**
+   * Parse CREATE statement
+   * @returns {ASTNode} CREATE statement AST node
+   */
+  parseCreateStatement() {
+    this.expect(TokenType.CREATE);
+
+    let orReplace = false;
+    if (this.consume(TokenType.OR)) {
+      this.expectWord("REPLACE");
+      orReplace = true;
+    }
+    const temporary =
+      this.consumeWord("TEMPORARY") !== null || this.consumeWord("TEMP") !== null;
+    const unique = this.consume(TokenType.UNIQUE) !== null;
+
+    const token = this.current();
+    if (token && token.is(TokenType.INDEX) && !orReplace && !temporary) {
+      return this.parseCreateIndexStatement(unique);
+    }
+    if (token && token.is(TokenType.VIEW) && !unique) {
+      return this.parseCreateViewStatement(orReplace, temporary);
+    }
+    if (token && token.is(TokenType.TABLE) && !unique && !orReplace) {
+      return this.parseCreateTableStatement(temporary);
+    }
+
+    if (!token || token.is(TokenType.EOF)) {
+      throw SQLError.unexpectedEnd(
+        this.tokens[this.tokens.length - 1]?.line || 1,
+        this.tokens[this.tokens.length - 1]?.column || 1
+      );
+    }
+    let expected = "TABLE, VIEW or INDEX";
+    if (unique) {
+      expected = "INDEX";
+    } else if (orReplace) {
+      expected = "VIEW";
+    } else if (temporary) {
+      expected = "TABLE or VIEW";
+    }
+    throw SQLError.unexpectedToken(expected, token.type, token.line, token.column);
+  }
+
+  /**
+   * Parse CREATE TABLE statement (after CREATE [TEMPORARY])
+   * CREATE TABLE [IF NOT EXISTS] name (column_definition | table_constraint, ...)
+   * CREATE TABLE [IF NOT EXISTS] name AS query
+   * @param {boolean} temporary - Whether TEMPORARY was given
+   * @returns {CreateTableStatement} CREATE TABLE AST node
+   */
+  parseCreateTableStatement(temporary) {
+    this.expect(TokenType.TABLE);
+    const ifNotExists = this.parseIfNotExists();
+    const table = this.parseTableName();
+
+    const columns = [];
+    const constraints = [];
+    if (this.match(TokenType.LEFT_PAREN)) {
+      this.advance();
+      do {
+        if (this.isTableConstraintStart()) {
+          constraints.push(this.parseTableConstraint());
+        } else {
+          columns.push(this.parseColumnDefinition());
+        }
+      } while (this.consume(TokenType.COMMA));
+      this.expect(TokenType.RIGHT_PAREN);
+    }
+
+    let query = null;
+    if (this.consume(TokenType.AS)) {
+      query = this.parseQuery();
+    } else if (columns.length === 0 && constraints.length === 0) {
+      const token = this.current();
+      if (!token || token.is(TokenType.EOF)) {
+        throw SQLError.unexpectedEnd(
+          this.tokens[this.tokens.length - 1]?.line || 1,
+          this.tokens[this.tokens.length - 1]?.column || 1
+        );
+      }
+      throw SQLError.unexpectedToken("column definitions or AS", token.type, token.line, token.column);
+    }
+
+    return AST.createTable({
+      table,
+      temporary,
+      ifNotExists,
+      columns,
+      constraints,
+      query,
+    });
+  }
+
+  /**
+   * Parse CREATE INDEX statement (after CREATE [UNIQUE])
+   * CREATE [UNIQUE] INDEX [IF NOT EXISTS] name ON table [USING method]
+   *   (expr [ASC | DESC], ...) [WHERE condition]
+   * @param {boolean} unique - Whether UNIQUE was given
+   * @returns {CreateIndexStatement} CREATE INDEX AST node
+   */
+  parseCreateIndexStatement(unique) {
+    this.expect(TokenType.INDEX);
+    const ifNotExists = this.parseIfNotExists();
+    const name = this.expectIdentifier().value;
+    this.expect(TokenType.ON);
+    const table = this.parseTableName();
+    const method = this.consume(TokenType.USING) ? this.expectIdentifier().value : null;
+
+    this.expect(TokenType.LEFT_PAREN);
+    const columns = [];
+    do {
+      const column = this.parseExpression();
+      let direction = "ASC";
+
+      if (this.matchAny(TokenType.ASC, TokenType.DESC)) {
+        direction = this.current().value.toUpperCase();
+        this.advance();
+      }
+
+      columns.push(AST.orderByColumn(column, direction));
+    } while (this.consume(TokenType.COMMA));
+    this.expect(TokenType.RIGHT_PAREN);
+
+    const where = this.consume(TokenType.WHERE) ? this.parseExpression() : null;
+
+    return AST.createIndex({ name, unique, ifNotExists, table, method, columns, where });
+  }
+
+  /**
+   * Parse CREATE VIEW statement (after CREATE [OR REPLACE] [TEMPORARY])
+   * CREATE VIEW [IF NOT EXISTS] name [(columns)] AS query
+   * @param {boolean} orReplace - Whether OR REPLACE was given
+   * @param {boolean} temporary - Whether TEMPORARY was given
+   * @returns {CreateViewStatement} CREATE VIEW AST node
+   */
+  parseCreateViewStatement(orReplace, temporary) {
+    this.expect(TokenType.VIEW);
+    const ifNotExists = this.parseIfNotExists();
+    const name = this.parseTableName();
+    const columns = this.match(TokenType.LEFT_PAREN) ? this.parseIdentifierList() : [];
+    this.expect(TokenType.AS);
+
+    return AST.createView({
+      name,
+      orReplace,
+      temporary,
+      ifNotExists,
+      columns,
+      query: this.parseQuery(),
+    });
+  }
+
+  /**
+   * Parse DROP statement
+   * DROP {TABLE | VIEW | INDEX | DATABASE | SCHEMA} [IF EXISTS] name [, name ...]
+   *   [ON table] [CASCADE | RESTRICT]
+   * @returns {DropStatement} DROP AST node
+   */
+  parseDropStatement() {
+    this.expect(TokenType.DROP);
+
+    const token = this.current();
+    const objectTypes = [
+      TokenType.TABLE,
+      TokenType.VIEW,
+      TokenType.INDEX,
+      TokenType.DATABASE,
+      TokenType.SCHEMA,
+    ];
+    if (!token || token.is(TokenType.EOF)) {
+      throw SQLError.unexpectedEnd(
+        this.tokens[this.tokens.length - 1]?.line || 1,
+        this.tokens[this.tokens.length - 1]?.column || 1
+      );
+    }
+    if (!objectTypes.includes(token.type)) {
+      throw SQLError.unexpectedToken(
+        "TABLE, VIEW, INDEX, DATABASE or SCHEMA",
+        token.type,
+        token.line,
+        token.column
+      );
+    }
+    this.advance();
+
+    const objectType = token.value.toUpperCase();
+    const ifExists = this.parseIfExists();
+    const isRelation = objectType === "TABLE" || objectType === "VIEW";
+
+    const names = [];
+    do {
+      names.push(isRelation ? this.parseTableName() : this.parseObjectName());
+    } while (this.consume(TokenType.COMMA));
+
+    // MySQL names the table of the dropped index
+    const table =
+      objectType === "INDEX" && this.consume(TokenType.ON) ? this.parseTableName() : null;
+
+    return AST.drop({ objectType, ifExists, names, table, behavior: this.parseDropBehavior() });
+  }
+
+  /**
+   * Parse TRUNCATE statement
+   * TRUNCATE [TABLE] name [, name ...] [RESTART IDENTITY | CONTINUE IDENTITY] [CASCADE | RESTRICT]
+   * @returns {TruncateStatement} TRUNCATE AST node
+   */
+  parseTruncateStatement() {
+    this.expectWord("TRUNCATE");
+    this.consume(TokenType.TABLE);
+
+    const tables = [];
+    do {
+      tables.push(this.parseTableName());
+    } while (this.consume(TokenType.COMMA));
+
+    let identity = null;
+    if (this.matchWord("RESTART", "CONTINUE")) {
+      const word = this.current().value.toUpperCase();
+      this.advance();
+      this.expectWord("IDENTITY");
+      identity = `${word} IDENTITY`;
+    }
+
+    return AST.truncate({ tables, identity, behavior: this.parseDropBehavior() });
+  }
+
+  /**
+   * Parse transaction control statement
+   * BEGIN [DEFERRED | IMMEDIATE | EXCLUSIVE] [TRANSACTION | WORK | TRAN] [mode [, ...]]
+   * START TRANSACTION [mode [, ...]]
+   * COMMIT [TRANSACTION | WORK | TRAN]
+   * ROLLBACK [TRANSACTION | WORK | TRAN] [TO [SAVEPOINT] name]
+   * SAVEPOINT name
+   * RELEASE [SAVEPOINT] name
+   * @returns {TransactionStatement} Transaction AST node
+   */
+  parseTransactionStatement() {
+    const action = this.current().value.toUpperCase();
+    this.advance();
+
+    switch (action) {
+      case "START":
+        this.expectWord("TRANSACTION");
+        return AST.transaction({
+          action: "START TRANSACTION",
+          modes: this.parseTransactionModes(),
+        });
+      case "SAVEPOINT":
+        return AST.transaction({ action, savepoint: this.expectIdentifier().value });
+      case "RELEASE":
+        this.consumeWord("SAVEPOINT");
+        return AST.transaction({ action, savepoint: this.expectIdentifier().value });
+    }
+
+    let behavior = null;
+    if (action === "BEGIN" && this.matchWord("DEFERRED", "IMMEDIATE", "EXCLUSIVE")) {
+      behavior = this.current().value.toUpperCase();
+      this.advance();
+    }
+
+    let keyword = null;
+    if (this.matchWord("TRANSACTION", "WORK", "TRAN")) {
+      keyword = this.current().value.toUpperCase();
+      this.advance();
+    }
+
+    if (action === "BEGIN") {
+      return AST.transaction({ action, keyword, behavior, modes: this.parseTransactionModes() });
+    }
+
+    let savepoint = null;
+    if (action === "ROLLBACK" && this.consumeWord("TO")) {
+      this.consumeWord("SAVEPOINT");
+      savepoint = this.expectIdentifier().value;
+    }
+
+    return AST.transaction({ action, keyword, savepoint });
+  }
+
+  /**
+   * Check if a transaction mode starts at the current token
+   * @returns {boolean} True before ISOLATION, READ, [NOT] DEFERRABLE or WITH CONSISTENT
+   */
+  isTransactionModeStart() {
+    return (
+      this.matchWord("ISOLATION", "READ", "DEFERRABLE") ||
+      (this.match(TokenType.NOT) && this.isWord(this.peek(), "DEFERRABLE")) ||
+      (this.match(TokenType.WITH) && this.isWord(this.peek(), "CONSISTENT"))
+    );
+  }
+
+  /**
+   * Parse the transaction modes of BEGIN, START TRANSACTION and SET TRANSACTION,
+   * separated by commas (PostgreSQL also accepts spaces)
+   * @returns {Array<string>} Upper case modes, e.g. 'ISOLATION LEVEL READ COMMITTED'
+   */
+  parseTransactionModes() {
+    const modes = [];
+    if (!this.isTransactionModeStart()) {
+      return modes;
+    }
+
+    do {
+      modes.push(this.parseTransactionMode());
+    } while (this.consume(TokenType.COMMA) || this.isTransactionModeStart());
+
+    return modes;
+  }
+
+  /**
+   * Parse a single transaction mode
+   * ISOLATION LEVEL level | READ WRITE | READ ONLY | [NOT] DEFERRABLE | WITH CONSISTENT SNAPSHOT
+   * @returns {string} Upper case mode
+   */
+  parseTransactionMode() {
+    if (this.consumeWord("ISOLATION")) {
+      this.expectWord("LEVEL");
+      return `ISOLATION LEVEL ${this.parseIsolationLevel()}`;
+    }
+    if (this.consumeWord("READ")) {
+      if (this.consumeWord("ONLY")) {
+        return "READ ONLY";
+      }
+      this.expectWord("WRITE");
+      return "READ WRITE";
+    }
+    if (this.consume(TokenType.NOT)) {
+      this.expectWord("DEFERRABLE");
+      return "NOT DEFERRABLE";
+    }
+    if (this.consume(TokenType.WITH)) {
+      this.expectWord("CONSISTENT");
+      this.expectWord("SNAPSHOT");
+      return "WITH CONSISTENT SNAPSHOT";
+    }
+    this.expectWord("DEFERRABLE");
+    return "DEFERRABLE";
+  }
+
+  /**
+   * Parse an isolation level
+   * READ UNCOMMITTED | READ COMMITTED | REPEATABLE READ | SERIALIZABLE
+   * @returns {string} Upper case isolation level
+   */
+  parseIsolationLevel() {
+    if (this.consumeWord("READ")) {
+      if (this.consumeWord("UNCOMMITTED")) {
+        return "READ UNCOMMITTED";
+      }
+      this.expectWord("COMMITTED");
+      return "READ COMMITTED";
+    }
+    if (this.consumeWord("REPEATABLE")) {
+      this.expectWord("READ");
+      return "REPEATABLE READ";
+    }
+    this.expectWord("SERIALIZABLE");
+    return "SERIALIZABLE";
+  }
+
+  /**
+   * Parse session SET statement
+   * SET [SESSION | LOCAL | GLOBAL] TRANSACTION mode [, ...]
+   * SET [scope] name {= | TO} value [, value ...] [, [scope] name = value ...]
+   * SET NAMES charset | SET TIME ZONE zone | SET option ON
+   * @returns {SetStatement|TransactionStatement} SET AST node, or a transaction
+   *   node for SET TRANSACTION
+   */
+  parseSetStatement() {
+    this.expect(TokenType.SET);
+    const scope = this.parseSetScope();
+
+    if (this.consumeWord("TRANSACTION")) {
+      const modes = this.parseTransactionModes();
+      if (modes.length === 0) {
+        throw this.unexpected("transaction mode");
+      }
+      return AST.transaction({ action: "SET TRANSACTION", scope, modes });
+    }
+
+    const variables = [this.parseSetVariable(scope)];
+    while (this.consume(TokenType.COMMA)) {
+      variables.push(this.parseSetVariable(this.parseSetScope()));
+    }
+
+    return AST.set(variables);
+  }
+
+  /**
+   * Parse the scope of a SET variable, unless the word is itself the variable being set
+   * @returns {string|null} 'SESSION', 'LOCAL', 'GLOBAL' or null
+   */
+  parseSetScope() {
+    if (!this.matchWord("SESSION", "LOCAL", "GLOBAL") || this.peek()?.is(TokenType.EQUALS)) {
+      return null;
+    }
+    const scope = this.current().value.toUpperCase();
+    this.advance();
+    return scope;
+  }
+
+  /**
+   * Parse a variable of a SET statement and its values
+   * @param {string|null} scope - Scope parsed before the name
+   * @returns {SetVariable} SET variable AST node
+   */
+  parseSetVariable(scope) {
+    const token = this.current();
+    let name;
+    if (token?.is(TokenType.PARAMETER)) {
+      this.advance();
+      name = this.createParameter(token);
+    } else if (token?.is(TokenType.TIME) && this.isWord(this.peek(), "ZONE")) {
+      this.advance();
+      this.advance();
+      name = AST.identifier("TIME ZONE");
+    } else {
+      name = this.parseObjectName();
+    }
+
+    let operator = null;
+    if (this.consume(TokenType.EQUALS)) {
+      operator = "=";
+    } else if (this.consumeWord("TO")) {
+      operator = "TO";
+    }
+
+    // A comma continues the value list unless the next variable assignment follows
+    const values = [this.parseSetValue()];
+    while (this.match(TokenType.COMMA) && !this.isSetAssignmentAt(1)) {
+      this.advance();
+      values.push(this.parseSetValue());
+    }
+
+    return AST.setVariable({ name, scope, operator, values });
+  }
+
+  /**
+   * Check whether a [scope] name {= | TO} assignment starts at the given token
+   * @param {number} offset - Offset of the first token from the current position
+   * @returns {boolean} True if the tokens start a SET variable assignment
+   */
+  isSetAssignmentAt(offset) {
+    if (this.isWord(this.peek(offset), "SESSION", "LOCAL", "GLOBAL") &&
+        !this.peek(offset + 1)?.is(TokenType.EQUALS)) {
+      offset++;
+    }
+
+    if (this.peek(offset)?.is(TokenType.PARAMETER)) {
+      offset++;
+    } else if (this.isIdentifier(this.peek(offset))) {
+      offset++;
+      while (this.peek(offset)?.is(TokenType.DOT) && this.isIdentifier(this.peek(offset + 1))) {
+        offset += 2;
+      }
+    } else {
+      return false;
+    }
+
+    const next = this.peek(offset);
+    return Boolean(next) && (next.is(TokenType.EQUALS) || this.isWord(next, "TO"));
+  }
+
+  /**
+   * Parse a value of a SET variable, where DEFAULT and ON are allowed
+   * @returns {ASTNode} Value expression
+   */
+  parseSetValue() {
+    if (this.consume(TokenType.ON)) {
+      return AST.literal("ON", "keyword");
+    }
+    return this.parseValueExpression();
+  }
+
+  /**
+   * Parse USE statement
+   * USE database
+   * @returns {UseStatement} USE AST node
+   */
+  parseUseStatement() {
+    this.expectWord("USE");
+    return AST.use(this.expectIdentifier().value);
+  }
+
+  /**
+   * Parse SHOW statement
+   * SHOW words [{FROM | IN} name] [LIKE 'pattern' | WHERE condition]
+   * SHOW CREATE object_type name
+   * @returns {ShowStatement} SHOW AST node
+   */
+  parseShowStatement() {
+    this.expectWord("SHOW");
+
+    const words = [];
+    let target = null;
+    if (this.consume(TokenType.CREATE)) {
+      if (!this.isBareWord(this.current())) {
+        throw this.unexpected("object type");
+      }
+      words.push("CREATE", this.current().value.toUpperCase());
+      this.advance();
+      target = this.parseTableName();
+    } else {
+      while (this.isBareWord(this.current())) {
+        let word = this.current().value.toUpperCase();
+        this.advance();
+        // Dotted setting names such as app.user_id
+        while (this.match(TokenType.DOT) && this.isBareWord(this.peek())) {
+          word += `.${this.advance().value.toUpperCase()}`;
+          this.advance();
+        }
+        words.push(word);
+      }
+      if (words.length === 0) {
+        throw this.unexpected("SHOW subject");
+      }
+      if (this.consume(TokenType.FROM) || this.consume(TokenType.IN)) {
+        target = this.parseTableName();
+      }
+    }
+
+    let like = null;
+    let where = null;
+    if (this.consume(TokenType.LIKE)) {
+      like = this.expect(TokenType.STRING).value;
+    } else if (this.match(TokenType.WHERE)) {
+      where = this.parseWhereClause();
+    }
+
+    return AST.show({ subject: words.join(" "), target, like, where });
+  }
+
+  /**
+   * Check if a token is a bare word, e.g. of a SHOW subject or a privilege name
+   * @param {Token|null} token - Token to check
+   * @returns {boolean} True for identifiers and keywords other than FROM, IN, LIKE and WHERE
+   */
+  isBareWord(token) {
+    return (
+      Boolean(token) &&
+      !token.isOneOf(TokenType.STRING, TokenType.FROM, TokenType.IN, TokenType.LIKE, TokenType.WHERE) &&
+      /^[A-Za-z_][A-Za-z0-9_]*$/.test(token.value)
+    );
+  }
+
+  /**
+   * Parse GRANT statement
+   * GRANT privilege [(columns)] [, ...] ON [object_type] name [, ...] TO grantee [, ...]
+   *   [WITH GRANT OPTION]
+   * GRANT role [, ...] TO grantee [, ...] [WITH ADMIN OPTION]
+   * @returns {GrantStatement} GRANT AST node
+   */
+  parseGrantStatement() {
+    this.expectWord("GRANT");
+    const grant = this.parseGrantSubject();
+    this.expectWord("TO");
+    grant.grantees = this.parseGrantees();
+
+    if (this.consume(TokenType.WITH)) {
+      this.expectWord(grant.roles ? "ADMIN" : "GRANT");
+      this.expectWord("OPTION");
+      grant.grantOption = true;
+    }
+
+    return AST.grant(grant);
+  }
+
+  /**
+   * Parse REVOKE statement
+   * REVOKE [GRANT OPTION FOR] privilege [(columns)] [, ...] ON [object_type] name [, ...]
+   *   FROM grantee [, ...] [CASCADE | RESTRICT]
+   * REVOKE [ADMIN OPTION FOR] role [, ...] FROM grantee [, ...] [CASCADE | RESTRICT]
+   * @returns {RevokeStatement} REVOKE AST node
+   */
+  parseRevokeStatement() {
+    this.expectWord("REVOKE");
+
+    const grantOption = this.matchWord("GRANT", "ADMIN") && this.isWord(this.peek(), "OPTION");
+    if (grantOption) {
+      this.advance();
+      this.advance();
+      this.expectWord("FOR");
+    }
+
+    const revoke = this.parseGrantSubject();
+    this.expect(TokenType.FROM);
+    revoke.grantees = this.parseGrantees();
+
+    return AST.revoke({ ...revoke, grantOption, behavior: this.parseDropBehavior() });
+  }
+
+  /**
+   * Parse the granted or revoked privileges and their objects, or the granted roles
+   * @returns {Object} privileges, objectType and objects, or roles when there is no ON
+   */
+  parseGrantSubject() {
+    const items = [];
+    do {
+      const start = this.current();
+      const words = [];
+      while (this.isBareWord(this.current()) && !this.match(TokenType.ON) && !this.matchWord("TO")) {
+        words.push(this.current().value);
+        this.advance();
+      }
+      if (words.length === 0) {
+        throw this.unexpected("privilege or role");
+      }
+      const columns = this.match(TokenType.LEFT_PAREN) ? this.parseIdentifierList() : [];
+      items.push({ start, words, columns });
+    } while (this.consume(TokenType.COMMA));
+
+    if (!this.consume(TokenType.ON)) {
+      // Without ON the items are role names
+      const roles = items.every(
+        ({ start, words, columns }) =>
+          words.length === 1 && columns.length === 0 && this.isIdentifier(start)
+      );
+      if (!roles) {
+        throw this.unexpected("ON");
+      }
+      return { roles: items.map(({ words }) => words[0]) };
+    }
+
+    const privileges = items.map(({ words, columns }) =>
+      AST.privilege(words.join(" ").toUpperCase(), columns)
+    );
+    const objectType = this.parseGrantObjectType();
+
+    const objects = [];
+    do {
+      objects.push(
+        objectType === null || objectType === "TABLE" || objectType === "SEQUENCE"
+          ? this.parseTableName()
+          : this.parseObjectName()
+      );
+    } while (this.consume(TokenType.COMMA));
+
+    return { privileges, objectType, objects };
+  }
+
+  /**
+   * Parse the optional object type after ON of GRANT and REVOKE
+   * TABLE | SEQUENCE | SCHEMA | DATABASE | ALL {TABLES | SEQUENCES | FUNCTIONS} IN SCHEMA
+   * @returns {string|null} Upper case object type, or null when the objects are tables
+   */
+  parseGrantObjectType() {
+    if (this.consume(TokenType.ALL)) {
+      if (!this.matchWord("TABLES", "SEQUENCES", "FUNCTIONS")) {
+        throw this.unexpected("TABLES, SEQUENCES or FUNCTIONS");
+      }
+      const objects = this.current().value.toUpperCase();
+      this.advance();
+      this.expect(TokenType.IN);
+      this.expect(TokenType.SCHEMA);
+      return `ALL ${objects} IN SCHEMA`;
+    }
+
+    if (
+      this.matchAny(TokenType.TABLE, TokenType.SCHEMA, TokenType.DATABASE) ||
+      (this.matchWord("SEQUENCE") && this.isIdentifier(this.peek()))
+    ) {
+      const objectType = this.current().value.toUpperCase();
+      this.advance();
+      return objectType;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse the role and user names a privilege is granted to or revoked from
+   * @returns {Array<string>} Grantee names, e.g. 'analyst' or 'PUBLIC'
+   */
+  parseGrantees() {
+    const grantees = [];
+    do {
+      grantees.push(this.expectIdentifier().value);
+    } while (this.consume(TokenType.COMMA));
+    return grantees;
+  }
+
+  /**
+   * Parse EXPLAIN statement
+   * EXPLAIN (option [value] [, ...]) statement
+   * EXPLAIN [ANALYZE] [VERBOSE] [FORMAT = format] [QUERY PLAN] statement
+   * @returns {ExplainStatement} EXPLAIN AST node
+   */
+  parseExplainStatement() {
+    this.expectWord("EXPLAIN");
+
+    const options = [];
+    const parenthesized = this.match(TokenType.LEFT_PAREN) && !this.isQueryStart(this.peek());
+    if (parenthesized) {
+      this.advance();
+      do {
+        if (!this.isBareWord(this.current())) {
+          throw this.unexpected("EXPLAIN option");
+        }
+        const name = this.current().value.toUpperCase();
+        this.advance();
+        let value = null;
+        if (!this.matchAny(TokenType.COMMA, TokenType.RIGHT_PAREN)) {
+          value = this.expectExplainValue();
+        }
+        options.push(AST.explainOption(name, value));
+      } while (this.consume(TokenType.COMMA));
+      this.expect(TokenType.RIGHT_PAREN);
+    } else {
+      for (;;) {
+        if (this.matchWord("ANALYZE", "VERBOSE")) {
+          options.push(AST.explainOption(this.current().value.toUpperCase()));
+          this.advance();
+        } else if (this.matchWord("QUERY") && this.isWord(this.peek(), "PLAN")) {
+          this.advance();
+          this.advance();
+          options.push(AST.explainOption("QUERY PLAN"));
+        } else if (this.matchWord("FORMAT") && this.peek()?.is(TokenType.EQUALS)) {
+          this.advance();
+          this.advance();
+          options.push(AST.explainOption("FORMAT", this.expectExplainValue()));
+        } else {
+          break;
+        }
+      }
+    }
+
+    return AST.explain({ statement: this.parseStatement(), options, parenthesized });
+  }
+
+  /**
+   * Expect the value of an EXPLAIN option, e.g. JSON, TRUE, OFF or 1
+   * @returns {string} Upper case value
+   */
+  expectExplainValue() {
+    const token = this.current();
+    if (!token || !(this.isBareWord(token) || token.is(TokenType.NUMBER))) {
+      throw this.unexpected("EXPLAIN option value");
+    }
+    this.advance();
+    return token.value.toUpperCase();
+  }
+
+  /**
+   * Parse ALTER TABLE statement
+   * ALTER TABLE [IF EXISTS] name action [, action ...]
+   * @returns {AlterTableStatement} ALTER TABLE AST node
+   */
+  parseAlterTableStatement() {
+    this.expect(TokenType.ALTER);
+    this.expect(TokenType.TABLE);
+    const ifExists = this.parseIfExists();
+    const table = this.parseTableName();
+
+    const actions = [];
+    do {
+      actions.push(this.parseAlterTableAction());
+    } while (this.consume(TokenType.COMMA));
+
+    return AST.alterTable({ table, ifExists, actions });
+  }
+
+  /**
+   * Parse a single ALTER TABLE action
+   * ADD [COLUMN] [IF NOT EXISTS] column_definition | ADD table_constraint
+   *   | DROP [COLUMN] [IF EXISTS] name [CASCADE | RESTRICT]
+   *   | DROP CONSTRAINT [IF EXISTS] name [CASCADE | RESTRICT]
+   *   | RENAME TO name | RENAME [COLUMN] name TO name
+   *   | ALTER [COLUMN] name column_change | MODIFY [COLUMN] column_definition
+   * @returns {AlterTableAction} Action AST node
+   */
+  parseAlterTableAction() {
+    if (this.consumeWord("ADD")) {
+      if (this.isTableConstraintStart()) {
+        return AST.alterAction({ action: "ADD CONSTRAINT", definition: this.parseTableConstraint() });
+      }
+      this.consumeWord("COLUMN");
+      const ifNotExists = this.parseIfNotExists();
+      return AST.alterAction({
+        action: "ADD COLUMN",
+        ifNotExists,
+        definition: this.parseColumnDefinition(),
+      });
+    }
+
+    if (this.consume(TokenType.DROP)) {
+      const action = this.consume(TokenType.CONSTRAINT) ? "DROP CONSTRAINT" : "DROP COLUMN";
+      if (action === "DROP COLUMN") {
+        this.consumeWord("COLUMN");
+      }
+      const ifExists = this.parseIfExists();
+      const name = this.expectIdentifier().value;
+      return AST.alterAction({ action, name, ifExists, behavior: this.parseDropBehavior() });
+    }
+
+    if (this.consumeWord("RENAME")) {
+      if (this.consumeWord("TO")) {
+        return AST.alterAction({ action: "RENAME TABLE", newName: this.expectIdentifier().value });
+      }
+      this.consumeWord("COLUMN");
+      const name = this.expectIdentifier().value;
+      this.expectWord("TO");
+      return AST.alterAction({
+        action: "RENAME COLUMN",
+        name,
+        newName: this.expectIdentifier().value,
+      });
+    }
+
+    if (this.consume(TokenType.ALTER)) {
+      this.consumeWord("COLUMN");
+      const name = this.expectIdentifier().value;
+      return AST.alterAction({ action: "ALTER COLUMN", name, ...this.parseColumnChange() });
+    }
+
+    if (this.consumeWord("MODIFY")) {
+      this.consumeWord("COLUMN");
+      return AST.alterAction({ action: "MODIFY COLUMN", definition: this.parseColumnDefinition() });
+    }
+
+    const token = this.current();
+    if (!token || token.is(TokenType.EOF)) {
+      throw SQLError.unexpectedEnd(
+        this.tokens[this.tokens.length - 1]?.line || 1,
+        this.tokens[this.tokens.length - 1]?.column || 1
+      );
+    }
+    throw SQLError.unexpectedToken(
+      "ADD, DROP, RENAME, ALTER or MODIFY",
+      token.type,
+      token.line,
+      token.column
+    );
+  }
+
+  /**
+   * Parse the change made by ALTER COLUMN
+   * [SET DATA] TYPE data_type | SET DEFAULT expr | DROP DEFAULT
+   *   | SET NOT NULL | DROP NOT NULL
+   * @returns {Object} Operation with its data type or default value
+   */
+  parseColumnChange() {
+    if (this.consumeWord("TYPE")) {
+      return { operation: "TYPE", dataType: this.parseDataType() };
+    }
+
+    if (this.consume(TokenType.SET)) {
+      if (this.consumeWord("DATA")) {
+        this.expectWord("TYPE");
+        return { operation: "TYPE", dataType: this.parseDataType() };
+      }
+      if (this.consume(TokenType.DEFAULT)) {
+        return { operation: "SET DEFAULT", defaultValue: this.parseExpression() };
+      }
+      this.expect(TokenType.NOT);
+      this.expect(TokenType.NULL);
+      return { operation: "SET NOT NULL" };
+    }
+
+    if (this.consume(TokenType.DROP)) {
+      if (this.consume(TokenType.DEFAULT)) {
+        return { operation: "DROP DEFAULT" };
+      }
+      this.expect(TokenType.NOT);
+      this.expect(TokenType.NULL);
+      return { operation: "DROP NOT NULL" };
+    }
+
+    const token = this.current();
+    if (!token || token.is(TokenType.EOF)) {
+      throw SQLError.unexpectedEnd(
+        this.tokens[this.tokens.length - 1]?.line || 1,
+        this.tokens[this.tokens.length - 1]?.column || 1
+      );
+    }
+    throw SQLError.unexpectedToken("TYPE, SET or DROP", token.type, token.line, token.column);
+  }
+
+  /**
+   * Parse optional CASCADE or RESTRICT after a DROP
+   * @returns {string|null} Drop behavior in upper case or null
+   */
+  parseDropBehavior() {
+    if (this.matchWord("CASCADE", "RESTRICT")) {
+      const behavior = this.current().value.toUpperCase();
+      this.advance();
+      return behavior;
+    }
+    return null;
+  }
+
+  /**
+   * Parse a query used as a statement body (CREATE TABLE ... AS, subqueries)
+   * @returns {ASTNode} SELECT, set operation or WITH query AST node
+   */
+  parseQuery() {
+    if (this.match(TokenType.WITH)) {
+      return this.parseWithStatement();
+    }
+    return this.parseSetOperationStatement();
+  }
+
+  /**
+   * Parse optional IF NOT EXISTS
+   * @returns {boolean} True if IF NOT EXISTS was present
+   */
+  parseIfNotExists() {
+    if (!this.consumeWord("IF")) {
+      return false;
+    }
+    this.expect(TokenType.NOT);
+    this.expect(TokenType.EXISTS);
+    return true;
+  }
+
+  /**
+   * Parse optional IF EXISTS
+   * @returns {boolean} True if IF EXISTS was present
+   */
+  parseIfExists() {
+    if (!this.consumeWord("IF")) {
+      return false;
+    }
+    this.expect(TokenType.EXISTS);
+    return true;
+  }
+
+  /**
+   * Parse a table name without alias, e.g. in DDL statements
+   * @returns {TableReference} Table reference AST node
+   */
+  parseTableName() {
+    const [name, schema = null, catalog = null] = this.parseQualifiedName(3).reverse();
+    return AST.table(name, null, schema, catalog);
+  }
+
+  /**
+   * Parse a dot separated name such as catalog.schema.table
+   * @param {number} maxParts - Maximum number of name parts
+   * @param {boolean} [wildcard=false] - Stop before a trailing .* and consume its dot
+   * @returns {Array<string>} Name parts, outermost qualifier first
+   */
+  parseQualifiedName(maxParts, wildcard = false) {
+    const start = this.current();
+    const parts = [this.expectIdentifier().value];
+
+    while (this.consume(TokenType.DOT)) {
+      if (wildcard && this.match(TokenType.MULTIPLY)) {
+        break;
+      }
+      parts.push(this.expectIdentifier().value);
+    }
+
+    if (parts.length > maxParts) {
+      throw SQLError.invalidIdentifier(parts.join("."), start.line, start.column);
+    }
+
+    return parts;
+  }
+
+  /**
+   * Check whether the current tokens form a qualified wildcard such as s.t.*
+   * @returns {boolean} True for name(.name)*.*
+   */
+  isQualifiedWildcard() {
+    let offset = 0;
+    while (this.isIdentifier(this.peek(offset)) && this.peek(offset + 1)?.is(TokenType.DOT)) {
+      if (this.peek(offset + 2)?.is(TokenType.MULTIPLY)) {
+        return true;
+      }
+      offset += 2;
+    }
+    return false;
+  }
+
+  /**
+   * Parse the name of a schema object other than a table, e.g. an index
+   * @returns {Identifier} Identifier with the schema as qualifier
+   */
+  parseObjectName() {
+    const name = this.expectIdentifier().value;
+
+    if (this.consume(TokenType.DOT)) {
+      return AST.identifier(this.expectIdentifier().value, name);
+    }
+
+    return AST.identifier(name, null);
+  }
+
+  /**
+   * Parse a parenthesized list of column names
+   * @returns {Array<string>} Column names
+   */
+  parseIdentifierList() {
+    this.expect(TokenType.LEFT_PAREN);
+    const names = [];
+    do {
+      names.push(this.expectIdentifier().value);
+    } while (this.consume(TokenType.COMMA));
+    this.expect(TokenType.RIGHT_PAREN);
+    return names;
+  }
+
+  /**
+   * Check if a token is a keyword that names a data type
+   * @param {Token} token - Token to check
+   * @returns {boolean} True if the token is a data type keyword
+   */
+  isDataTypeKeyword(token) {
+    const dataTypeKeywords = [
+      TokenType.INT,
+      TokenType.INTEGER,
+      TokenType.VARCHAR,
+      TokenType.CHAR,
+      TokenType.TEXT,
+      TokenType.DECIMAL,
+      TokenType.FLOAT,
+      TokenType.DOUBLE,
+      TokenType.DATE,
+      TokenType.TIME,
+      TokenType.TIMESTAMP,
+      TokenType.BOOLEAN_TYPE,
+      TokenType.INTERVAL,
+      TokenType.YEAR,
+    ];
+    return dataTypeKeywords.includes(token.type);
+  }
+
+  /**
+   * Parse a data type
+   * type_name [(parameter, ...)] [UNSIGNED | ZEROFILL | WITH[OUT] TIME ZONE ...] [[size] ...]
+   * @returns {DataType} Data type AST node
+   */
+  parseDataType() {
+    const token = this.current();
+    if (!token || !(this.isIdentifier(token) || this.isDataTypeKeyword(token))) {
+      throw SQLError.unexpectedToken(
+        "data type",
+        token ? token.type : "end of input",
+        token?.line || 1,
+        token?.column || 1
+      );
+    }
+    this.advance();
+
+    // Multi-word type names: DOUBLE PRECISION, CHARACTER VARYING
+    const words = [token.value];
+    if (this.matchWord("PRECISION", "VARYING")) {
+      words.push(this.current().value);
+      this.advance();
+    }
+
+    const parameters = [];
+    if (this.consume(TokenType.LEFT_PAREN)) {
+      do {
+        parameters.push(this.parseExpression());
+      } while (this.consume(TokenType.COMMA));
+      this.expect(TokenType.RIGHT_PAREN);
+    }
+
+    const modifiers = [];
+    for (;;) {
+      if (this.matchWord("UNSIGNED", "SIGNED", "ZEROFILL")) {
+        modifiers.push(this.current().value);
+        this.advance();
+      } else if (
+        (this.match(TokenType.WITH) || this.matchWord("WITHOUT")) &&
+        this.peek()?.is(TokenType.TIME)
+      ) {
+        const withWord = this.current().value;
+        this.advance();
+        const timeWord = this.current().value;
+        this.advance();
+        const zoneWord = this.expectWord("ZONE").value;
+        modifiers.push(`${withWord} ${timeWord} ${zoneWord}`);
+      } else {
+        break;
+      }
+    }
+
+    // PostgreSQL arrays: INT[], TEXT[3][]
+    const arrayDimensions = [];
+    while (this.consume(TokenType.LEFT_BRACKET)) {
+      arrayDimensions.push(this.match(TokenType.RIGHT_BRACKET) ? null : this.parseExpression());
+      this.expect(TokenType.RIGHT_BRACKET);
+    }
+
+    return AST.dataType({ name: words.join(" "), parameters, modifiers, arrayDimensions });
+  }
+
+  /**
+   * Parse a column definition
+   * name data_type [NOT NULL | NULL | DEFAULT expr | AUTO_INCREMENT | column_constraint ...]
+   * @returns {ColumnDefinition} Column definition AST node
+   */
+  parseColumnDefinition() {
+    const name = this.expectIdentifier().value;
+    const column = AST.columnDefinition({ name, dataType: this.parseDataType() });
+
+    for (;;) {
+      if (this.match(TokenType.NOT)) {
+        this.advance();
+        this.expect(TokenType.NULL);
+        column.nullable = false;
+      } else if (this.consume(TokenType.NULL)) {
+        column.nullable = true;
+      } else if (this.consume(TokenType.DEFAULT)) {
+        column.defaultValue = this.parseExpression();
+      } else if (
+        this.consume(TokenType.AUTO_INCREMENT) ||
+        this.consumeWord("AUTO_INCREMENT") ||
+        this.consumeWord("AUTOINCREMENT")
+      ) {
+        column.autoIncrement = true;
+      } else {
+        const constraint = this.parseColumnConstraint();
+        if (!constraint) {
+          break;
+        }
+        column.constraints.push(constraint);
+      }
+    }
+
+    return column;
+  }
 
-    return AST.insert({
-      table,
-      columns,
-      values,
-    });
+  /**
+   * Parse an inline column constraint, if present
+   * [CONSTRAINT name] PRIMARY KEY | UNIQUE | CHECK (expr) | REFERENCES ...
+   * @returns {ConstraintDefinition|null} Constraint AST node or null
+   */
+  parseColumnConstraint() {
+    let name = null;
+    if (this.consume(TokenType.CONSTRAINT)) {
+      name = this.expectIdentifier().value;
+    }
+
+    if (this.consume(TokenType.PRIMARY)) {
+      this.expect(TokenType.KEY);
+      return AST.constraint({ constraintType: "PRIMARY KEY", name });
+    }
+
+    if (this.consume(TokenType.UNIQUE)) {
+      this.consume(TokenType.KEY);
+      return AST.constraint({ constraintType: "UNIQUE", name });
+    }
+
+    if (this.match(TokenType.CHECK)) {
+      return AST.constraint({ constraintType: "CHECK", name, expression: this.parseCheckExpression() });
+    }
+
+    if (this.matchWord("REFERENCES")) {
+      return AST.constraint({
+        constraintType: "FOREIGN KEY",
+        name,
+        references: this.parseReferenceDefinition(),
+      });
+    }
+
+    if (name) {
+      const token = this.current();
+      throw SQLError.unexpectedToken(
+        "PRIMARY KEY, UNIQUE, CHECK or REFERENCES",
+        token.type,
+        token.line,
+        token.column
+      );
+    }
+
+    return null;
   }
 
   /**
-   * Parse UPDATE statement
-   * @returns {UpdateStatement} UPDATE AST node
+   * Check if the current token starts a table-level constraint
+   * @returns {boolean} True if a table constraint follows
    */
-  parseUpdateStatement() {
-    this.expect(TokenType.UPDATE);
-    const table = this.parseTableReference();
-    this.expect(TokenType.SET);
+  isTableConstraintStart() {
+    return this.matchAny(
+      TokenType.CONSTRAINT,
+      TokenType.PRIMARY,
+      TokenType.FOREIGN,
+      TokenType.UNIQUE,
+      TokenType.CHECK
+    );
+  }
 
-    const assignments = [];
-    do {
-      const column = this.expect(TokenType.IDENTIFIER).value;
-      this.expect(TokenType.EQUALS);
-      const value = this.parseExpression();
-      assignments.push(AST.assignment(column, value));
-    } while (this.consume(TokenType.COMMA));
+  /**
+   * Parse a table-level constraint
+   * [CONSTRAINT name] PRIMARY KEY (cols) | UNIQUE [KEY] [name] (cols)
+   *   | FOREIGN KEY (cols) REFERENCES ... | CHECK (expr)
+   * @returns {ConstraintDefinition} Constraint AST node
+   */
+  parseTableConstraint() {
+    let name = null;
+    if (this.consume(TokenType.CONSTRAINT)) {
+      name = this.expectIdentifier().value;
+    }
 
-    let whereClause = null;
-    if (this.match(TokenType.WHERE)) {
-      whereClause = this.parseWhereClause();
+    if (this.consume(TokenType.PRIMARY)) {
+      this.expect(TokenType.KEY);
+      return AST.constraint({
+        constraintType: "PRIMARY KEY",
+        name,
+        columns: this.parseIdentifierList(),
+      });
     }
 
-    return AST.update({
-      table,
-      set: assignments,
-      where: whereClause,
-    });
+    if (this.consume(TokenType.UNIQUE)) {
+      if (!this.consume(TokenType.KEY)) {
+        this.consume(TokenType.INDEX);
+      }
+      // MySQL names the index after UNIQUE [KEY]
+      if (!name && this.isIdentifier(this.current())) {
+        name = this.expectIdentifier().value;
+      }
+      return AST.constraint({
+        constraintType: "UNIQUE",
+        name,
+        columns: this.parseIdentifierList(),
+      });
+    }
+
+    if (this.consume(TokenType.FOREIGN)) {
+      this.expect(TokenType.KEY);
+      const columns = this.parseIdentifierList();
+      return AST.constraint({
+        constraintType: "FOREIGN KEY",
+        name,
+        columns,
+        references: this.parseReferenceDefinition(),
+      });
+    }
+
+    if (this.match(TokenType.CHECK)) {
+      return AST.constraint({ constraintType: "CHECK", name, expression: this.parseCheckExpression() });
+    }
+
+    const token = this.current();
+    throw SQLError.unexpectedToken(
+      "PRIMARY KEY, UNIQUE, FOREIGN KEY or CHECK",
+      token.type,
+      token.line,
+      token.column
+    );
   }
 
   /**
-   * Parse DELETE statement
-   * @returns {DeleteStatement} DELETE AST node
+   * Parse CHECK (expression)
+   * @returns {ASTNode} Check expression
    */
-  parseDeleteStatement() {
-    this.expect(TokenType.DELETE);
-    this.expect(TokenType.FROM);
+  parseCheckExpression() {
+    this.expect(TokenType.CHECK);
+    this.expect(TokenType.LEFT_PAREN);
+    const expression = this.parseExpression();
+    this.expect(TokenType.RIGHT_PAREN);
+    return expression;
+  }
 
-    const table = this.parseTableReference();
+  /**
+   * Parse a foreign key reference
+   * REFERENCES table [(cols)] [ON DELETE action] [ON UPDATE action]
+   * @returns {ReferenceDefinition} Reference AST node
+   */
+  parseReferenceDefinition() {
+    this.expectWord("REFERENCES");
+    const table = this.parseTableName();
+    const columns = this.match(TokenType.LEFT_PAREN) ? this.parseIdentifierList() : [];
+    const reference = AST.reference({ table, columns });
 
-    let whereClause = null;
-    if (this.match(TokenType.WHERE)) {
-      whereClause = this.parseWhereClause();
+    while (this.match(TokenType.ON)) {
+      this.advance();
+      if (this.consume(TokenType.DELETE)) {
+        reference.onDelete = this.parseReferentialAction();
+      } else {
+        this.expect(TokenType.UPDATE);
+        reference.onUpdate = this.parseReferentialAction();
+      }
     }
 
-    return AST.delete({
-      from: table,
-      where: whereClause,
-    });
+    return reference;
+  }
+
+  /**
+   * Parse a referential action
+   * CASCADE | RESTRICT | NO ACTION | SET NULL | SET DEFAULT
+   * @returns {string} Action in upper case
+   */
+  parseReferentialAction() {
+    if (this.consume(TokenType.SET)) {
+      if (this.consume(TokenType.NULL)) {
+        return "SET NULL";
+      }
+      this.expect(TokenType.DEFAULT);
+      return "SET DEFAULT";
+    }
+
+    if (this.consumeWord("NO")) {
+      this.expectWord("ACTION");
+      return "NO ACTION";
+    }
+
+    if (this.matchWord("CASCADE", "RESTRICT")) {
+      const action = this.current().value.toUpperCase();
+      this.advance();
+      return action;
+    }
+
+    const token = this.current();
+    throw SQLError.unexpectedToken(
+      "CASCADE, RESTRICT, NO ACTION, SET NULL or SET DEFAULT",
+      token.type,
+      token.line,
+      token.column
+    );
   }
 
   /**
@@ -863,43 +2998,99 @@ export class Parser {
     while (this.matchAny(TokenType.EQUALS, TokenType.NOT_EQUALS)) {
       const operator = this.current().value;
       this.advance();
-      const right = this.parseRelationalExpression();
-      left = AST.binary(left, operator, right);
+
+      if (this.matchAny(TokenType.ANY, TokenType.ALL)) {
+        left = this.parseQuantifiedComparison(left, operator);
+      } else {
+        const right = this.parseRelationalExpression();
+        left = AST.binary(left, operator, right);
+      }
     }
 
     return left;
   }
 
   /**
-   * Parse relational expression (<, >, <=, >=)
+   * Parse the ANY/ALL side of a comparison
+   * operator ANY|ALL (subquery) | operator ANY|ALL (array_expression)
+   * @param {ASTNode} left - Left operand
+   * @param {string} operator - Comparison operator
+   * @returns {BinaryExpression} Comparison whose operator is e.g. "= ANY"
+   */
+  parseQuantifiedComparison(left, operator) {
+    const quantifier = this.current().value;
+    this.advance();
+    this.expect(TokenType.LEFT_PAREN);
+
+    let right;
+    if (this.isSubqueryStart()) {
+      right = AST.subquery(this.parseQuery());
+    } else {
+      // PostgreSQL compares with each element of an array
+      right = this.parseExpression();
+    }
+
+    this.expect(TokenType.RIGHT_PAREN);
+    return AST.binary(left, `${operator} ${quantifier}`, right);
+  }
+
+  /**
+   * Check if the current tokens start a relational operator, including the
+   * negated forms NOT IN, NOT LIKE, NOT ILIKE, NOT BETWEEN and NOT SIMILAR TO
+   * @returns {boolean} True if a relational operator follows
+   */
+  isRelationalOperator() {
+    const offset = this.match(TokenType.NOT) ? 1 : 0;
+    const token = this.peek(offset);
+
+    if (this.isWord(token, "SIMILAR")) {
+      return this.isWord(this.peek(offset + 1), "TO");
+    }
+
+    const negatable = [TokenType.LIKE, TokenType.ILIKE, TokenType.IN, TokenType.BETWEEN];
+    const operators = offset
+      ? negatable
+      : [
+          TokenType.LESS_THAN,
+          TokenType.GREATER_THAN,
+          TokenType.LESS_THAN_EQUALS,
+          TokenType.GREATER_THAN_EQUALS,
+          TokenType.IS,
+          ...negatable,
+        ];
+    return Boolean(token) && operators.some((type) => token.is(type));
+  }
+
+  /**
+   * Parse relational expression (<, >, <=, >=, [NOT] IN, [NOT] LIKE, [NOT] BETWEEN,
+   * [NOT] SIMILAR TO, IS ...)
    * @returns {ASTNode} Expression AST node
    */
   parseRelationalExpression() {
-    let left = this.parseAdditiveExpression();
+    let left = this.parseOperatorExpression();
 
-    while (
-      this.matchAny(
-        TokenType.LESS_THAN,
-        TokenType.GREATER_THAN,
-        TokenType.LESS_THAN_EQUALS,
-        TokenType.GREATER_THAN_EQUALS,
-        TokenType.LIKE,
-        TokenType.ILIKE,
-        TokenType.IN,
-        TokenType.BETWEEN,
-        TokenType.IS
-      )
-    ) {
-      const operator = this.current().value;
+    while (this.isRelationalOperator()) {
+      const not = this.consume(TokenType.NOT);
+      let operator = this.current().value;
       this.advance();
 
+      if (operator.toUpperCase() === "SIMILAR") {
+        operator = `${operator} ${this.current().value}`;
+        this.advance(); // TO
+      }
+      if (not) {
+        operator = `${not.value} ${operator}`;
+      }
+      // Operator without NOT, e.g. IN for "not in"
+      const keyword = operator.toUpperCase().replace(/^NOT /, "");
+
       // Handle IN operator specially - it expects a list of values or a subquery
-      if (operator === "IN") {
+      if (keyword === "IN") {
         this.expect(TokenType.LEFT_PAREN);
         
         // Check if this is a subquery
-        if (this.match(TokenType.SELECT)) {
-          const query = this.parseSelectStatement();
+        if (this.isSubqueryStart()) {
+          const query = this.parseQuery();
           this.expect(TokenType.RIGHT_PAREN);
           left = AST.binary(left, operator, AST.subquery(query));
         } else {
@@ -918,50 +3109,41 @@ export class Parser {
           this.expect(TokenType.RIGHT_PAREN);
           left = AST.binary(left, operator, AST.valuesList(values));
         }
-      } else if (operator === "BETWEEN") {
+      } else if (keyword === "BETWEEN") {
         // Handle BETWEEN operator - it expects two values separated by AND
-        const startValue = this.parseAdditiveExpression();
+        const startValue = this.parseOperatorExpression();
         this.expect(TokenType.AND);
-        const endValue = this.parseAdditiveExpression();
+        const endValue = this.parseOperatorExpression();
         left = AST.binary(left, operator, AST.betweenRange(startValue, endValue));
-      } else if (operator === "IS") {
-        // Handle IS NULL and IS NOT NULL
-        let isOperator = "IS";
-        if (this.match(TokenType.NOT)) {
-          this.advance();
-          isOperator = "IS NOT";
-        }
-        
-        if (this.match(TokenType.NULL)) {
-          this.advance();
+      } else if (keyword === "IS") {
+        // IS [NOT] NULL | TRUE | FALSE | UNKNOWN | DISTINCT FROM expression
+        const isOperator = this.consume(TokenType.NOT) ? "IS NOT" : "IS";
+
+        if (this.consume(TokenType.NULL)) {
           left = AST.binary(left, isOperator, AST.literal(null, 'NULL'));
+        } else if (this.match(TokenType.BOOLEAN)) {
+          left = AST.binary(left, isOperator, this.parsePrimaryExpression());
+        } else if (this.consumeWord("UNKNOWN")) {
+          left = AST.binary(left, isOperator, AST.literal("UNKNOWN", "UNKNOWN"));
+        } else if (this.consume(TokenType.DISTINCT)) {
+          this.expect(TokenType.FROM);
+          const right = this.parseOperatorExpression();
+          left = AST.binary(left, `${isOperator} DISTINCT FROM`, right);
         } else {
-          throw new SQLError(`Expected NULL after ${isOperator}`, 
-            this.current()?.line || 1, 
-            this.current()?.column || 1);
+          throw this.unexpected("NULL, TRUE, FALSE, UNKNOWN or DISTINCT FROM");
         }
       } else {
         // Check for ANY/ALL after comparison operators
         if (this.matchAny(TokenType.ANY, TokenType.ALL)) {
-          const quantifier = this.current().value;
-          this.advance();
-          
-          this.expect(TokenType.LEFT_PAREN);
-          
-          // Parse subquery for ANY/ALL
-          if (this.match(TokenType.SELECT)) {
-            const query = this.parseSelectStatement();
-            this.expect(TokenType.RIGHT_PAREN);
-            const right = AST.subquery(query);
-            left = AST.binary(left, `${operator} ${quantifier}`, right);
-          } else {
-            throw new SQLError(`Expected SELECT after ${quantifier}`, 
-              this.current()?.line || 1, 
-              this.current()?.column || 1);
-          }
+          left = this.parseQuantifiedComparison(left, operator);
         } else {
-          const right = this.parseAdditiveExpression();
+          const right = this.parseOperatorExpression();
           left = AST.binary(left, operator, right);
+
+          // LIKE pattern ESCAPE character
+          if (["LIKE", "ILIKE", "SIMILAR TO"].includes(keyword) && this.consumeWord("ESCAPE")) {
+            left.escape = this.parseOperatorExpression();
+          }
         }
       }
     }
@@ -969,6 +3151,24 @@ export class Parser {
     return left;
   }
 
+  /**
+   * Parse || and the PostgreSQL JSON and array operators (->, ->>, #>, #>>, @>, <@, ?, ?|, ?&, &&),
+   * which bind tighter than comparisons and looser than + and -
+   * @returns {ASTNode} Expression AST node
+   */
+  parseOperatorExpression() {
+    let left = this.parseAdditiveExpression();
+
+    while (OTHER_OPERATOR_TYPES.has(this.current()?.type)) {
+      const operator = this.current().value;
+      this.advance();
+      const right = this.parseAdditiveExpression();
+      left = AST.binary(left, operator, right);
+    }
+
+    return left;
+  }
+
   /**
    * Parse additive expression (+, -)
    * @returns {ASTNode} Expression AST node
@@ -987,15 +3187,13 @@ export class Parser {
   }
 
   /**
-   * Parse multiplicative expression (*, /, %, ||)
+   * Parse multiplicative expression (*, /, %)
    * @returns {ASTNode} Expression AST node
    */
   parseMultiplicativeExpression() {
     let left = this.parseUnaryExpression();
 
-    while (
-      this.matchAny(TokenType.MULTIPLY, TokenType.DIVIDE, TokenType.MODULO, TokenType.CONCAT)
-    ) {
+    while (this.matchAny(TokenType.MULTIPLY, TokenType.DIVIDE, TokenType.MODULO)) {
       const operator = this.current().value;
       this.advance();
       const right = this.parseUnaryExpression();
@@ -1021,12 +3219,109 @@ export class Parser {
     if (this.match(TokenType.EXISTS)) {
       this.advance();
       this.expect(TokenType.LEFT_PAREN);
-      const subquery = this.parseSelectStatement();
+      const subquery = this.parseSetOperationStatement();
       this.expect(TokenType.RIGHT_PAREN);
       return AST.unary('EXISTS', subquery);
     }
 
-    return this.parsePrimaryExpression();
+    return this.parsePostfixExpression();
+  }
+
+  /**
+   * Parse a primary expression followed by PostgreSQL :: casts and array subscripts
+   * @returns {ASTNode} Expression AST node
+   */
+  parsePostfixExpression() {
+    let expression = this.parsePrimaryExpression();
+    for (;;) {
+      if (this.consume(TokenType.DOUBLE_COLON)) {
+        expression = AST.cast({ expression, dataType: this.parseDataType(), syntax: "::" });
+      } else if (this.consume(TokenType.LEFT_BRACKET)) {
+        expression = this.parseSubscript(expression);
+      } else {
+        return expression;
+      }
+    }
+  }
+
+  /**
+   * Parse an array subscript or slice after its opening bracket
+   * [index] | [[lower]:[upper]]
+   * @param {ASTNode} expression - Subscripted expression
+   * @returns {Subscript} Subscript AST node
+   */
+  parseSubscript(expression) {
+    const lower = this.matchAny(TokenType.COLON, TokenType.RIGHT_BRACKET)
+      ? null
+      : this.parseExpression();
+    const slice = this.consume(TokenType.COLON) !== null;
+    const upper = slice && !this.match(TokenType.RIGHT_BRACKET) ? this.parseExpression() : null;
+
+    if (!slice && !lower) {
+      throw this.unexpected("array subscript");
+    }
+    this.expect(TokenType.RIGHT_BRACKET);
+    return AST.subscript({ expression, lower, upper, slice });
+  }
+
+  /**
+   * Parse the elements of an array constructor after its opening bracket;
+   * nested rows may omit the ARRAY keyword, e.g. ARRAY[[1, 2], [3, 4]]
+   * @returns {ArrayLiteral} Array AST node
+   */
+  parseArrayElements() {
+    const elements = [];
+    if (!this.match(TokenType.RIGHT_BRACKET)) {
+      do {
+        elements.push(
+          this.consume(TokenType.LEFT_BRACKET) ? this.parseArrayElements() : this.parseExpression()
+        );
+      } while (this.consume(TokenType.COMMA));
+    }
+    this.expect(TokenType.RIGHT_BRACKET);
+    return AST.array(elements);
+  }
+
+  /**
+   * Check if the current token starts a CAST, TRY_CAST or CONVERT call
+   * @returns {boolean} True if a cast call starts here
+   */
+  isCastStart() {
+    if (!this.peek()?.is(TokenType.LEFT_PAREN)) {
+      return false;
+    }
+    return (
+      this.matchWord("CAST", "TRY_CAST") ||
+      (this.matchWord("CONVERT") && this.dialect.supports("convert"))
+    );
+  }
+
+  /**
+   * Parse a cast call
+   * CAST(expression AS data_type) | TRY_CAST(expression AS data_type)
+   * | CONVERT(data_type, expression [, style])
+   * @returns {Cast} Cast AST node
+   */
+  parseCastExpression() {
+    const syntax = this.current().value.toUpperCase();
+    this.advance();
+    this.expect(TokenType.LEFT_PAREN);
+
+    let cast;
+    if (syntax === "CONVERT") {
+      const dataType = this.parseDataType();
+      this.expect(TokenType.COMMA);
+      const expression = this.parseExpression();
+      const style = this.consume(TokenType.COMMA) ? this.parseExpression() : null;
+      cast = AST.cast({ expression, dataType, syntax, style });
+    } else {
+      const expression = this.parseExpression();
+      this.expect(TokenType.AS);
+      cast = AST.cast({ expression, dataType: this.parseDataType(), syntax });
+    }
+
+    this.expect(TokenType.RIGHT_PAREN);
+    return cast;
   }
 
   /**
@@ -1047,9 +3342,9 @@ export class Parser {
     if (token.is(TokenType.LEFT_PAREN)) {
       this.advance();
       
-      // Check if this is a subquery (starts with SELECT)
-      if (this.match(TokenType.SELECT)) {
-        const query = this.parseSelectStatement();
+      // Check if this is a subquery
+      if (this.isSubqueryStart()) {
+        const query = this.parseQuery();
         this.expect(TokenType.RIGHT_PAREN);
         return AST.subquery(query);
       }
@@ -1107,13 +3402,50 @@ export class Parser {
       return AST.literal(null, "null");
     }
 
+    if (token.is(TokenType.PARAMETER)) {
+      this.advance();
+      return this.createParameter(token);
+    }
+
+    // After a contextual word the lexer reads as a name (ESCAPE, SIMILAR TO, FETCH FIRST,
+    // RETURNING) a ? lexes as the JSON key operator, but no operator starts an expression
+    if (token.is(TokenType.HAS_KEY)) {
+      this.advance();
+      const number = this.current();
+      if (number?.is(TokenType.NUMBER) && number.start === token.end && /^\d+$/.test(number.value)) {
+        this.advance();
+        return this.createParameter({ value: `?${number.value}` });
+      }
+      return this.createParameter(token);
+    }
+
     // CASE expression
     if (token.is(TokenType.CASE)) {
       return this.parseCaseExpression();
     }
 
+    // MySQL VALUES(column) refers to the inserted value in ON DUPLICATE KEY UPDATE
+    if (token.is(TokenType.VALUES) && this.peek()?.is(TokenType.LEFT_PAREN)) {
+      this.advance();
+      this.advance();
+      const column = this.parseExpression();
+      this.expect(TokenType.RIGHT_PAREN);
+      return AST.function(token.value, [column]);
+    }
+
+    if (this.isCastStart()) {
+      return this.parseCastExpression();
+    }
+
+    // PostgreSQL array constructor: ARRAY[1, 2]
+    if (this.isWord(token, "ARRAY") && this.peek()?.is(TokenType.LEFT_BRACKET)) {
+      this.advance();
+      this.advance();
+      return this.parseArrayElements();
+    }
+
     // Function call or identifier (including keywords that can be function names)
-    if (token.is(TokenType.IDENTIFIER) || this.isFunctionKeyword(token)) {
+    if (this.isIdentifier(token) || this.isFunctionKeyword(token)) {
       const name = token.value;
       this.advance();
 
@@ -1176,7 +3508,8 @@ export class Parser {
         if (distinct) {
           func.distinct = true;
         }
-        
+        this.parseFunctionModifiers(func);
+
         // Check for OVER clause (window functions)
         if (this.match(TokenType.OVER)) {
           this.advance();
@@ -1187,16 +3520,17 @@ export class Parser {
         return func;
       }
 
-      // Column reference
-      let table = null;
-      if (this.match(TokenType.DOT)) {
-        this.advance();
-        table = name;
-        const columnName = this.expect(TokenType.IDENTIFIER).value;
-        return AST.column(columnName, table);
+      // Column reference: [[[catalog.]schema.]table.]column
+      const parts = [name];
+      while (this.consume(TokenType.DOT)) {
+        parts.push(this.expectIdentifier().value);
+      }
+      if (parts.length > 4) {
+        throw SQLError.invalidIdentifier(parts.join("."), token.line, token.column);
       }
 
-      return AST.column(name);
+      const [column, table = null, schema = null, catalog = null] = parts.reverse();
+      return AST.column(column, table, null, schema, catalog);
     }
 
     throw SQLError.unexpectedToken(
@@ -1207,6 +3541,25 @@ export class Parser {
     );
   }
 
+  /**
+   * Create the AST node of a bind parameter token
+   * @param {Token} token - PARAMETER token, e.g. ?, ?1, $1 or :name
+   * @returns {Parameter} Parameter AST node
+   */
+  createParameter(token) {
+    const prefix = token.value[0];
+    const rest = token.value.slice(1);
+    const position = ++this.parameterCount;
+
+    if (!rest) {
+      return AST.parameter({ style: "positional", prefix, position });
+    }
+    if (/^\d+$/.test(rest)) {
+      return AST.parameter({ style: "numbered", prefix, number: parseInt(rest, 10), position });
+    }
+    return AST.parameter({ style: "named", prefix, name: rest, position });
+  }
+
   /**
    * 解析CASE表达式
    * CASE
@@ -1254,17 +3607,81 @@ export class Parser {
     });
   }
 
+  /**
+   * Parse the clauses that may follow an aggregate or window function call
+   * [WITHIN GROUP (ORDER BY ...)] [FILTER (WHERE condition)] [IGNORE NULLS | RESPECT NULLS]
+   * @param {FunctionCall} func - Function call the clauses are attached to
+   */
+  parseFunctionModifiers(func) {
+    if (this.matchWord("WITHIN") && this.peek()?.is(TokenType.GROUP)) {
+      this.advance(); // WITHIN
+      this.advance(); // GROUP
+      this.expect(TokenType.LEFT_PAREN);
+      func.withinGroup = this.parseOrderByClause();
+      this.expect(TokenType.RIGHT_PAREN);
+    }
+
+    // FILTER without a following (WHERE is an alias, e.g. SELECT count(*) filter FROM t
+    if (
+      this.matchWord("FILTER") &&
+      this.peek()?.is(TokenType.LEFT_PAREN) &&
+      this.peek(2)?.is(TokenType.WHERE)
+    ) {
+      this.advance(); // FILTER
+      this.advance(); // (
+      this.advance(); // WHERE
+      func.filter = this.parseExpression();
+      this.expect(TokenType.RIGHT_PAREN);
+    }
+
+    if (this.matchWord("IGNORE", "RESPECT") && this.isWord(this.peek(), "NULLS")) {
+      func.nullTreatment = `${this.current().value.toUpperCase()} NULLS`;
+      this.advance(); // IGNORE | RESPECT
+      this.advance(); // NULLS
+    }
+  }
+
   /**
    * 解析OVER子句
-   * OVER (
+   * OVER window_name
+   * OVER (window_specification)
+   * @returns {OverClause} 窗口定义；OVER window_name 时只有 name，parenthesized 为 false
+   */
+  parseOverClause() {
+    if (this.isIdentifier(this.current())) {
+      return AST.over({ name: this.expectIdentifier().value, parenthesized: false });
+    }
+    return this.parseWindowSpecification();
+  }
+
+  /**
+   * 解析窗口定义
+   * (
+   *   [window_name]
    *   [PARTITION BY column1, column2, ...]
    *   [ORDER BY column1 [ASC|DESC], column2 [ASC|DESC], ...]
-   *   [ROWS|RANGE frame_specification]
+   *   [ROWS|RANGE|GROUPS frame_specification]
    * )
    */
-  parseOverClause() {
+  parseWindowSpecification() {
     this.expect(TokenType.LEFT_PAREN);
 
+    // 继承的窗口名称，如 OVER (w ORDER BY ...)
+    let name = null;
+    const next = this.peek();
+    if (
+      this.isIdentifier(this.current()) &&
+      next &&
+      (next.is(TokenType.RIGHT_PAREN) ||
+        next.is(TokenType.PARTITION) ||
+        next.is(TokenType.ORDER) ||
+        next.is(TokenType.ROWS) ||
+        next.is(TokenType.RANGE) ||
+        this.isWord(next, "GROUPS"))
+    ) {
+      name = this.expectIdentifier().value;
+    }
+
     let partitionBy = null;
     let orderBy = null;
     let frame = null;
@@ -1295,14 +3712,15 @@ export class Parser {
       } while (this.consume(TokenType.COMMA));
     }
 
-    // 解析窗口框架（ROWS/RANGE）
-    if (this.matchAny(TokenType.ROWS, TokenType.RANGE)) {
+    // 解析窗口框架（ROWS/RANGE/GROUPS）
+    if (this.matchAny(TokenType.ROWS, TokenType.RANGE) || this.matchWord("GROUPS")) {
       frame = this.parseWindowFrame();
     }
 
     this.expect(TokenType.RIGHT_PAREN);
 
     return AST.over({
+       name,
        partitionBy,
        orderBy,
        frame
@@ -1311,8 +3729,8 @@ export class Parser {
 
    /**
     * 解析窗口框架
-    * ROWS|RANGE BETWEEN start AND end
-    * ROWS|RANGE start
+    * ROWS|RANGE|GROUPS BETWEEN start AND end [EXCLUDE ...]
+    * ROWS|RANGE|GROUPS start [EXCLUDE ...]
     * 
     * start/end 可以是:
     * - UNBOUNDED PRECEDING
@@ -1322,7 +3740,7 @@ export class Parser {
     * - n FOLLOWING
     */
    parseWindowFrame() {
-     const frameType = this.current().value.toUpperCase(); // 'ROWS' or 'RANGE'
+     const frameType = this.current().value.toUpperCase(); // 'ROWS', 'RANGE' or 'GROUPS'
      this.advance();
 
      let start = null;
@@ -1337,10 +3755,29 @@ export class Parser {
        start = this.parseFrameBound();
      }
 
+     // EXCLUDE CURRENT ROW | GROUP | TIES | NO OTHERS
+     let exclude = null;
+     if (this.consumeWord("EXCLUDE")) {
+       if (this.consume(TokenType.CURRENT)) {
+         this.expect(TokenType.ROW);
+         exclude = 'CURRENT ROW';
+       } else if (this.consume(TokenType.GROUP)) {
+         exclude = 'GROUP';
+       } else if (this.consumeWord("TIES")) {
+         exclude = 'TIES';
+       } else if (this.consumeWord("NO")) {
+         this.expectWord("OTHERS");
+         exclude = 'NO OTHERS';
+       } else {
+         throw this.unexpected("CURRENT ROW, GROUP, TIES or NO OTHERS");
+       }
+     }
+
      return AST.windowFrame({
        type: frameType,
        start,
-       end
+       end,
+       exclude
      });
    }
 
@@ -134,6 +134,92 @@ describe('复杂SQL查询解析测试', () => {
             const result = parseSQL(sql);
             expect(result.success).toBe(true);
         });
+
+        /**
+         * 测试命名窗口（WINDOW 子句）
+         */
+        test('应该正确解析 WINDOW 子句和窗口继承', () => {
+            const sql = `
+                SELECT
+                    SUM(salary) OVER w AS total,
+                    RANK() OVER (w ORDER BY salary DESC) AS dept_rank
+                FROM employees
+                WINDOW w AS (PARTITION BY department), w2 AS (w ORDER BY hire_date)
+                ORDER BY total
+            `;
+
+            const result = parseSQL(sql);
+            expect(result.success).toBe(true);
+
+            const [total, rank] = result.ast.columns;
+            expect(total.over).toEqual({
+                type: 'OverClause',
+                name: 'w',
+                partitionBy: null,
+                orderBy: null,
+                frame: null,
+                parenthesized: false,
+            });
+            expect(rank.over).toMatchObject({ type: 'OverClause', name: 'w', partitionBy: null, parenthesized: true });
+            expect(result.ast.window.map((w) => [w.type, w.name, w.specification.name])).toEqual([
+                ['WindowDefinition', 'w', null],
+                ['WindowDefinition', 'w2', 'w'],
+            ]);
+            expect(result.ast.window[0].specification.partitionBy[0].name).toBe('department');
+            expect(result.ast.orderBy).not.toBeNull();
+        });
+
+        /**
+         * 测试 FILTER、WITHIN GROUP 和 IGNORE NULLS
+         */
+        test('应该正确解析聚合函数的 FILTER、WITHIN GROUP 和空值处理', () => {
+            const sql = `
+                SELECT
+                    COUNT(*) FILTER (WHERE status = 'active') AS active,
+                    PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY salary DESC) AS median,
+                    LAG(salary) IGNORE NULLS OVER (ORDER BY hire_date) AS prev,
+                    COUNT(*) filter
+                FROM employees
+            `;
+
+            const result = parseSQL(sql);
+            expect(result.success).toBe(true);
+
+            const [active, median, prev, aliased] = result.ast.columns;
+            expect(active.filter).toMatchObject({ type: 'BinaryExpression', operator: '=' });
+            expect(median.withinGroup.type).toBe('OrderByClause');
+            expect(median.withinGroup.columns[0].direction).toBe('DESC');
+            expect(prev.type).toBe('WindowFunction');
+            expect(prev.function.nullTreatment).toBe('IGNORE NULLS');
+            // 后面没有 (WHERE 的 FILTER 仍然是别名
+            expect(aliased.alias).toBe('filter');
+        });
+
+        /**
+         * 测试 GROUPS 框架和 EXCLUDE
+         */
+        test('应该正确解析 GROUPS 框架和 EXCLUDE 选项', () => {
+            const sql = `
+                SELECT
+                    SUM(x) OVER (ORDER BY d GROUPS BETWEEN 1 PRECEDING AND 1 FOLLOWING EXCLUDE TIES),
+                    SUM(x) OVER (ORDER BY d ROWS UNBOUNDED PRECEDING EXCLUDE CURRENT ROW),
+                    SUM(x) OVER (ORDER BY d RANGE CURRENT ROW EXCLUDE NO OTHERS)
+                FROM t
+            `;
+
+            const result = parseSQL(sql);
+            expect(result.success).toBe(true);
+            expect(result.ast.columns.map((c) => [c.over.frame.type, c.over.frame.exclude])).toEqual([
+                ['GROUPS', 'TIES'],
+                ['ROWS', 'CURRENT ROW'],
+                ['RANGE', 'NO OTHERS'],
+            ]);
+
+            const invalid = parseSQL('SELECT SUM(x) OVER (ORDER BY d ROWS CURRENT ROW EXCLUDE ALL) FROM t');
+            expect(invalid.errors[0].message).toBe(
+                'Expected CURRENT ROW, GROUP, TIES or NO OTHERS, but got ALL'
+            );
+        });
     });
 
     describe('高级子查询测试', () => {
@@ -307,7 +393,7 @@ describe('复杂SQL查询解析测试', () => {
             
             const result = parseSQL(sql);
             expect(result.success).toBe(true);
-            expect(result.ast.type).toBe('UnionStatement');
+            expect(result.ast.type).toBe('SetOperation');
         });
 
         /**
@@ -330,7 +416,108 @@ describe('复杂SQL查询解析测试', () => {
             testCases.forEach(sql => {
                 const result = parseSQL(sql);
                 expect(result.success).toBe(true);
+                expect(result.ast.type).toBe('SetOperation');
             });
+            expect(parseSQL(testCases[0]).ast.operator).toBe('INTERSECT');
+            expect(parseSQL(testCases[1]).ast.operator).toBe('EXCEPT');
+        });
+
+        /**
+         * 测试集合操作的优先级和结合性
+         */
+        test('INTERSECT应该比UNION和EXCEPT优先结合，同级操作左结合', () => {
+            const result = parseSQL('SELECT 1 UNION SELECT 2 INTERSECT SELECT 3 EXCEPT ALL SELECT 4', { strict: true });
+            const ast = result.ast;
+
+            // ((1 UNION (2 INTERSECT 3)) EXCEPT ALL 4)
+            expect(ast.operator).toBe('EXCEPT');
+            expect(ast.all).toBe(true);
+            expect(ast.right.columns[0].value).toBe(4);
+            expect(ast.left.operator).toBe('UNION');
+            expect(ast.left.left.columns[0].value).toBe(1);
+            expect(ast.left.right.operator).toBe('INTERSECT');
+
+            const chain = parseSQL('SELECT 1 UNION SELECT 2 UNION DISTINCT SELECT 3').ast;
+            expect(chain.distinct).toBe(true);
+            expect(chain.left.operator).toBe('UNION');
+            expect(chain.right.columns[0].value).toBe(3);
+        });
+
+        /**
+         * 测试带括号的集合操作数
+         */
+        test('应该正确解析带括号的操作数及其ORDER BY和LIMIT', () => {
+            const result = parseSQL(
+                '(SELECT id FROM a) UNION (SELECT id FROM b ORDER BY id LIMIT 1) ORDER BY id LIMIT 10',
+                { strict: true }
+            );
+            const ast = result.ast;
+
+            expect(result.success).toBe(true);
+            expect(ast.type).toBe('SetOperation');
+            expect(ast.right.orderBy.columns[0].column.name).toBe('id');
+            expect(ast.right.limit.count.value).toBe(1);
+            expect(ast.limit.count.value).toBe(10);
+
+            const grouped = parseSQL('SELECT 1 INTERSECT (SELECT 2 UNION SELECT 3)').ast;
+            expect(grouped.operator).toBe('INTERSECT');
+            expect(grouped.right.operator).toBe('UNION');
+        });
+
+        /**
+         * 测试带自身ORDER BY的括号查询后再跟整个查询的ORDER BY和LIMIT
+         */
+        test('括号查询已有ORDER BY时，外层ORDER BY和LIMIT应作用于整个查询', () => {
+            const result = parseSQL('(SELECT a FROM t ORDER BY a LIMIT 5) ORDER BY b LIMIT 2', { strict: true });
+            const ast = result.ast;
+
+            expect(result.success).toBe(true);
+            expect(ast.type).toBe('ParenthesizedQuery');
+            expect(ast.query.orderBy.columns[0].column.name).toBe('a');
+            expect(ast.query.limit.count.value).toBe(5);
+            expect(ast.orderBy.columns[0].column.name).toBe('b');
+            expect(ast.limit.count.value).toBe(2);
+
+            // 没有外层子句时仍是原来的查询节点
+            expect(parseSQL('(SELECT a FROM t ORDER BY a)').ast.type).toBe('SelectStatement');
+        });
+
+        /**
+         * 测试子查询中的集合操作
+         */
+        test('应该正确解析子查询中的集合操作', () => {
+            const result = parseSQL(
+                'SELECT * FROM t WHERE id IN (SELECT a FROM x EXCEPT SELECT a FROM y)',
+                { strict: true }
+            );
+
+            expect(result.success).toBe(true);
+            expect(result.ast.where.right.query.operator).toBe('EXCEPT');
+            expect(result.tables).toEqual(expect.arrayContaining(['t', 'x', 'y']));
+        });
+
+        /**
+         * 测试FROM、IN和ANY中以括号操作数开头的集合操作
+         */
+        test('应该正确解析以括号操作数开头的子查询', () => {
+            const from = parseSQL('SELECT * FROM ((SELECT 1) UNION (SELECT 2)) x', { strict: true });
+            expect(from.success).toBe(true);
+            expect(from.ast.from.tables[0]).toMatchObject({ type: 'SubQuery', alias: 'x' });
+            expect(from.ast.from.tables[0].query.operator).toBe('UNION');
+
+            const inList = parseSQL('SELECT * FROM t WHERE a IN ((SELECT 1) UNION (SELECT 2))', { strict: true });
+            expect(inList.success).toBe(true);
+            expect(inList.ast.where.right.query.operator).toBe('UNION');
+
+            const any = parseSQL('SELECT * FROM t WHERE a = ANY ((SELECT b FROM u) EXCEPT SELECT 2)', { strict: true });
+            expect(any.ast.where.right.query.operator).toBe('EXCEPT');
+
+            // 括号中的标量子查询仍是值列表和表达式
+            const values = parseSQL('SELECT * FROM t WHERE a IN ((SELECT 1), 2)', { strict: true });
+            expect(values.ast.where.right.type).toBe('ValuesList');
+            expect(values.ast.where.right.values[0].type).toBe('SubQuery');
+            const expr = parseSQL('SELECT ((SELECT 1) + 1) FROM t', { strict: true });
+            expect(expr.ast.columns[0].type).toBe('BinaryExpression');
         });
     });
 
@@ -487,7 +674,7 @@ describe('复杂SQL查询解析测试', () => {
             // 验证包含的主要语法元素
             expect(result.ast.with).toBeDefined(); // CTE
             expect(result.ast.with.recursive).toBe(true); // 递归CTE
-            expect(result.ast.type).toBe('UnionStatement'); // UNION操作
+            expect(result.ast.type).toBe('SetOperation'); // UNION操作
             
             // 验证提取的表名和列名
             expect(result.tables.length).toBeGreaterThan(5);
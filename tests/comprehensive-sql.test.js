@@ -128,6 +128,52 @@ describe('SQL Parser - 全面语法规则测试', () => {
             });
         });
 
+        /**
+         * 测试否定形式的谓词
+         */
+        test('应该正确解析NOT IN、NOT LIKE和NOT BETWEEN', () => {
+            const sql = `
+                SELECT * FROM users
+                WHERE id NOT IN (1, 2) AND name NOT LIKE 'a%' AND age NOT BETWEEN 18 AND 65
+                    AND email NOT ILIKE '%@test.com' AND code NOT SIMILAR TO '[0-9]+'
+            `;
+            const result = parseSQL(sql);
+
+            expect(result.success).toBe(true);
+            const operators = [];
+            const collect = (node) => {
+                if (['AND', 'OR'].includes(node.operator)) {
+                    collect(node.left);
+                    collect(node.right);
+                } else {
+                    operators.push(node.operator);
+                }
+            };
+            collect(result.ast.where);
+            expect(operators).toEqual(['NOT IN', 'NOT LIKE', 'NOT BETWEEN', 'NOT ILIKE', 'NOT SIMILAR TO']);
+        });
+
+        /**
+         * 测试ESCAPE、IS DISTINCT FROM和IS TRUE
+         */
+        test('应该正确解析ESCAPE、IS [NOT] DISTINCT FROM和IS [NOT] TRUE/FALSE/UNKNOWN', () => {
+            const like = parseSQL("SELECT * FROM t WHERE name LIKE 'a!%%' ESCAPE '!'").ast.where;
+            expect(like).toMatchObject({ operator: 'LIKE', right: { value: 'a!%%' }, escape: { value: '!' } });
+
+            const distinct = parseSQL('SELECT * FROM t WHERE a IS NOT DISTINCT FROM b + 1').ast.where;
+            expect(distinct.operator).toBe('IS NOT DISTINCT FROM');
+            expect(distinct.right).toMatchObject({ type: 'BinaryExpression', operator: '+' });
+
+            const truth = parseSQL('SELECT * FROM t WHERE a IS TRUE AND b IS NOT FALSE AND c IS UNKNOWN').ast.where;
+            expect(truth.left.left).toMatchObject({ operator: 'IS', right: { value: true } });
+            expect(truth.left.right).toMatchObject({ operator: 'IS NOT', right: { value: false } });
+            expect(truth.right).toMatchObject({ operator: 'IS', right: { dataType: 'UNKNOWN' } });
+
+            expect(parseSQL('SELECT * FROM t WHERE a IS 1').errors[0].message).toBe(
+                'Expected NULL, TRUE, FALSE, UNKNOWN or DISTINCT FROM, but got NUMBER'
+            );
+        });
+
         /**
          * 测试EXISTS子查询
          */
@@ -298,6 +344,172 @@ describe('SQL Parser - 全面语法规则测试', () => {
             expect(result.ast.limit.count.value).toBe(10);
             expect(result.ast.limit.offset.value).toBe(20);
         });
+
+        /**
+         * 测试MySQL的LIMIT offset, count
+         */
+        test('应该正确解析LIMIT offset, count', () => {
+            const result = parseSQL('SELECT * FROM users LIMIT 20, 10', { dialect: 'mysql' });
+
+            expect(result.success).toBe(true);
+            expect(result.ast.limit).toMatchObject({
+                count: { value: 10 },
+                offset: { value: 20 },
+                syntax: 'LIMIT_COMMA'
+            });
+        });
+
+        /**
+         * 测试OFFSET ... FETCH和单独的OFFSET
+         */
+        test('应该正确解析OFFSET ... FETCH和单独的OFFSET', () => {
+            const fetch = parseSQL('SELECT * FROM users u ORDER BY id OFFSET 20 ROWS FETCH NEXT 10 ROWS ONLY');
+            expect(fetch.success).toBe(true);
+            expect(fetch.ast.from.tables[0].alias).toBe('u');
+            expect(fetch.ast.limit).toMatchObject({
+                count: { value: 10 },
+                offset: { value: 20 },
+                syntax: 'FETCH',
+                percent: false,
+                withTies: false
+            });
+
+            const ties = parseSQL('SELECT * FROM users ORDER BY score FETCH FIRST ROW WITH TIES');
+            expect(ties.ast.limit).toMatchObject({ count: { value: 1 }, offset: null, withTies: true });
+
+            const offset = parseSQL('SELECT * FROM users OFFSET 5');
+            expect(offset.ast.limit).toMatchObject({ count: null, offset: { value: 5 }, syntax: 'OFFSET' });
+
+            const reversed = parseSQL('SELECT * FROM users OFFSET 5 LIMIT 10');
+            expect(reversed.ast.limit).toMatchObject({ count: { value: 10 }, offset: { value: 5 }, syntax: 'LIMIT' });
+
+            expect(parseSQL('SELECT * FROM users FETCH FIRST 10 ROWS').success).toBe(false);
+        });
+
+        /**
+         * 测试T-SQL的TOP
+         */
+        test('应该正确解析SELECT TOP', () => {
+            const result = parseSQL('SELECT DISTINCT TOP (10) PERCENT WITH TIES name FROM users ORDER BY score DESC', {
+                dialect: 'tsql'
+            });
+
+            expect(result.success).toBe(true);
+            expect(result.ast.distinct).toBe(true);
+            expect(result.ast.columns).toHaveLength(1);
+            expect(result.ast.orderBy.columns).toHaveLength(1);
+            expect(result.ast.limit).toMatchObject({
+                count: { value: 10 },
+                syntax: 'TOP',
+                percent: true,
+                withTies: true
+            });
+
+            // 没有 top 特性的方言中 TOP 只是普通列名
+            const mysql = parseSQL('SELECT top FROM users', { dialect: 'mysql' });
+            expect(mysql.ast.columns[0].name).toBe('top');
+            expect(mysql.ast.limit).toBeNull();
+        });
+
+        /**
+         * 测试analyzeSQL对各种行数限制语法的报告
+         */
+        test('analyzeSQL应该统一报告各种行数限制的count和offset', () => {
+            const limits = [
+                ['SELECT * FROM users LIMIT 10 OFFSET 20', {}],
+                ['SELECT * FROM users LIMIT 20, 10', { dialect: 'mysql' }],
+                ['SELECT * FROM users ORDER BY id OFFSET 20 ROWS FETCH FIRST 10 ROWS ONLY', {}],
+            ].map(([sql, options]) => analyzeSQL(sql, options).analysis.limit);
+
+            limits.forEach((limit) => expect(limit).toEqual({ count: 10, offset: 20 }));
+            expect(analyzeSQL('SELECT TOP 3 * FROM users', { dialect: 'tsql' }).analysis.limit).toEqual({
+                count: 3,
+                offset: null
+            });
+            expect(analyzeSQL('SELECT * FROM users OFFSET 5').analysis.limit).toEqual({ count: null, offset: 5 });
+        });
+    });
+
+    describe('行锁子句测试', () => {
+        /**
+         * 测试任务队列常用的FOR UPDATE SKIP LOCKED
+         */
+        test('应该正确解析FOR UPDATE SKIP LOCKED', () => {
+            const result = parseSQL(
+                'SELECT id FROM jobs j WHERE status = 0 ORDER BY id LIMIT 10 FOR UPDATE SKIP LOCKED',
+                { strict: true }
+            );
+
+            expect(result.success).toBe(true);
+            expect(result.ast.from.tables[0].alias).toBe('j');
+            expect(result.ast.limit.count.value).toBe(10);
+            expect(result.ast.locking).toEqual([
+                { type: 'LockingClause', strength: 'UPDATE', tables: [], wait: 'SKIP LOCKED', syntax: 'FOR' }
+            ]);
+            expect(parseSQL('SELECT * FROM users').ast.locking).toBeNull();
+        });
+
+        /**
+         * 测试多个锁子句、OF和NOWAIT
+         */
+        test('应该正确解析各种锁强度、OF和NOWAIT', () => {
+            const result = parseSQL(
+                'SELECT * FROM a JOIN b ON a.id = b.id FOR NO KEY UPDATE OF a NOWAIT FOR KEY SHARE OF b',
+                { dialect: 'postgresql' }
+            );
+
+            expect(result.ast.locking.map(({ strength, tables, wait }) => [strength, tables, wait])).toEqual([
+                ['NO KEY UPDATE', ['a'], 'NOWAIT'],
+                ['KEY SHARE', ['b'], null]
+            ]);
+            expect(parseSQL('SELECT 1 FOR SHARE').ast.locking[0].strength).toBe('SHARE');
+            expect(parseSQL('SELECT * FROM t FOR UPDATE OF').errors[0].code).toBe('UNEXPECTED_END');
+        });
+
+        /**
+         * 测试MySQL的LOCK IN SHARE MODE和子查询中的锁
+         */
+        test('应该正确解析LOCK IN SHARE MODE和子查询中的锁', () => {
+            const mysql = parseSQL('SELECT * FROM users WHERE id = 1 LOCK IN SHARE MODE', { dialect: 'mysql' });
+            expect(mysql.ast.locking).toEqual([
+                { type: 'LockingClause', strength: 'SHARE', tables: [], wait: null, syntax: 'LOCK IN SHARE MODE' }
+            ]);
+
+            const subquery = parseSQL('SELECT * FROM (SELECT * FROM t FOR UPDATE) s', { strict: true });
+            expect(subquery.ast.from.tables[0].query.locking[0].strength).toBe('UPDATE');
+            expect(subquery.ast.from.tables[0].alias).toBe('s');
+        });
+
+        /**
+         * 测试锁子句之后的LIMIT和集合操作后的锁子句
+         */
+        test('应该接受锁子句之后的LIMIT，并拒绝集合操作后的锁子句', () => {
+            const result = parseSQL('SELECT * FROM jobs FOR UPDATE SKIP LOCKED LIMIT 1', {
+                dialect: 'postgresql',
+                strict: true
+            });
+            expect(result.success).toBe(true);
+            expect(result.ast.locking[0].wait).toBe('SKIP LOCKED');
+            expect(result.ast.limit.count.value).toBe(1);
+
+            // 非严格模式下也不会被静默丢弃
+            const union = parseSQL('SELECT id FROM a UNION SELECT id FROM b FOR UPDATE');
+            expect(union.success).toBe(false);
+            expect(union.errors[0]).toMatchObject({
+                code: 'SYNTAX_ERROR',
+                message: 'Row locking clauses are only allowed on a single SELECT'
+            });
+        });
+
+        /**
+         * 测试analyzeSQL标记加锁读
+         */
+        test('analyzeSQL应该报告加锁读', () => {
+            expect(analyzeSQL('SELECT * FROM jobs FOR UPDATE OF jobs SKIP LOCKED').analysis.locking).toEqual([
+                { strength: 'UPDATE', tables: ['jobs'], wait: 'SKIP LOCKED' }
+            ]);
+            expect(analyzeSQL('SELECT * FROM jobs').analysis.locking).toEqual([]);
+        });
     });
 
     describe('CASE表达式测试', () => {
@@ -417,8 +629,8 @@ describe('SQL Parser - 全面语法规则测试', () => {
             
             const result = parseSQL(sql);
             expect(result.success).toBe(true);
-            expect(result.ast.type).toBe('UnionStatement');
-            expect(result.ast.unionType).toBe('UNION');
+            expect(result.ast.type).toBe('SetOperation');
+            expect(result.ast.operator).toBe('UNION');
             expect(result.ast.all).toBe(false);
             expect(result.ast.left.type).toBe('SelectStatement');
             expect(result.ast.right.type).toBe('SelectStatement');
@@ -436,8 +648,8 @@ describe('SQL Parser - 全面语法规则测试', () => {
             
             const result = parseSQL(sql);
             expect(result.success).toBe(true);
-            expect(result.ast.type).toBe('UnionStatement');
-            expect(result.ast.unionType).toBe('UNION ALL');
+            expect(result.ast.type).toBe('SetOperation');
+            expect(result.ast.operator).toBe('UNION');
             expect(result.ast.all).toBe(true);
             expect(result.ast.left.type).toBe('SelectStatement');
             expect(result.ast.right.type).toBe('SelectStatement');
@@ -520,6 +732,29 @@ describe('SQL Parser - 全面语法规则测试', () => {
             expect(analysis.analysis.joins).toHaveLength(1);
             expect(analysis.complexity.level).toBeDefined();
         });
+
+        /**
+         * 测试否定条件的分析
+         */
+        test('应该报告条件的否定和类型', () => {
+            const sql = `
+                SELECT * FROM users
+                WHERE id NOT IN (1, 2) AND name LIKE 'a!%' ESCAPE '!' AND deleted_at IS NULL
+                    AND NOT (age BETWEEN 18 AND 65) AND a IS DISTINCT FROM b AND verified IS TRUE
+            `;
+
+            const { conditions } = analyzeSQL(sql).analysis;
+
+            expect(conditions.map((c) => [c.field, c.operator, c.type, c.negated])).toEqual([
+                ['id', 'NOT IN', 'list', true],
+                ['name', 'LIKE', 'pattern', false],
+                ['deleted_at', 'IS', 'null', false],
+                ['age', 'BETWEEN', 'range', true],
+                ['a', 'IS DISTINCT FROM', 'distinct', false],
+                ['verified', 'IS', 'truth', false],
+            ]);
+            expect(conditions[1].escape).toBe('!');
+        });
     });
 
     describe('错误处理测试', () => {
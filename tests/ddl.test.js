@@ -0,0 +1,355 @@
+/**
+ * DDL Statement Tests
+ *
+ * Tests for parsing data definition statements
+ */
+
+import { parseSQL, SQLError } from "../src/index.js";
+
+/**
+ * Parse SQL and expect success
+ * @param {string} sql - SQL statement
+ * @param {Object} options - Parser options
+ * @returns {ASTNode} Statement AST
+ */
+function parse(sql, options = {}) {
+  const result = parseSQL(sql, { strict: true, ...options });
+  expect(result.errors).toEqual([]);
+  return result.ast;
+}
+
+describe("DDL Statements", () => {
+  describe("CREATE TABLE", () => {
+    test("should parse column definitions with types", () => {
+      const ast = parse(
+        "CREATE TABLE users (id INT, name VARCHAR(100), price DECIMAL(10, 2), score DOUBLE PRECISION, n INT UNSIGNED)"
+      );
+
+      expect(ast.type).toBe("CreateTableStatement");
+      expect(ast.table.name).toBe("users");
+      expect(ast.ifNotExists).toBe(false);
+      expect(ast.columns.map((c) => c.name)).toEqual(["id", "name", "price", "score", "n"]);
+      expect(ast.columns[1].dataType).toMatchObject({
+        type: "DataType",
+        name: "VARCHAR",
+        parameters: [{ type: "Literal", value: 100 }],
+      });
+      expect(ast.columns[2].dataType.parameters.map((p) => p.value)).toEqual([10, 2]);
+      expect(ast.columns[3].dataType.name).toBe("DOUBLE PRECISION");
+      expect(ast.columns[4].dataType.modifiers).toEqual(["UNSIGNED"]);
+    });
+
+    test("should parse array column types", () => {
+      const { ast } = parseSQL("CREATE TABLE t (tags TEXT[] NOT NULL, grid INT[2][])", {
+        dialect: "postgresql",
+      });
+
+      expect(ast.columns[0].dataType).toMatchObject({ name: "TEXT", arrayDimensions: [null] });
+      expect(ast.columns[0].nullable).toBe(false);
+      expect(ast.columns[1].dataType.arrayDimensions[0].value).toBe(2);
+    });
+
+    test("should parse nullability, defaults and auto increment", () => {
+      const ast = parse(
+        "CREATE TABLE t (id INT NOT NULL AUTO_INCREMENT, note TEXT NULL, qty INT DEFAULT 1, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, x INT)"
+      );
+      const [id, note, qty, createdAt, x] = ast.columns;
+
+      expect(id.nullable).toBe(false);
+      expect(id.autoIncrement).toBe(true);
+      expect(note.nullable).toBe(true);
+      expect(qty.defaultValue).toMatchObject({ type: "Literal", value: 1 });
+      expect(createdAt.defaultValue).toMatchObject({
+        type: "ColumnReference",
+        name: "CURRENT_TIMESTAMP",
+      });
+      expect(x.nullable).toBeNull();
+      expect(x.defaultValue).toBeNull();
+    });
+
+    test("should parse inline column constraints", () => {
+      const ast = parse(
+        "CREATE TABLE t (id INT PRIMARY KEY, email VARCHAR(50) UNIQUE, age INT CHECK (age >= 0), org_id INT CONSTRAINT fk_org REFERENCES orgs (id) ON DELETE CASCADE)"
+      );
+      const constraints = ast.columns.map((c) => c.constraints[0]);
+
+      expect(constraints.map((c) => c.constraintType)).toEqual([
+        "PRIMARY KEY",
+        "UNIQUE",
+        "CHECK",
+        "FOREIGN KEY",
+      ]);
+      expect(constraints[2].expression.operator).toBe(">=");
+      expect(constraints[3].name).toBe("fk_org");
+      expect(constraints[3].columns).toEqual([]);
+      expect(constraints[3].references).toMatchObject({
+        type: "ReferenceDefinition",
+        table: { name: "orgs" },
+        columns: ["id"],
+        onDelete: "CASCADE",
+        onUpdate: null,
+      });
+    });
+
+    test("should parse table-level constraints", () => {
+      const ast = parse(`
+        CREATE TABLE order_items (
+          order_id INT,
+          product_id INT,
+          qty INT,
+          CONSTRAINT pk_items PRIMARY KEY (order_id, product_id),
+          UNIQUE (product_id, qty),
+          FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE SET NULL ON UPDATE NO ACTION,
+          CHECK (qty > 0)
+        )
+      `);
+
+      expect(ast.columns).toHaveLength(3);
+      expect(ast.constraints).toHaveLength(4);
+      expect(ast.constraints[0]).toMatchObject({
+        constraintType: "PRIMARY KEY",
+        name: "pk_items",
+        columns: ["order_id", "product_id"],
+      });
+      expect(ast.constraints[1].columns).toEqual(["product_id", "qty"]);
+      expect(ast.constraints[2].references).toMatchObject({
+        onDelete: "SET NULL",
+        onUpdate: "NO ACTION",
+      });
+      expect(ast.constraints[3].constraintType).toBe("CHECK");
+    });
+
+    test("should parse MySQL style named unique keys", () => {
+      const ast = parse("CREATE TABLE t (email VARCHAR(50), UNIQUE KEY uk_email (email))", {
+        dialect: "mysql",
+      });
+
+      expect(ast.constraints[0]).toMatchObject({
+        constraintType: "UNIQUE",
+        name: "uk_email",
+        columns: ["email"],
+      });
+    });
+
+    test("should parse IF NOT EXISTS, TEMPORARY and schema qualified names", () => {
+      const ast = parse("CREATE TEMPORARY TABLE IF NOT EXISTS app.sessions (id INT)");
+
+      expect(ast.temporary).toBe(true);
+      expect(ast.ifNotExists).toBe(true);
+      expect(ast.table).toMatchObject({ schema: "app", name: "sessions" });
+    });
+
+    test("should parse catalog qualified table names", () => {
+      const ast = parse("CREATE TABLE shop.app.carts (id INT)");
+
+      expect(ast.table).toMatchObject({ catalog: "shop", schema: "app", name: "carts" });
+      expect(parseSQL("DROP TABLE shop.app.carts").tables).toEqual(["shop.app.carts"]);
+    });
+
+    test("should parse CREATE TABLE ... AS SELECT", () => {
+      const ast = parse("CREATE TABLE active_users AS SELECT id, name FROM users WHERE active = 1");
+
+      expect(ast.columns).toEqual([]);
+      expect(ast.query.type).toBe("SelectStatement");
+      expect(parseSQL("CREATE TABLE t AS SELECT 1").tables).toEqual(["t"]);
+    });
+
+    test("should report invalid definitions", () => {
+      expect(parseSQL("CREATE TABLE t").errors[0].code).toBe("UNEXPECTED_END");
+      expect(parseSQL("CREATE TABLE t (id)").success).toBe(false);
+      expect(parseSQL("CREATE TABLE t (id INT CONSTRAINT c NOT NULL)").success).toBe(false);
+      expect(parseSQL("CREATE TABLE t (id INT REFERENCES o ON DELETE EXPLODE)").success).toBe(false);
+      expect(() => parseSQL(42)).toThrow(SQLError);
+    });
+  });
+
+  describe("ALTER TABLE", () => {
+    test("should parse multiple comma separated actions", () => {
+      const ast = parse(
+        "ALTER TABLE IF EXISTS app.users ADD COLUMN age INT NOT NULL DEFAULT 0, DROP COLUMN legacy, RENAME COLUMN nm TO name"
+      );
+
+      expect(ast.type).toBe("AlterTableStatement");
+      expect(ast.ifExists).toBe(true);
+      expect(ast.table).toMatchObject({ schema: "app", name: "users" });
+      expect(ast.actions.map((a) => a.action)).toEqual([
+        "ADD COLUMN",
+        "DROP COLUMN",
+        "RENAME COLUMN",
+      ]);
+      expect(ast.actions[0].definition).toMatchObject({
+        type: "ColumnDefinition",
+        name: "age",
+        nullable: false,
+      });
+      expect(ast.actions[1].name).toBe("legacy");
+      expect(ast.actions[2]).toMatchObject({ name: "nm", newName: "name" });
+    });
+
+    test("should parse optional COLUMN keywords, IF [NOT] EXISTS and drop behavior", () => {
+      const ast = parse(
+        "ALTER TABLE t ADD IF NOT EXISTS email VARCHAR(100), DROP IF EXISTS x CASCADE, RENAME a TO b, RENAME TO people"
+      );
+      const [add, drop, renameColumn, renameTable] = ast.actions;
+
+      expect(add).toMatchObject({ action: "ADD COLUMN", ifNotExists: true });
+      expect(drop).toMatchObject({ action: "DROP COLUMN", ifExists: true, behavior: "CASCADE" });
+      expect(renameColumn).toMatchObject({ action: "RENAME COLUMN", name: "a", newName: "b" });
+      expect(renameTable).toMatchObject({ action: "RENAME TABLE", newName: "people" });
+    });
+
+    test("should parse ALTER COLUMN changes", () => {
+      const ast = parse(
+        "ALTER TABLE t ALTER COLUMN a TYPE BIGINT, ALTER b SET DATA TYPE TEXT, ALTER COLUMN c SET DEFAULT 'x', " +
+          "ALTER COLUMN c DROP DEFAULT, ALTER COLUMN d SET NOT NULL, ALTER COLUMN d DROP NOT NULL"
+      );
+
+      expect(ast.actions.map((a) => a.operation)).toEqual([
+        "TYPE",
+        "TYPE",
+        "SET DEFAULT",
+        "DROP DEFAULT",
+        "SET NOT NULL",
+        "DROP NOT NULL",
+      ]);
+      expect(ast.actions[1]).toMatchObject({ name: "b", dataType: { name: "TEXT" } });
+      expect(ast.actions[2].defaultValue).toMatchObject({ type: "Literal", value: "x" });
+    });
+
+    test("should parse constraint changes and MODIFY", () => {
+      const ast = parse(
+        "ALTER TABLE t ADD CONSTRAINT fk_org FOREIGN KEY (org_id) REFERENCES orgs (id), ADD PRIMARY KEY (id), " +
+          "DROP CONSTRAINT IF EXISTS old_fk, MODIFY COLUMN name VARCHAR(20) NULL"
+      );
+      const [addFk, addPk, drop, modify] = ast.actions;
+
+      expect(addFk.action).toBe("ADD CONSTRAINT");
+      expect(addFk.definition).toMatchObject({ constraintType: "FOREIGN KEY", name: "fk_org" });
+      expect(addPk.definition.columns).toEqual(["id"]);
+      expect(drop).toMatchObject({ action: "DROP CONSTRAINT", name: "old_fk", ifExists: true });
+      expect(modify).toMatchObject({ action: "MODIFY COLUMN", definition: { name: "name", nullable: true } });
+    });
+
+    test("should report invalid actions", () => {
+      expect(parseSQL("ALTER TABLE t").errors[0].code).toBe("UNEXPECTED_END");
+      expect(parseSQL("ALTER TABLE t EXPLODE x").errors[0].code).toBe("UNEXPECTED_TOKEN");
+      expect(parseSQL("ALTER TABLE t ALTER COLUMN a").success).toBe(false);
+      expect(parseSQL("ALTER TABLE t RENAME a b").success).toBe(false);
+    });
+  });
+
+  describe("CREATE INDEX", () => {
+    test("should parse indexed columns and options", () => {
+      const ast = parse(
+        "CREATE UNIQUE INDEX IF NOT EXISTS idx_email ON app.users USING btree (lower(email), created_at DESC) WHERE active = true"
+      );
+
+      expect(ast).toMatchObject({
+        type: "CreateIndexStatement",
+        name: "idx_email",
+        unique: true,
+        ifNotExists: true,
+        table: { schema: "app", name: "users" },
+        method: "btree",
+      });
+      expect(ast.columns.map((c) => c.direction)).toEqual(["ASC", "DESC"]);
+      expect(ast.columns[0].column.type).toBe("FunctionCall");
+      expect(ast.where.type).toBe("BinaryExpression");
+    });
+
+    test("should default to a plain index", () => {
+      const ast = parse("CREATE INDEX idx_name ON users (name)");
+
+      expect(ast.unique).toBe(false);
+      expect(ast.method).toBeNull();
+      expect(ast.where).toBeNull();
+    });
+  });
+
+  describe("CREATE VIEW", () => {
+    test("should parse OR REPLACE, column names and the view query", () => {
+      const ast = parse(
+        "CREATE OR REPLACE VIEW reporting.active_users (id, name) AS SELECT id, name FROM users WHERE active = 1"
+      );
+
+      expect(ast).toMatchObject({
+        type: "CreateViewStatement",
+        name: { schema: "reporting", name: "active_users" },
+        orReplace: true,
+        temporary: false,
+        columns: ["id", "name"],
+      });
+      expect(ast.query.type).toBe("SelectStatement");
+    });
+
+    test("should parse TEMPORARY and IF NOT EXISTS views over CTEs", () => {
+      const ast = parse("CREATE TEMP VIEW IF NOT EXISTS v AS WITH c AS (SELECT 1 AS x) SELECT x FROM c");
+
+      expect(ast.temporary).toBe(true);
+      expect(ast.ifNotExists).toBe(true);
+      expect(ast.query.with.expressions).toHaveLength(1);
+    });
+  });
+
+  describe("DROP", () => {
+    test("should parse dropped tables with IF EXISTS and CASCADE", () => {
+      const ast = parse("DROP TABLE IF EXISTS logs, archive.logs CASCADE");
+
+      expect(ast).toMatchObject({
+        type: "DropStatement",
+        objectType: "TABLE",
+        ifExists: true,
+        behavior: "CASCADE",
+      });
+      expect(ast.names.map((n) => [n.type, n.schema, n.name])).toEqual([
+        ["TableReference", null, "logs"],
+        ["TableReference", "archive", "logs"],
+      ]);
+      expect(parseSQL("DROP TABLE a, b").tables).toEqual(["a", "b"]);
+    });
+
+    test("should parse views, indexes, databases and schemas", () => {
+      expect(parse("DROP VIEW v RESTRICT")).toMatchObject({ objectType: "VIEW", behavior: "RESTRICT" });
+      expect(parse("DROP INDEX idx_email ON users", { dialect: "mysql" })).toMatchObject({
+        objectType: "INDEX",
+        names: [{ type: "Identifier", name: "idx_email" }],
+        table: { name: "users" },
+      });
+      expect(parse("DROP INDEX app.idx_email").names[0]).toMatchObject({
+        name: "idx_email",
+        table: "app",
+      });
+      expect(parse("DROP DATABASE IF EXISTS shop").objectType).toBe("DATABASE");
+      expect(parse("DROP SCHEMA staging CASCADE").objectType).toBe("SCHEMA");
+      expect(parseSQL("DROP SCHEMA staging").tables).toEqual([]);
+    });
+  });
+
+  describe("TRUNCATE", () => {
+    test("should parse truncated tables and options", () => {
+      const ast = parse("TRUNCATE TABLE orders, order_items RESTART IDENTITY CASCADE");
+
+      expect(ast).toMatchObject({
+        type: "TruncateStatement",
+        identity: "RESTART IDENTITY",
+        behavior: "CASCADE",
+      });
+      expect(ast.tables.map((t) => t.name)).toEqual(["orders", "order_items"]);
+      expect(parse("TRUNCATE logs").tables[0].name).toBe("logs");
+    });
+  });
+
+  describe("Invalid DDL", () => {
+    test("should report misplaced modifiers and missing parts", () => {
+      expect(parseSQL("CREATE UNIQUE TABLE t (a INT)").errors[0].message).toBe(
+        "Expected INDEX, but got TABLE"
+      );
+      expect(parseSQL("CREATE OR REPLACE TABLE t (a INT)").success).toBe(false);
+      expect(parseSQL("CREATE VIEW v SELECT 1").success).toBe(false);
+      expect(parseSQL("CREATE INDEX i ON t").errors[0].code).toBe("UNEXPECTED_END");
+      expect(parseSQL("DROP PROCEDURE p").errors[0].code).toBe("UNEXPECTED_TOKEN");
+      expect(parseSQL("DROP TABLE").errors[0].code).toBe("UNEXPECTED_END");
+      expect(parseSQL("TRUNCATE").errors[0].code).toBe("UNEXPECTED_END");
+    });
+  });
+});
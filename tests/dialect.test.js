@@ -0,0 +1,265 @@
+/**
+ * Dialect Tests
+ *
+ * Tests for dialect-specific lexing, parsing and generation, and for
+ * registering custom dialects
+ */
+
+import {
+  parseSQL,
+  generateSQL,
+  getDialect,
+  registerDialect,
+  listDialects,
+  Dialect,
+  SQLError,
+} from "../src/index.js";
+import { Lexer } from "../src/lexer/lexer.js";
+import { TokenType } from "../src/lexer/token-types.js";
+
+/**
+ * Tokenize SQL with a dialect
+ * @param {string} sql - SQL text
+ * @param {string|Dialect} dialect - Dialect
+ * @returns {Array<Token>} Tokens without EOF
+ */
+function tokenize(sql, dialect) {
+  return new Lexer(sql, { dialect }).tokenize().slice(0, -1);
+}
+
+describe("Dialects", () => {
+  describe("Registry", () => {
+    test("should provide the built-in dialects", () => {
+      expect(listDialects()).toEqual(
+        expect.arrayContaining(["standard", "mysql", "postgresql", "sqlite", "tsql"])
+      );
+      expect(getDialect()).toBe(getDialect("standard"));
+      expect(getDialect("MySQL").name).toBe("mysql");
+    });
+
+    test("should reject unknown dialects", () => {
+      expect(() => getDialect("oracle")).toThrow(SQLError);
+
+      const result = parseSQL("SELECT 1", { dialect: "oracle" });
+      expect(result.success).toBe(false);
+      expect(result.errors[0].code).toBe("UNKNOWN_DIALECT");
+    });
+
+    test("should register a custom dialect extending a built-in one", () => {
+      const dialect = registerDialect("reporting", {
+        extends: "postgresql",
+        identifierQuotes: [["[", "]"]],
+        lineComments: ["--", "//"],
+        keywords: { ILIKE: null },
+        operators: { "||": null },
+      });
+
+      expect(dialect).toBeInstanceOf(Dialect);
+      expect(getDialect("reporting")).toBe(dialect);
+
+      const tokens = tokenize("[a b] // note\nilike", "reporting");
+      expect(tokens.map((t) => [t.type, t.value])).toEqual([
+        [TokenType.IDENTIFIER, "a b"],
+        [TokenType.IDENTIFIER, "ilike"],
+      ]);
+      expect(() => tokenize("a || b", "reporting")).toThrow(SQLError);
+    });
+
+    test("should accept a Dialect instance as the dialect option", () => {
+      const dialect = new Dialect("pipes", { identifierQuotes: [["|", "|"]] });
+
+      const result = parseSQL("SELECT |my col| FROM t", { dialect });
+      expect(result.success).toBe(true);
+      expect(result.ast.columns[0].name).toBe("my col");
+    });
+  });
+
+  describe("Lexing", () => {
+    test("should use the identifier quotes of the dialect", () => {
+      expect(tokenize("`a`", "mysql")[0].type).toBe(TokenType.IDENTIFIER);
+      expect(tokenize('"a"', "mysql")[0].type).toBe(TokenType.STRING);
+      expect(tokenize('"a"', "postgresql")[0].type).toBe(TokenType.IDENTIFIER);
+      expect(() => tokenize("`a`", "postgresql")).toThrow(SQLError);
+      expect(tokenize("[a]", "tsql")[0].type).toBe(TokenType.IDENTIFIER);
+      expect(tokenize("[a]", "sqlite")[0].type).toBe(TokenType.IDENTIFIER);
+      expect(tokenize("[a]", "standard")[0].type).toBe(TokenType.LEFT_BRACKET);
+    });
+
+    test("should apply the string escape rules of the dialect", () => {
+      expect(tokenize("'it''s'", "standard")[0].value).toBe("it's");
+      expect(tokenize("'it\\'s'", "standard")[0].value).toBe("it's");
+      expect(tokenize("'it\\'s'", "mysql")[0].value).toBe("it's");
+      expect(tokenize("'C:\\dir'", "postgresql")[0].value).toBe("C:\\dir");
+      expect(tokenize("'it''s'", "tsql")[0].value).toBe("it's");
+    });
+
+    test("should unescape doubled closing quotes in identifiers", () => {
+      expect(tokenize('"say ""hi"""', "postgresql")[0].value).toBe('say "hi"');
+      expect(tokenize("[a]]b]", "tsql")[0].value).toBe("a]b");
+    });
+
+    test("should use the comment styles of the dialect", () => {
+      expect(tokenize("a # note", "mysql")).toHaveLength(1);
+      expect(() => tokenize("a # note", "postgresql")).toThrow(SQLError);
+    });
+
+    test("should use the operator table of the dialect", () => {
+      expect(tokenize("a || b", "postgresql")[1].type).toBe(TokenType.CONCAT);
+      expect(() => tokenize("a || b", "tsql")).toThrow(SQLError);
+    });
+
+    test("should use the keyword set of the dialect", () => {
+      expect(tokenize("ilike", "postgresql")[0].type).toBe(TokenType.ILIKE);
+      expect(tokenize("ilike", "mysql")[0].type).toBe(TokenType.IDENTIFIER);
+      expect(tokenize("auto_increment", "postgresql")[0].type).toBe(
+        TokenType.IDENTIFIER
+      );
+    });
+  });
+
+  describe("Parsing", () => {
+    test("should allow non-reserved keywords as identifiers", () => {
+      const result = parseSQL(
+        "SELECT e.key, date, text AS year FROM events AS e WHERE e.day > 1"
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.ast.columns.map((c) => c.name)).toEqual(["key", "date", "text"]);
+      expect(result.ast.columns[2].alias).toBe("year");
+      expect(result.ast.where.left.name).toBe("day");
+    });
+
+    test("should not allow reserved keywords as identifiers", () => {
+      expect(parseSQL("SELECT * FROM select").success).toBe(false);
+      expect(parseSQL("SELECT a AS from FROM t").success).toBe(false);
+    });
+
+    test("should parse with dialect-specific quoting", () => {
+      const mysql = parseSQL("SELECT `order` FROM t WHERE name = \"Bob\"", {
+        dialect: "mysql",
+      });
+      expect(mysql.success).toBe(true);
+      expect(mysql.ast.columns[0].name).toBe("order");
+      expect(mysql.ast.where.right.value).toBe("Bob");
+
+      const tsql = parseSQL("SELECT [order] FROM [my table]", { dialect: "tsql" });
+      expect(tsql.success).toBe(true);
+      expect(tsql.tables).toEqual(["my table"]);
+    });
+
+    test("should honour optional syntax features", () => {
+      const sql = "INSERT users (name) VALUES ('x')";
+
+      expect(getDialect("mysql").supports("insertWithoutInto")).toBe(true);
+      expect(parseSQL(sql, { dialect: "mysql" }).success).toBe(true);
+      expect(parseSQL(sql, { dialect: "tsql" }).success).toBe(true);
+      expect(parseSQL(sql, { dialect: "postgresql" }).errors[0].message).toBe(
+        "Expected INTO, but got IDENTIFIER"
+      );
+
+      const strict = registerDialect("strict-mysql", {
+        extends: "mysql",
+        features: { insertWithoutInto: false },
+      });
+      expect(strict.supports("insertWithoutInto")).toBe(false);
+      expect(parseSQL(sql, { dialect: strict }).success).toBe(false);
+    });
+
+    test("should only parse the upsert syntax of the dialect", () => {
+      const onConflict = "INSERT INTO t (a) VALUES (1) ON CONFLICT (a) DO NOTHING";
+      const onDuplicate = "INSERT INTO t (a) VALUES (1) ON DUPLICATE KEY UPDATE a = 2";
+
+      expect(parseSQL(onConflict, { dialect: "postgresql" }).success).toBe(true);
+      expect(parseSQL(onConflict, { dialect: "sqlite" }).success).toBe(true);
+      expect(parseSQL(onDuplicate, { dialect: "mysql" }).success).toBe(true);
+      expect(parseSQL(onConflict, { dialect: "mysql", strict: true }).errors[0]).toMatchObject({
+        code: "UNSUPPORTED_FEATURE",
+        message: "Unsupported feature: ON CONFLICT in dialect mysql",
+      });
+      expect(parseSQL(onDuplicate, { dialect: "postgresql", strict: true }).success).toBe(false);
+      expect(parseSQL(onDuplicate, { dialect: "tsql", strict: true }).success).toBe(false);
+    });
+
+    test("should reject the upsert syntax of another dialect in non-strict mode", () => {
+      const onConflict = parseSQL("INSERT INTO t (a) VALUES (1) ON CONFLICT (a) DO NOTHING", {
+        dialect: "mysql",
+      });
+      const onDuplicate = parseSQL("INSERT INTO t (a) VALUES (1) ON DUPLICATE KEY UPDATE a = 2", {
+        dialect: "postgresql",
+      });
+
+      expect(onConflict.success).toBe(false);
+      expect(onConflict.errors[0]).toMatchObject({ code: "UNSUPPORTED_FEATURE", line: 1, column: 30 });
+      expect(onDuplicate.success).toBe(false);
+      expect(onDuplicate.errors[0].message).toBe(
+        "Unsupported feature: ON DUPLICATE KEY UPDATE in dialect postgresql"
+      );
+    });
+
+    test("should only parse the result projection of the dialect", () => {
+      const returning = "DELETE FROM users WHERE id = 1 RETURNING id";
+      const output = "DELETE FROM users OUTPUT deleted.id WHERE id = 1";
+
+      expect(parseSQL(returning, { dialect: "postgresql" }).success).toBe(true);
+      expect(parseSQL(output, { dialect: "tsql" }).success).toBe(true);
+      expect(parseSQL(returning, { dialect: "tsql", strict: true }).success).toBe(false);
+      expect(parseSQL(returning, { dialect: "mysql", strict: true }).success).toBe(false);
+
+      // Without the feature OUTPUT is an ordinary table alias
+      const aliased = parseSQL("SELECT * FROM users output", { dialect: "postgresql" });
+      expect(aliased.ast.from.tables[0].alias).toBe("output");
+    });
+
+    test("should only parse ORDER BY and LIMIT on UPDATE and DELETE where supported", () => {
+      const sql = "DELETE FROM logs ORDER BY ts LIMIT 10";
+
+      expect(getDialect("mysql").supports("dmlLimit")).toBe(true);
+      expect(parseSQL(sql, { dialect: "mysql" }).success).toBe(true);
+      expect(parseSQL(sql, { dialect: "postgresql", strict: true }).errors[0].message).toBe(
+        "Expected end of statement, but got ORDER"
+      );
+    });
+
+    test("should only parse CONVERT and :: casts where supported", () => {
+      const convert = "SELECT CONVERT(INT, price) FROM t";
+
+      expect(getDialect("tsql").supports("convert")).toBe(true);
+      // The standard dialect cannot tell T-SQL's argument order from MySQL's CONVERT(expr, type)
+      expect(getDialect("standard").supports("convert")).toBe(false);
+      expect(parseSQL("SELECT CONVERT(created_at, DATE) FROM t").ast.columns[0]).toMatchObject({
+        type: "FunctionCall",
+        name: "CONVERT",
+      });
+      expect(parseSQL(convert, { dialect: "tsql" }).ast.columns[0].type).toBe("Cast");
+      // MySQL's CONVERT(expr, type) is left as an ordinary function call
+      expect(parseSQL("SELECT CONVERT(price, t) FROM t", { dialect: "mysql" }).ast.columns[0].type).toBe(
+        "FunctionCall"
+      );
+
+      expect(parseSQL("SELECT a::int FROM t", { dialect: "postgresql" }).success).toBe(true);
+      expect(parseSQL("SELECT a::int FROM t", { dialect: "tsql" }).errors[0].code).toBe(
+        "LEXICAL_ERROR"
+      );
+    });
+  });
+
+  describe("Generation", () => {
+    test.each([
+      ["standard", "SELECT \"order\", 'it''s' FROM t"],
+      ["mysql", "SELECT `order`, 'it''s' FROM t"],
+      ["postgresql", "SELECT \"order\", 'it''s' FROM t"],
+      ["tsql", "SELECT [order], 'it''s' FROM t"],
+    ])("should quote identifiers and strings for %s", (dialect, expected) => {
+      const { ast } = parseSQL(expected, { dialect });
+
+      expect(generateSQL(ast, { dialect })).toBe(expected);
+    });
+
+    test("should escape backslashes only where the dialect treats them as escapes", () => {
+      const { ast } = parseSQL("SELECT 'a\\b' FROM t", { dialect: "postgresql" });
+
+      expect(generateSQL(ast, { dialect: "postgresql" })).toBe("SELECT 'a\\b' FROM t");
+      expect(generateSQL(ast, { dialect: "mysql" })).toBe("SELECT 'a\\\\b' FROM t");
+    });
+  });
+});
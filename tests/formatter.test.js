@@ -0,0 +1,254 @@
+/**
+ * SQL Formatter Tests
+ *
+ * Tests for formatSQL layout rules and formatting options
+ */
+
+import { parseSQL, formatSQL, SQLError } from "../src/index.js";
+
+describe("SQL Formatter", () => {
+  describe("Layout", () => {
+    test("should put each clause on its own line", () => {
+      const sql = formatSQL("select id, name from users where active = 1 order by name limit 10;");
+
+      expect(sql).toBe(
+        ["SELECT id, name", "FROM users", "WHERE active = 1", "ORDER BY name", "LIMIT 10"].join("\n")
+      );
+    });
+
+    test("should break long SELECT lists and conditions", () => {
+      const sql = formatSQL(
+        "select customer_id, first_name, last_name, email_address, phone_number from customers " +
+          "where signup_date > '2024-01-01' and country = 'NL' and marketing_opt_in = true",
+        { maxLineWidth: 40 }
+      );
+
+      expect(sql).toBe(
+        [
+          "SELECT",
+          "  customer_id,",
+          "  first_name,",
+          "  last_name,",
+          "  email_address,",
+          "  phone_number",
+          "FROM customers",
+          "WHERE signup_date > '2024-01-01'",
+          "  AND country = 'NL'",
+          "  AND marketing_opt_in = TRUE",
+        ].join("\n")
+      );
+    });
+
+    test("should indent nested subqueries, CTEs and joins", () => {
+      const sql = formatSQL(
+        "with recent as (select id from orders where created_at > '2024-01-01') " +
+          "select u.name from users u join recent r on r.id = u.id " +
+          "where u.id in (select user_id from subscriptions where plan = 'pro' and status = 'active')",
+        { maxLineWidth: 50 }
+      );
+
+      expect(sql).toBe(
+        [
+          "WITH recent AS (",
+          "  SELECT id",
+          "  FROM orders",
+          "  WHERE created_at > '2024-01-01'",
+          ")",
+          "SELECT u.name",
+          "FROM users AS u",
+          "  INNER JOIN recent AS r ON r.id = u.id",
+          "WHERE u.id IN (",
+          "  SELECT user_id",
+          "  FROM subscriptions",
+          "  WHERE plan = 'pro' AND status = 'active'",
+          ")",
+        ].join("\n")
+      );
+    });
+
+    test("should break CASE blocks and OVER clauses that do not fit", () => {
+      const sql = formatSQL(
+        "select case when score >= 90 then 'A' when score >= 80 then 'B' else 'C' end as grade, " +
+          "rank() over (partition by class_id order by score desc) as position from results",
+        { maxLineWidth: 40 }
+      );
+
+      expect(sql).toBe(
+        [
+          "SELECT",
+          "  CASE",
+          "    WHEN score >= 90 THEN 'A'",
+          "    WHEN score >= 80 THEN 'B'",
+          "    ELSE 'C'",
+          "  END AS grade,",
+          "  rank() OVER (",
+          "    PARTITION BY class_id",
+          "    ORDER BY score DESC",
+          "  ) AS position",
+          "FROM results",
+        ].join("\n")
+      );
+    });
+
+    test("should format the WINDOW clause like other list clauses", () => {
+      const sql = formatSQL(
+        "select sum(x) over w from t window w as (partition by g order by d " +
+          "rows between unbounded preceding and current row exclude ties)"
+      );
+
+      expect(sql).toBe(
+        [
+          "SELECT sum(x) OVER w",
+          "FROM t",
+          "WINDOW",
+          "  w AS (",
+          "    PARTITION BY g",
+          "    ORDER BY d",
+          "    ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW EXCLUDE TIES",
+          "  )",
+        ].join("\n")
+      );
+    });
+
+    test("should put each column definition of a long CREATE TABLE on its own line", () => {
+      const sql = formatSQL(
+        "create table users (id int not null primary key, email varchar(255) unique, " +
+          "constraint fk_org foreign key (org_id) references orgs (id))"
+      );
+
+      expect(sql).toBe(
+        [
+          "CREATE TABLE users (",
+          "  id INT NOT NULL PRIMARY KEY,",
+          "  email VARCHAR(255) UNIQUE,",
+          "  CONSTRAINT fk_org FOREIGN KEY (org_id) REFERENCES orgs (id)",
+          ")",
+        ].join("\n")
+      );
+      expect(formatSQL("create table t (id int)")).toBe("CREATE TABLE t (id INT)");
+    });
+
+    test("should put each action of a long ALTER TABLE on its own line", () => {
+      const sql = formatSQL(
+        "alter table users add column age int default 0, drop column legacy, rename column nm to name"
+      );
+
+      expect(sql).toBe(
+        [
+          "ALTER TABLE users",
+          "  ADD COLUMN age INT DEFAULT 0,",
+          "  DROP COLUMN legacy,",
+          "  RENAME COLUMN nm TO name",
+        ].join("\n")
+      );
+    });
+
+    test("should indent the joins of a multi-table UPDATE", () => {
+      const sql = formatSQL(
+        "update orders o join customers c on c.id = o.customer_id " +
+          "set o.tier = c.tier, o.updated_at = now() where c.active = 1",
+        { maxLineWidth: 40 }
+      );
+
+      expect(sql).toBe(
+        [
+          "UPDATE orders AS o",
+          "  INNER JOIN customers AS c",
+          "    ON c.id = o.customer_id",
+          "SET",
+          "  o.tier = c.tier,",
+          "  o.updated_at = now()",
+          "WHERE c.active = 1",
+        ].join("\n")
+      );
+    });
+
+    test("should put each MERGE branch on its own line", () => {
+      const sql = formatSQL(
+        "merge into customers c using staging s on c.id = s.id " +
+          "when matched and s.deleted = true then delete " +
+          "when not matched then insert (id, name) values (s.id, s.name)"
+      );
+
+      expect(sql).toBe(
+        [
+          "MERGE INTO customers AS c",
+          "USING staging AS s",
+          "ON c.id = s.id",
+          "WHEN MATCHED AND s.deleted = TRUE THEN DELETE",
+          "WHEN NOT MATCHED THEN INSERT (id, name) VALUES (s.id, s.name)",
+        ].join("\n")
+      );
+    });
+
+    test("should put each upsert assignment on its own line", () => {
+      const sql = formatSQL(
+        "insert into users (id, name) values (1, 'a') on conflict (id) do update " +
+          "set name = excluded.name, visits = users.visits + 1 where users.active = true",
+        { maxLineWidth: 40 }
+      );
+
+      expect(sql).toBe(
+        [
+          "INSERT INTO users (id, name)",
+          "VALUES (1, 'a')",
+          "ON CONFLICT (id) DO UPDATE SET",
+          "  name = excluded.name,",
+          "  visits = users.visits + 1",
+          "WHERE users.active = TRUE",
+        ].join("\n")
+      );
+    });
+
+    test("should keep the statement's meaning", () => {
+      const original =
+        "select a.id, (select count(*) from b where b.a_id = a.id) as cnt from a " +
+        "where (a.x = 1 or a.y = 2) and not exists (select 1 from c where c.id = a.id) " +
+        "union all select id, 0 from d order by 1 desc";
+
+      expect(parseSQL(formatSQL(original, { maxLineWidth: 30 })).ast).toEqual(
+        parseSQL(formatSQL(original, { maxLineWidth: 200 })).ast
+      );
+    });
+  });
+
+  describe("Options", () => {
+    const sql = "select id, user_name as name, created_at as created from users";
+
+    test("should apply indent and keyword case", () => {
+      expect(formatSQL(sql, { indent: 4, keywordCase: "lower", maxLineWidth: 20 })).toBe(
+        ["select", "    id,", "    user_name as name,", "    created_at as created", "from users"].join("\n")
+      );
+    });
+
+    test("should support leading commas and aligned aliases", () => {
+      expect(
+        formatSQL(sql, { commaPosition: "leading", alignAliases: true, maxLineWidth: 20 })
+      ).toBe(
+        [
+          "SELECT",
+          "    id",
+          "  , user_name  AS name",
+          "  , created_at AS created",
+          "FROM users",
+        ].join("\n")
+      );
+    });
+  });
+
+  describe("Error Handling", () => {
+    test("should throw SQLError for invalid SQL", () => {
+      expect(() => formatSQL("SELECT FROM")).toThrow(SQLError);
+      expect(() => formatSQL("SELECT 1 garbage garbage")).toThrow(SQLError);
+      expect(() => formatSQL(42)).toThrow(SQLError);
+    });
+
+    test("should reject comments instead of dropping them", () => {
+      expect(() => formatSQL("SELECT a FROM t -- keep me")).toThrow(
+        "Unsupported feature: comments in formatSQL input"
+      );
+      expect(() => formatSQL("SELECT /* keep */ a FROM t")).toThrow(SQLError);
+      expect(formatSQL("SELECT '-- not a comment' FROM t")).toBe("SELECT '-- not a comment'\nFROM t");
+    });
+  });
+});
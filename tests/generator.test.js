@@ -0,0 +1,200 @@
+/**
+ * SQL Generator Tests
+ *
+ * Tests for generating SQL text from ASTs, including round-tripping
+ * parsed statements back through the parser
+ */
+
+import { parseSQL, generateSQL, SQLError } from "../src/index.js";
+import { AST } from "../src/ast/ast-nodes.js";
+
+/**
+ * Parse SQL, generate it back and parse the generated SQL again
+ * @param {string} sql - SQL statement
+ * @returns {Object} Original AST, generated SQL and re-parsed AST
+ */
+function roundTrip(sql) {
+  const original = parseSQL(sql);
+  expect(original.success).toBe(true);
+
+  const generated = generateSQL(original.ast);
+  const reparsed = parseSQL(generated);
+  expect(reparsed.errors).toEqual([]);
+
+  return { original: original.ast, generated, reparsed: reparsed.ast };
+}
+
+describe("SQL Generator", () => {
+  describe("Round Trip", () => {
+    const statements = [
+      "SELECT * FROM users",
+      "SELECT DISTINCT name, email AS mail FROM users u WHERE u.active = true",
+      "SELECT u.name, p.title FROM users u LEFT OUTER JOIN posts p ON u.id = p.user_id CROSS JOIN tags",
+      "SELECT a FROM t1, t2 INNER JOIN t3 ON t2.id = t3.id WHERE t1.id = t2.id",
+      "SELECT u.*, p.title FROM users AS u INNER JOIN posts AS p ON p.user_id = u.id",
+      'SELECT db.s.t.id, s.t.*, "my db"."order".x FROM db.s.t, "my db"."order"',
+      "SELECT * FROM c JOIN o USING (customer_id) NATURAL LEFT JOIN r NATURAL JOIN s",
+      "SELECT dept, COUNT(*) AS total FROM staff GROUP BY dept HAVING COUNT(*) > 5 ORDER BY total DESC, dept LIMIT 10 OFFSET 20",
+      "SELECT COUNT(DISTINCT user_id), MAX(price) FROM orders",
+      "SELECT (price + tax) * quantity, price - (discount - 1), -(-amount) FROM orders",
+      "SELECT * FROM t WHERE (a = 1 OR b = 2) AND NOT (c = 3) AND d <> 4",
+      "SELECT * FROM t WHERE status IN ('a', 'b') AND id IN (SELECT user_id FROM orders)",
+      "SELECT * FROM t WHERE age BETWEEN 18 AND 65 AND email IS NOT NULL AND phone IS NULL",
+      "SELECT * FROM t WHERE name LIKE 'A%' OR name ILIKE '%b'",
+      "SELECT * FROM t WHERE a = ? AND b IN ($1, $2) AND c = :name AND d = @v AND e = ?3 LIMIT ? OFFSET :1",
+      "SELECT * FROM t LIMIT 20, 10",
+      "SELECT * FROM t ORDER BY a OFFSET 20 ROWS FETCH NEXT 10 PERCENT ROWS WITH TIES",
+      "SELECT * FROM t OFFSET 5 ROWS",
+      "SELECT DISTINCT TOP (5) PERCENT name FROM t ORDER BY name",
+      "SELECT id FROM jobs j WHERE status = 0 ORDER BY id LIMIT 10 FOR UPDATE SKIP LOCKED",
+      "SELECT * FROM a, b FOR NO KEY UPDATE OF a NOWAIT FOR KEY SHARE OF b",
+      "SELECT * FROM t WHERE id = 1 LOCK IN SHARE MODE",
+      "SELECT * FROM jobs FOR UPDATE SKIP LOCKED LIMIT 1",
+      "SELECT * FROM t WHERE a NOT IN (1, 2) AND b NOT LIKE 'x!%' ESCAPE '!' AND c NOT BETWEEN 1 AND 2 AND d NOT SIMILAR TO 'y'",
+      "SELECT * FROM t WHERE a IS DISTINCT FROM b AND a IS NOT DISTINCT FROM c + 1 AND f IS TRUE AND g IS NOT UNKNOWN",
+      "SELECT * FROM t WHERE salary > ALL (SELECT salary FROM managers)",
+      "SELECT * FROM t WHERE id = ANY (ids) AND code <> ALL (ARRAY[1, 2])",
+      "SELECT data -> 'a' ->> 'b', data #> '{a}', tags[1], tags[2:], (f(x))[1], (x::INT[])[1], ARRAY[ARRAY[1], ARRAY[2]] FROM t WHERE tags @> ARRAY['y'] AND data ? 'k' AND data ?| ARRAY['a'] AND a && b",
+      "SELECT * FROM t WHERE EXISTS (SELECT 1 FROM o WHERE o.uid = t.id) AND NOT EXISTS (SELECT 1 FROM b)",
+      "SELECT CASE WHEN score >= 90 THEN 'A' WHEN score >= 80 THEN 'B' ELSE 'C' END AS grade FROM results",
+      "SELECT CASE status WHEN 1 THEN 'on' ELSE 'off' END FROM devices",
+      "SELECT created_at - INTERVAL '1' DAY, EXTRACT(YEAR FROM created_at) FROM events",
+      "SELECT CAST(price AS DECIMAL(10, 2)) AS p, TRY_CAST(code AS INT), CAST(ts AS TIMESTAMP WITH TIME ZONE) FROM t",
+      "SELECT (a + b)::NUMERIC(10, 2), -1::INT, '{1}'::INT[], m::TEXT[3][] FROM t WHERE created::DATE = '2024-01-01'",
+      "SELECT ROW_NUMBER() OVER (PARTITION BY dept ORDER BY salary DESC) AS rn FROM staff",
+      "SELECT SUM(x) OVER (ORDER BY d ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW), AVG(x) OVER (ORDER BY d ROWS BETWEEN 2 PRECEDING AND 1 FOLLOWING) FROM t",
+      "SELECT COUNT(*) OVER () FROM t",
+      "SELECT SUM(x) OVER w, RANK() OVER (w ORDER BY d GROUPS BETWEEN 1 PRECEDING AND CURRENT ROW EXCLUDE GROUP) FROM t WINDOW w AS (PARTITION BY g), w2 AS (w) ORDER BY 1",
+      "SELECT COUNT(*) FILTER (WHERE x > 1), PERCENTILE_DISC(0.5) WITHIN GROUP (ORDER BY y), LAG(x) RESPECT NULLS OVER (ORDER BY d) FROM t",
+      "SELECT name, (SELECT MAX(total) FROM orders o WHERE o.uid = u.id) AS top FROM users u",
+      "SELECT * FROM (SELECT id FROM users WHERE active = 1) AS active_users",
+      "SELECT id FROM a UNION ALL SELECT id FROM b UNION SELECT id FROM c ORDER BY id LIMIT 5",
+      "SELECT 1 UNION SELECT 2 INTERSECT SELECT 3 EXCEPT ALL SELECT 4",
+      "(SELECT a FROM t UNION SELECT a FROM u) INTERSECT DISTINCT (SELECT a FROM v ORDER BY a LIMIT 1) ORDER BY a",
+      "SELECT 1 EXCEPT (SELECT 2 EXCEPT SELECT 3)",
+      "SELECT * FROM t WHERE id IN (SELECT a FROM x UNION SELECT b FROM y)",
+      "(SELECT a FROM t ORDER BY a LIMIT 5) ORDER BY b LIMIT 2",
+      "SELECT * FROM ((SELECT 1 ORDER BY 1) LIMIT 1) AS x WHERE a IN ((SELECT 1 LIMIT 1) UNION SELECT 2)",
+      "WITH RECURSIVE tree (id, parent) AS (SELECT id, parent FROM nodes WHERE parent IS NULL UNION ALL SELECT n.id, n.parent FROM nodes n JOIN tree t ON n.parent = t.id) SELECT * FROM tree",
+      "WITH a AS (SELECT 1 AS x), b AS (SELECT 2 AS y) SELECT * FROM a CROSS JOIN b",
+      "SELECT 'back\\\\slash', 'quote\\'d', 'it''s', first_name || ' ' || last_name FROM people",
+      "SELECT j -> 'a' || 'x', (a || b) * 2, a || (j -> 'k'), a || b + c FROM t",
+      'SELECT "order", "user name" FROM "select"',
+      "INSERT INTO users (name, email) VALUES ('John', 'john@example.com'), ('Jane', NULL)",
+      "INSERT INTO users VALUES (1, 'x')",
+      "INSERT INTO archive (a, b) SELECT a, b FROM live WHERE created_at < '2020-01-01'",
+      "WITH old AS (SELECT * FROM live) INSERT INTO archive SELECT * FROM old",
+      "INSERT INTO t DEFAULT VALUES",
+      "INSERT INTO t (a, b) VALUES (1, DEFAULT), (DEFAULT, 2)",
+      "UPDATE t SET a = DEFAULT WHERE id = 1",
+      "INSERT INTO users (id, name) VALUES (1, 'a') ON CONFLICT (id) WHERE deleted = false DO UPDATE SET name = EXCLUDED.name WHERE users.active = true",
+      "INSERT INTO t SELECT * FROM s ON CONFLICT ON CONSTRAINT t_pkey DO NOTHING",
+      "INSERT INTO t (a, b) VALUES (1, 2) ON DUPLICATE KEY UPDATE b = VALUES(b), c = c + 1",
+      "UPDATE users SET name = 'John', visits = visits + 1 WHERE id = 1",
+      "INSERT INTO users (name) VALUES ('a') ON CONFLICT DO NOTHING RETURNING id, created_at AS ts",
+      "INSERT INTO users OUTPUT inserted.* DEFAULT VALUES",
+      "UPDATE users SET a = 1 OUTPUT deleted.a AS old, inserted.a WHERE id = 2",
+      "UPDATE users AS u SET a = 1 WHERE id = 2 RETURNING u.*",
+      "DELETE FROM users OUTPUT deleted.* WHERE id = 2",
+      "DELETE FROM users WHERE id = 2 RETURNING *",
+      "UPDATE accounts AS a SET balance = a.balance - t.amount FROM transfers AS t WHERE t.account_id = a.id",
+      "UPDATE orders AS o INNER JOIN customers AS c ON c.id = o.customer_id SET o.tier = c.tier ORDER BY o.id LIMIT 10",
+      "DELETE FROM orders USING customers AS c, regions WHERE orders.cid = c.id",
+      "DELETE o, i FROM orders AS o INNER JOIN items AS i ON i.order_id = o.id WHERE o.cancelled = 1 ORDER BY o.id LIMIT 5",
+      "DELETE FROM users WHERE created_at < '2020-01-01'",
+      "MERGE INTO customers AS c USING staging AS s ON c.id = s.id WHEN MATCHED AND s.deleted = true THEN DELETE WHEN MATCHED THEN UPDATE SET name = s.name WHEN NOT MATCHED THEN INSERT (id, name) VALUES (s.id, s.name)",
+      "MERGE INTO t USING (SELECT id FROM src) AS s ON t.id = s.id WHEN NOT MATCHED BY SOURCE THEN DO NOTHING WHEN NOT MATCHED BY TARGET THEN INSERT DEFAULT VALUES",
+      "CREATE TABLE IF NOT EXISTS app.users (id INT NOT NULL AUTO_INCREMENT PRIMARY KEY, email VARCHAR(255) UNIQUE, price DECIMAL(10, 2) DEFAULT 0 CHECK (price >= 0), n INT UNSIGNED NULL, ts TIMESTAMP(3) WITH TIME ZONE, org_id INT CONSTRAINT fk REFERENCES orgs (id) ON DELETE CASCADE)",
+      "CREATE TABLE t (a INT, b INT, CONSTRAINT pk PRIMARY KEY (a, b), UNIQUE (b), FOREIGN KEY (b) REFERENCES o (id) ON UPDATE SET NULL, CHECK (a > b))",
+      "CREATE TEMPORARY TABLE t AS SELECT id FROM users",
+      "ALTER TABLE IF EXISTS app.users ADD COLUMN IF NOT EXISTS age INT DEFAULT 0, DROP COLUMN IF EXISTS legacy CASCADE, RENAME COLUMN nm TO name, RENAME TO people",
+      "ALTER TABLE t ALTER COLUMN a TYPE BIGINT, ALTER COLUMN b SET DEFAULT 'x', ALTER COLUMN b DROP NOT NULL, ADD CONSTRAINT fk FOREIGN KEY (a) REFERENCES o (id), DROP CONSTRAINT pk, MODIFY COLUMN c TEXT NOT NULL",
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx ON app.users USING btree (lower(email), created_at DESC) WHERE active = true",
+      "CREATE OR REPLACE TEMPORARY VIEW v (a, b) AS SELECT x, y FROM t WHERE z > 1",
+      "DROP TABLE IF EXISTS a, s.b CASCADE",
+      "DROP INDEX idx ON users",
+      "TRUNCATE TABLE a, b RESTART IDENTITY RESTRICT",
+      "BEGIN TRANSACTION ISOLATION LEVEL SERIALIZABLE, READ ONLY",
+      "START TRANSACTION WITH CONSISTENT SNAPSHOT, READ WRITE",
+      "SET TRANSACTION ISOLATION LEVEL READ COMMITTED",
+      "SAVEPOINT s1",
+      "ROLLBACK WORK TO SAVEPOINT s1",
+      "RELEASE SAVEPOINT s1",
+      "COMMIT",
+      "SET LOCAL search_path TO app, public",
+      "SET @total = 0, @@session.sql_mode = 'STRICT', GLOBAL time_zone = DEFAULT",
+      "SET TIME ZONE 'UTC'",
+      "USE shop",
+      "SHOW FULL COLUMNS FROM shop.users LIKE 'n%'",
+      "SHOW CREATE TABLE users",
+      "GRANT SELECT, INSERT (a, b) ON TABLE app.t, u TO reader, PUBLIC WITH GRANT OPTION",
+      "GRANT USAGE ON ALL SEQUENCES IN SCHEMA app TO writer",
+      "GRANT admin TO alice WITH ADMIN OPTION",
+      "REVOKE GRANT OPTION FOR ALL PRIVILEGES ON DATABASE shop FROM PUBLIC CASCADE",
+      "EXPLAIN ANALYZE VERBOSE SELECT * FROM t WHERE a = 1",
+      "EXPLAIN (FORMAT JSON, ANALYZE, BUFFERS OFF) UPDATE t SET a = 1",
+      "EXPLAIN FORMAT = JSON DELETE FROM t",
+    ];
+
+    test.each(statements)("should round-trip %s", (sql) => {
+      const { original, reparsed } = roundTrip(sql);
+      expect(reparsed).toEqual(original);
+    });
+
+    test("should preserve the case of operators and function names", () => {
+      const { original, generated, reparsed } = roundTrip(
+        "select count(*) from t where a = 1 and b like 'x%'"
+      );
+
+      expect(generated).toBe("SELECT count(*) FROM t WHERE a = 1 and b like 'x%'");
+      expect(reparsed).toEqual(original);
+    });
+  });
+
+  describe("Generated Output", () => {
+    test("should generate modified ASTs", () => {
+      const { ast } = parseSQL("SELECT name FROM users WHERE id = 1");
+      ast.where.right = AST.literal(42, "number");
+      ast.limit = AST.limit(AST.literal(1, "number"));
+
+      expect(generateSQL(ast)).toBe("SELECT name FROM users WHERE id = 42 LIMIT 1");
+    });
+
+    test("should add parentheses only where precedence requires them", () => {
+      const { ast } = parseSQL("SELECT a * (b + c), (a * b) + c, a - (b - c) FROM t");
+
+      expect(generateSQL(ast)).toBe("SELECT a * (b + c), a * b + c, a - (b - c) FROM t");
+    });
+
+    test("should apply keyword case option", () => {
+      const { ast } = parseSQL("SELECT id FROM users WHERE a = 1 AND b IS NOT NULL");
+
+      expect(generateSQL(ast, { keywordCase: "lower" })).toBe(
+        "select id from users where a = 1 and b is not null"
+      );
+    });
+
+    test("should quote names with upper case letters", () => {
+      const { ast } = parseSQL('SELECT "UserId", u.name FROM "Users" AS u', { dialect: "postgresql" });
+
+      expect(generateSQL(ast, { dialect: "postgresql" })).toBe(
+        'SELECT "UserId", u.name FROM "Users" AS u'
+      );
+      expect(generateSQL(ast, { dialect: "tsql" })).toBe("SELECT [UserId], u.name FROM [Users] AS u");
+      expect(generateSQL(parseSQL("SET @@SESSION.sql_mode = ''").ast)).toBe(
+        "SET @@SESSION.sql_mode = ''"
+      );
+    });
+
+    test("should generate expression nodes on their own", () => {
+      const expr = AST.binary(AST.column("price", "p"), ">", AST.literal(100, "number"));
+
+      expect(generateSQL(expr)).toBe("p.price > 100");
+    });
+
+    test("should throw SQLError for unknown node types", () => {
+      expect(() => generateSQL({ type: "Mystery" })).toThrow(SQLError);
+      expect(() => generateSQL(null)).toThrow(SQLError);
+    });
+  });
+});
@@ -148,6 +148,127 @@ describe("Lexer", () => {
       expect(tokens[0].type).toBe(TokenType.CONCAT);
       expect(tokens[0].value).toBe("||");
     });
+
+    test("should tokenize the :: cast operator", () => {
+      const tokens = new Lexer("x::int").tokenize();
+
+      expect(tokens.map((t) => t.type)).toEqual([
+        TokenType.IDENTIFIER,
+        TokenType.DOUBLE_COLON,
+        TokenType.INT,
+        TokenType.EOF,
+      ]);
+      expect(() => new Lexer("x::int", { dialect: "mysql" }).tokenize()).toThrow(SQLError);
+    });
+
+    test("should tokenize JSON and array operators", () => {
+      const tokens = new Lexer("a -> b ->> c #> d #>> e @> f <@ g ? h ?| i ?& j && k").tokenize();
+
+      expect(tokens.filter((t) => t.type !== TokenType.IDENTIFIER).map((t) => t.type)).toEqual([
+        TokenType.ARROW,
+        TokenType.LONG_ARROW,
+        TokenType.HASH_ARROW,
+        TokenType.HASH_LONG_ARROW,
+        TokenType.CONTAINS,
+        TokenType.CONTAINED_BY,
+        TokenType.HAS_KEY,
+        TokenType.HAS_ANY_KEY,
+        TokenType.HAS_ALL_KEYS,
+        TokenType.OVERLAPS,
+        TokenType.EOF,
+      ]);
+    });
+
+    test("should prefer #> over a # comment and keep # comments elsewhere", () => {
+      const tokens = new Lexer("a #> b # note").tokenize();
+
+      expect(tokens.map((t) => t.type)).toEqual([
+        TokenType.IDENTIFIER,
+        TokenType.HASH_ARROW,
+        TokenType.IDENTIFIER,
+        TokenType.EOF,
+      ]);
+      expect(new Lexer("a -> b", { dialect: "mysql" }).tokenize()[1].type).toBe(TokenType.ARROW);
+      expect(() => new Lexer("a @> b", { dialect: "mysql" }).tokenize()).toThrow(SQLError);
+    });
+  });
+
+  describe("Bind Parameters", () => {
+    test("should tokenize positional, numbered and named parameters", () => {
+      const tokens = new Lexer("? $1 $name :1 :name @name").tokenize();
+
+      expect(tokens.slice(0, -1).map((t) => [t.type, t.value])).toEqual([
+        [TokenType.PARAMETER, "?"],
+        [TokenType.PARAMETER, "$1"],
+        [TokenType.PARAMETER, "$name"],
+        [TokenType.PARAMETER, ":1"],
+        [TokenType.PARAMETER, ":name"],
+        [TokenType.PARAMETER, "@name"],
+      ]);
+      expect(new Lexer("a = ?12").tokenize()[2]).toMatchObject({
+        type: TokenType.PARAMETER,
+        value: "?12",
+      });
+    });
+
+    test("should not read the :: cast operator as a parameter", () => {
+      const tokens = new Lexer("a::int = :b").tokenize();
+
+      expect(tokens.map((t) => t.type)).toEqual([
+        TokenType.IDENTIFIER,
+        TokenType.DOUBLE_COLON,
+        TokenType.INT,
+        TokenType.EQUALS,
+        TokenType.PARAMETER,
+        TokenType.EOF,
+      ]);
+    });
+
+    test("should read ? after an operand as the JSON key operator", () => {
+      const tokens = new Lexer("data ? ? AND id = ?").tokenize();
+
+      expect(tokens.map((t) => t.type)).toEqual([
+        TokenType.IDENTIFIER,
+        TokenType.HAS_KEY,
+        TokenType.PARAMETER,
+        TokenType.AND,
+        TokenType.IDENTIFIER,
+        TokenType.EQUALS,
+        TokenType.PARAMETER,
+        TokenType.EOF,
+      ]);
+      expect(new Lexer("data ? 'k'", { dialect: "mysql" }).tokenize()[1].type).toBe(
+        TokenType.PARAMETER
+      );
+    });
+
+    test("should read system variables as identifiers", () => {
+      const tokens = new Lexer("@@session.sql_mode = @mode").tokenize();
+
+      expect(tokens.slice(0, -1).map((t) => [t.type, t.value])).toEqual([
+        [TokenType.IDENTIFIER, "@@session"],
+        [TokenType.DOT, "."],
+        [TokenType.IDENTIFIER, "sql_mode"],
+        [TokenType.EQUALS, "="],
+        [TokenType.PARAMETER, "@mode"],
+      ]);
+    });
+
+    test("should read : inside brackets as a slice separator", () => {
+      const tokens = new Lexer("a[1:n] = :n").tokenize();
+
+      expect(tokens.map((t) => t.type)).toEqual([
+        TokenType.IDENTIFIER,
+        TokenType.LEFT_BRACKET,
+        TokenType.NUMBER,
+        TokenType.COLON,
+        TokenType.IDENTIFIER,
+        TokenType.RIGHT_BRACKET,
+        TokenType.EQUALS,
+        TokenType.PARAMETER,
+        TokenType.EOF,
+      ]);
+    });
   });
 
   describe("Punctuation", () => {
@@ -87,6 +87,42 @@ describe("Parser", () => {
       expect(result.ast.from.joins[0].joinType).toBe("LEFT");
     });
 
+    test("should parse JOIN ... USING", () => {
+      const result = parseSQL(
+        "SELECT * FROM customers c JOIN orders o USING (customer_id) LEFT JOIN items USING (order_id, customer_id)"
+      );
+
+      expect(result.success).toBe(true);
+      const [orders, items] = result.ast.from.joins;
+      expect(orders.joinType).toBe("INNER");
+      expect(orders.condition).toBeNull();
+      expect(orders.using).toEqual(["customer_id"]);
+      expect(items.joinType).toBe("LEFT");
+      expect(items.using).toEqual(["order_id", "customer_id"]);
+    });
+
+    test("should parse NATURAL joins", () => {
+      const result = parseSQL("SELECT * FROM a NATURAL JOIN b NATURAL LEFT OUTER JOIN c");
+
+      expect(result.success).toBe(true);
+      expect(result.ast.from.tables).toHaveLength(1);
+      expect(result.ast.from.joins.map((join) => [join.joinType, join.natural])).toEqual([
+        ["INNER", true],
+        ["LEFT OUTER", true],
+      ]);
+      expect(result.ast.from.joins[0].condition).toBeNull();
+    });
+
+    test("should require ON or USING for non-CROSS joins", () => {
+      expect(parseSQL("SELECT * FROM a JOIN b WHERE x = 1").errors[0].message).toBe(
+        "Expected ON or USING, but got WHERE"
+      );
+      expect(
+        parseSQL("SELECT * FROM a NATURAL JOIN b ON a.id = b.id", { strict: true }).success
+      ).toBe(false);
+      expect(parseSQL("SELECT * FROM a NATURAL CROSS JOIN b").success).toBe(false);
+    });
+
     test("should parse SELECT with GROUP BY", () => {
       const result = parseSQL(
         "SELECT department, COUNT(*) FROM employees GROUP BY department"
@@ -140,6 +176,43 @@ describe("Parser", () => {
       expect(result.success).toBe(true);
       expect(result.ast.distinct).toBe(true);
     });
+
+    test("should parse multi-part table and column names", () => {
+      const result = parseSQL(
+        "SELECT analytics.public.events.id, public.events.name, e.ts, e.*, public.events.* " +
+          "FROM analytics.public.events e JOIN public.users ON users.id = e.uid"
+      );
+
+      expect(result.success).toBe(true);
+      const [full, schemaQualified, tableQualified, wildcard, schemaWildcard] = result.ast.columns;
+      expect(full).toMatchObject({
+        type: "ColumnReference",
+        name: "id",
+        table: "events",
+        schema: "public",
+        catalog: "analytics",
+      });
+      expect(schemaQualified).toMatchObject({ name: "name", table: "events", schema: "public" });
+      expect(tableQualified).toMatchObject({ name: "ts", table: "e", schema: null, catalog: null });
+      expect(wildcard).toMatchObject({ type: "Wildcard", table: "e", schema: null });
+      expect(schemaWildcard).toMatchObject({ type: "Wildcard", table: "events", schema: "public" });
+      expect(result.ast.from.tables[0]).toMatchObject({
+        name: "events",
+        schema: "public",
+        catalog: "analytics",
+        alias: "e",
+      });
+      expect(result.ast.from.joins[0].table).toMatchObject({ name: "users", schema: "public" });
+      expect(result.tables).toEqual(["analytics.public.events", "public.users"]);
+    });
+
+    test("should reject names with too many parts", () => {
+      expect(parseSQL("SELECT a.b.c.d.e FROM t").errors[0]).toMatchObject({
+        code: "INVALID_IDENTIFIER",
+        message: "Invalid identifier: a.b.c.d.e",
+      });
+      expect(parseSQL("SELECT * FROM a.b.c.d").errors[0].code).toBe("INVALID_IDENTIFIER");
+    });
   });
 
   describe("INSERT Statement Parsing", () => {
@@ -173,6 +246,135 @@ describe("Parser", () => {
       expect(result.ast.columns).toHaveLength(0);
       expect(result.ast.values).toHaveLength(1);
     });
+
+    test("should parse INSERT ... SELECT", () => {
+      const result = parseSQL(
+        "INSERT INTO archive (a, b) SELECT a, b FROM live WHERE created_at < '2020-01-01'"
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.ast.columns).toEqual(["a", "b"]);
+      expect(result.ast.values).toEqual([]);
+      expect(result.ast.query.type).toBe("SelectStatement");
+      expect(result.tables).toEqual(["archive", "live"]);
+    });
+
+    test("should parse INSERT with a WITH query or a leading WITH", () => {
+      const inner = parseSQL(
+        "INSERT INTO archive WITH old AS (SELECT * FROM live) SELECT * FROM old"
+      );
+      expect(inner.success).toBe(true);
+      expect(inner.ast.query.with.expressions[0].name).toBe("old");
+
+      const leading = parseSQL(
+        "WITH old AS (SELECT * FROM live) INSERT INTO archive SELECT * FROM old"
+      );
+      expect(leading.success).toBe(true);
+      expect(leading.ast.type).toBe("InsertStatement");
+      expect(leading.ast.with.expressions).toHaveLength(1);
+    });
+
+    test("should parse a parenthesized query source", () => {
+      const result = parseSQL("INSERT INTO t (SELECT 1 UNION SELECT 2)", { strict: true });
+
+      expect(result.success).toBe(true);
+      expect(result.ast.columns).toEqual([]);
+      expect(result.ast.query.type).toBe("SetOperation");
+    });
+
+    test("should parse DEFAULT VALUES and DEFAULT in value lists", () => {
+      const defaults = parseSQL("INSERT INTO t DEFAULT VALUES");
+      expect(defaults.success).toBe(true);
+      expect(defaults.ast.defaultValues).toBe(true);
+
+      const result = parseSQL("INSERT INTO t (a, b) VALUES (1, DEFAULT), (DEFAULT, 2)");
+      expect(result.success).toBe(true);
+      expect(result.ast.values[0].values[1]).toMatchObject({ type: "Literal", dataType: "DEFAULT" });
+      expect(result.ast.values[1].values[0].dataType).toBe("DEFAULT");
+    });
+
+    test("should parse ON CONFLICT DO UPDATE", () => {
+      const result = parseSQL(
+        "INSERT INTO users (id, name) VALUES (1, 'a') ON CONFLICT (id) WHERE deleted = false " +
+          "DO UPDATE SET name = EXCLUDED.name, visits = DEFAULT WHERE users.active = true"
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.ast.onConflict).toMatchObject({
+        type: "OnConflictClause",
+        columns: ["id"],
+        constraint: null,
+        action: "UPDATE",
+      });
+      expect(result.ast.onConflict.targetWhere.left.name).toBe("deleted");
+      expect(result.ast.onConflict.set[0]).toMatchObject({ type: "Assignment", column: "name" });
+      expect(result.ast.onConflict.set[0].value).toMatchObject({ table: "EXCLUDED", name: "name" });
+      expect(result.ast.onConflict.set[1].value.dataType).toBe("DEFAULT");
+      expect(result.ast.onConflict.where.left.table).toBe("users");
+    });
+
+    test("should parse ON CONFLICT DO NOTHING with or without a target", () => {
+      const bare = parseSQL("INSERT INTO t (a) VALUES (1) ON CONFLICT DO NOTHING");
+      expect(bare.success).toBe(true);
+      expect(bare.ast.onConflict).toMatchObject({ columns: [], action: "NOTHING", set: [] });
+
+      const named = parseSQL(
+        "INSERT INTO t (a) SELECT a FROM s ON CONFLICT ON CONSTRAINT t_pkey DO NOTHING"
+      );
+      expect(named.success).toBe(true);
+      expect(named.ast.query.type).toBe("SelectStatement");
+      expect(named.ast.onConflict.constraint).toBe("t_pkey");
+    });
+
+    test("should parse ON DUPLICATE KEY UPDATE", () => {
+      const result = parseSQL(
+        "INSERT INTO t (a, b) VALUES (1, 2) ON DUPLICATE KEY UPDATE b = VALUES(b), c = c + 1",
+        { dialect: "mysql" }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.ast.onConflict).toBeNull();
+      expect(result.ast.onDuplicateKeyUpdate.map((a) => a.column)).toEqual(["b", "c"]);
+      expect(result.ast.onDuplicateKeyUpdate[0].value).toMatchObject({
+        type: "FunctionCall",
+        name: "VALUES",
+      });
+    });
+
+    test("should report incomplete ON CONFLICT clauses", () => {
+      expect(
+        parseSQL("INSERT INTO t (a) VALUES (1) ON CONFLICT (a) DO SOMETHING").errors[0].message
+      ).toBe("Expected NOTHING or UPDATE, but got IDENTIFIER");
+      expect(parseSQL("INSERT INTO t (a) VALUES (1) ON CONFLICT (a)").errors[0].code).toBe(
+        "UNEXPECTED_END"
+      );
+    });
+
+    test("should parse RETURNING and OUTPUT", () => {
+      const returning = parseSQL(
+        "INSERT INTO users (name) VALUES ('a') ON CONFLICT DO NOTHING RETURNING id, created_at AS ts"
+      );
+      expect(returning.success).toBe(true);
+      expect(returning.ast.onConflict.action).toBe("NOTHING");
+      expect(returning.ast.returning.syntax).toBe("RETURNING");
+      expect(returning.ast.returning.columns.map((c) => c.name)).toEqual(["id", "created_at"]);
+      expect(returning.ast.returning.columns[1].alias).toBe("ts");
+
+      const output = parseSQL("INSERT INTO users (name) OUTPUT inserted.* VALUES ('a')", {
+        dialect: "tsql",
+      });
+      expect(output.success).toBe(true);
+      expect(output.ast.values).toHaveLength(1);
+      expect(output.ast.returning).toMatchObject({ type: "ReturningClause", syntax: "OUTPUT" });
+      expect(output.ast.returning.columns[0]).toMatchObject({ type: "Wildcard", table: "inserted" });
+    });
+
+    test("should report a missing INSERT source", () => {
+      expect(parseSQL("INSERT INTO t (a) FOO").errors[0].message).toBe(
+        "Expected VALUES, but got IDENTIFIER"
+      );
+      expect(parseSQL("INSERT INTO t DEFAULT").errors[0].code).toBe("UNEXPECTED_END");
+    });
   });
 
   describe("UPDATE Statement Parsing", () => {
@@ -204,6 +406,58 @@ describe("Parser", () => {
       expect(result.success).toBe(true);
       expect(result.ast.where).toBeNull();
     });
+
+    test("should parse UPDATE ... FROM", () => {
+      const result = parseSQL(
+        "UPDATE accounts a SET balance = a.balance - t.amount FROM transfers t, fees " +
+          "WHERE t.account_id = a.id"
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.ast.joins).toEqual([]);
+      expect(result.ast.from.tables.map((t) => t.name)).toEqual(["transfers", "fees"]);
+      expect(result.ast.where.left.table).toBe("t");
+      expect(result.tables).toEqual(["accounts", "transfers", "fees"]);
+    });
+
+    test("should parse UPDATE with joins and qualified assignment targets", () => {
+      const result = parseSQL(
+        "UPDATE orders o JOIN customers c ON c.id = o.customer_id SET o.tier = c.tier, total = 0"
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.ast.table.alias).toBe("o");
+      expect(result.ast.joins[0]).toMatchObject({ joinType: "INNER", table: { name: "customers" } });
+      expect(result.ast.set[0]).toMatchObject({ type: "Assignment", table: "o", column: "tier" });
+      expect(result.ast.set[1]).toMatchObject({ table: null, column: "total" });
+    });
+
+    test("should parse UPDATE with ORDER BY and LIMIT", () => {
+      const result = parseSQL("UPDATE jobs SET state = 'taken' ORDER BY priority DESC LIMIT 1", {
+        dialect: "mysql",
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.ast.orderBy.columns[0].direction).toBe("DESC");
+      expect(result.ast.limit.count.value).toBe(1);
+    });
+
+    test("should parse UPDATE with RETURNING or OUTPUT", () => {
+      const returning = parseSQL("UPDATE users u SET a = 1 WHERE id = 2 RETURNING u.*, a", {
+        dialect: "postgresql",
+      });
+      expect(returning.success).toBe(true);
+      expect(returning.ast.table.alias).toBe("u");
+      expect(returning.ast.returning.columns[0]).toMatchObject({ type: "Wildcard", table: "u" });
+
+      const output = parseSQL(
+        "UPDATE users SET a = 1 OUTPUT deleted.a AS old, inserted.a WHERE id = 2",
+        { dialect: "tsql" }
+      );
+      expect(output.success).toBe(true);
+      expect(output.ast.where.left.name).toBe("id");
+      expect(output.ast.returning.columns[0]).toMatchObject({ table: "deleted", alias: "old" });
+    });
   });
 
   describe("DELETE Statement Parsing", () => {
@@ -222,6 +476,371 @@ describe("Parser", () => {
       expect(result.success).toBe(true);
       expect(result.ast.where).toBeNull();
     });
+
+    test("should parse DELETE ... USING", () => {
+      const result = parseSQL(
+        "DELETE FROM orders USING customers c JOIN regions r ON r.id = c.region_id " +
+          "WHERE orders.customer_id = c.id AND r.closed = true"
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.ast.targets).toEqual([]);
+      expect(result.ast.using.tables[0]).toMatchObject({ name: "customers", alias: "c" });
+      expect(result.ast.using.joins).toHaveLength(1);
+      expect(result.tables).toEqual(["orders", "customers", "regions"]);
+    });
+
+    test("should parse multi-table DELETE with targets and joins", () => {
+      const result = parseSQL(
+        "DELETE o, i FROM orders o JOIN items i ON i.order_id = o.id WHERE o.cancelled = 1"
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.ast.targets).toEqual(["o", "i"]);
+      expect(result.ast.from.name).toBe("orders");
+      expect(result.ast.joins[0].table.alias).toBe("i");
+      expect(parseSQL("DELETE o WHERE id = 1").errors[0].message).toBe(
+        "Expected FROM, but got WHERE"
+      );
+    });
+
+    test("should parse DELETE with ORDER BY and LIMIT", () => {
+      const result = parseSQL("DELETE FROM logs WHERE level = 'debug' ORDER BY ts LIMIT 1000", {
+        dialect: "mysql",
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.ast.orderBy.columns[0].column.name).toBe("ts");
+      expect(result.ast.limit.count.value).toBe(1000);
+    });
+
+    test("should parse DELETE with RETURNING or OUTPUT", () => {
+      const returning = parseSQL("DELETE FROM users RETURNING *", { dialect: "sqlite" });
+      expect(returning.success).toBe(true);
+      expect(returning.ast.from.alias).toBeNull();
+      expect(returning.ast.returning.columns[0].type).toBe("Wildcard");
+
+      const output = parseSQL("DELETE FROM users OUTPUT deleted.id WHERE id = 2", {
+        dialect: "tsql",
+      });
+      expect(output.success).toBe(true);
+      expect(output.ast.returning.syntax).toBe("OUTPUT");
+      expect(output.ast.where).not.toBeNull();
+    });
+  });
+
+  describe("MERGE Statement Parsing", () => {
+    test("should parse MERGE with ordered WHEN branches", () => {
+      const result = parseSQL(
+        "MERGE INTO customers c USING staging s ON c.id = s.id " +
+          "WHEN MATCHED AND s.deleted = true THEN DELETE " +
+          "WHEN MATCHED THEN UPDATE SET name = s.name, c.updated_at = DEFAULT " +
+          "WHEN NOT MATCHED THEN INSERT (id, name) VALUES (s.id, s.name)"
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.ast.type).toBe("MergeStatement");
+      expect(result.ast.target).toMatchObject({ name: "customers", alias: "c" });
+      expect(result.ast.source).toMatchObject({ name: "staging", alias: "s" });
+      expect(result.ast.on.operator).toBe("=");
+      expect(result.ast.whenClauses.map((w) => [w.matched, w.action])).toEqual([
+        [true, "DELETE"],
+        [true, "UPDATE"],
+        [false, "INSERT"],
+      ]);
+      expect(result.ast.whenClauses[0].condition.left.name).toBe("deleted");
+      expect(result.ast.whenClauses[1].set[1]).toMatchObject({
+        type: "Assignment",
+        table: "c",
+        column: "updated_at",
+      });
+      expect(result.ast.whenClauses[2].columns).toEqual(["id", "name"]);
+      expect(result.ast.whenClauses[2].values.type).toBe("ValuesList");
+      expect(result.tables).toEqual(["customers", "staging"]);
+    });
+
+    test("should parse MERGE with a subquery source", () => {
+      const result = parseSQL(
+        "MERGE INTO t USING (SELECT id, v FROM src WHERE v > 0) AS s ON t.id = s.id " +
+          "WHEN NOT MATCHED THEN INSERT DEFAULT VALUES"
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.ast.source).toMatchObject({ type: "SubQuery", alias: "s" });
+      expect(result.ast.whenClauses[0]).toMatchObject({ action: "INSERT", values: null });
+      expect(result.tables).toEqual(["t", "src"]);
+    });
+
+    test("analyzeSQL should report the MERGE target and source tables", () => {
+      const { analyzeSQL } = require("../src/index.js");
+
+      const { query, analysis } = analyzeSQL(
+        "MERGE INTO customers c USING staging s ON c.id = s.id " +
+          "WHEN MATCHED THEN UPDATE SET name = s.name"
+      );
+      expect(query.type).toBe("MergeStatement");
+      expect(analysis.tables).toEqual([
+        { name: "customers", alias: "c", schema: null, catalog: null },
+        { name: "staging", alias: "s", schema: null, catalog: null },
+      ]);
+      // Same shape as the tables of a SELECT
+      expect(analyzeSQL("SELECT * FROM customers c").analysis.tables[0]).toEqual(
+        analysis.tables[0]
+      );
+    });
+
+    test("should parse NOT MATCHED BY SOURCE and DO NOTHING", () => {
+      const result = parseSQL(
+        "MERGE t USING s ON t.id = s.id WHEN NOT MATCHED BY TARGET THEN INSERT VALUES (s.id) " +
+          "WHEN NOT MATCHED BY SOURCE AND t.active = 1 THEN DELETE WHEN MATCHED THEN DO NOTHING",
+        { dialect: "tsql" }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.ast.whenClauses.map((w) => [w.by, w.action])).toEqual([
+        ["TARGET", "INSERT"],
+        ["SOURCE", "DELETE"],
+        [null, "NOTHING"],
+      ]);
+    });
+
+    test("should report actions that do not fit the branch", () => {
+      expect(
+        parseSQL("MERGE INTO t USING s ON t.id = s.id WHEN NOT MATCHED THEN UPDATE SET a = 1")
+          .errors[0].message
+      ).toBe("Expected INSERT, but got UPDATE");
+      expect(
+        parseSQL("MERGE INTO t USING s ON t.id = s.id WHEN MATCHED THEN INSERT VALUES (1)")
+          .errors[0].message
+      ).toBe("Expected UPDATE, DELETE or DO, but got INSERT");
+      expect(parseSQL("MERGE INTO t USING s ON t.id = s.id").errors[0].code).toBe(
+        "UNEXPECTED_END"
+      );
+    });
+  });
+
+  describe("Transaction and Session Statements", () => {
+    test("should parse BEGIN and START TRANSACTION with modes", () => {
+      expect(
+        parseSQL("BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY, NOT DEFERRABLE", {
+          dialect: "postgresql",
+        }).ast
+      ).toMatchObject({
+        type: "TransactionStatement",
+        action: "BEGIN",
+        keyword: null,
+        modes: ["ISOLATION LEVEL REPEATABLE READ", "READ ONLY", "NOT DEFERRABLE"],
+      });
+      expect(parseSQL("BEGIN IMMEDIATE TRANSACTION", { dialect: "sqlite" }).ast).toMatchObject({
+        behavior: "IMMEDIATE",
+        keyword: "TRANSACTION",
+        modes: [],
+      });
+      expect(parseSQL("START TRANSACTION WITH CONSISTENT SNAPSHOT").ast).toMatchObject({
+        action: "START TRANSACTION",
+        modes: ["WITH CONSISTENT SNAPSHOT"],
+      });
+    });
+
+    test("should parse COMMIT, ROLLBACK and savepoints", () => {
+      const actions = ["COMMIT WORK", "ROLLBACK", "SAVEPOINT s1", "ROLLBACK TO s1", "RELEASE SAVEPOINT s1"]
+        .map((sql) => parseSQL(sql).ast)
+        .map(({ action, keyword, savepoint }) => [action, keyword, savepoint]);
+
+      expect(actions).toEqual([
+        ["COMMIT", "WORK", null],
+        ["ROLLBACK", null, null],
+        ["SAVEPOINT", null, "s1"],
+        ["ROLLBACK", null, "s1"],
+        ["RELEASE", null, "s1"],
+      ]);
+    });
+
+    test("should parse SET TRANSACTION", () => {
+      expect(
+        parseSQL("SET SESSION TRANSACTION ISOLATION LEVEL READ UNCOMMITTED", { dialect: "mysql" })
+          .ast
+      ).toMatchObject({
+        action: "SET TRANSACTION",
+        scope: "SESSION",
+        modes: ["ISOLATION LEVEL READ UNCOMMITTED"],
+      });
+      expect(parseSQL("SET TRANSACTION").errors[0].code).toBe("UNEXPECTED_END");
+    });
+
+    test("should parse session variables", () => {
+      const result = parseSQL("SET LOCAL search_path TO app, public", { dialect: "postgresql" });
+
+      expect(result.success).toBe(true);
+      expect(result.ast.type).toBe("SetStatement");
+      expect(result.ast.variables).toHaveLength(1);
+      expect(result.ast.variables[0]).toMatchObject({
+        name: { type: "Identifier", name: "search_path" },
+        scope: "LOCAL",
+        operator: "TO",
+      });
+      expect(result.ast.variables[0].values.map((value) => value.name)).toEqual(["app", "public"]);
+    });
+
+    test("should split MySQL assignments from value lists", () => {
+      const result = parseSQL(
+        "SET @total = 0, GLOBAL max_connections = 100, @@session.sql_mode = DEFAULT",
+        { dialect: "mysql" }
+      );
+
+      expect(result.ast.variables.map((v) => [v.name.type, v.name.name, v.scope])).toEqual([
+        ["Parameter", "total", null],
+        ["Identifier", "max_connections", "GLOBAL"],
+        ["Identifier", "sql_mode", null],
+      ]);
+      expect(result.ast.variables[2].name.table).toBe("@@session");
+      expect(result.ast.variables[2].values[0].dataType).toBe("DEFAULT");
+    });
+
+    test("should parse settings without an operator", () => {
+      expect(parseSQL("SET NAMES utf8mb4", { dialect: "mysql" }).ast.variables[0]).toMatchObject({
+        name: { name: "NAMES" },
+        operator: null,
+        values: [{ type: "ColumnReference", name: "utf8mb4" }],
+      });
+      expect(parseSQL("SET TIME ZONE 'UTC'").ast.variables[0].name.name).toBe("TIME ZONE");
+      expect(parseSQL("SET NOCOUNT ON", { dialect: "tsql" }).ast.variables[0].values).toEqual([
+        { type: "Literal", value: "ON", dataType: "keyword" },
+      ]);
+    });
+
+    test("should parse USE and SHOW", () => {
+      expect(parseSQL("USE shop").ast).toEqual({ type: "UseStatement", database: "shop" });
+      expect(parseSQL("SHOW FULL TABLES FROM shop LIKE 'u%'", { dialect: "mysql" }).ast).toMatchObject({
+        type: "ShowStatement",
+        subject: "FULL TABLES",
+        target: { name: "shop" },
+        like: "u%",
+      });
+      expect(parseSQL("SHOW CREATE TABLE app.users").ast).toMatchObject({
+        subject: "CREATE TABLE",
+        target: { name: "users", schema: "app" },
+      });
+      expect(parseSQL("SHOW transaction isolation level").ast.subject).toBe(
+        "TRANSACTION ISOLATION LEVEL"
+      );
+      expect(parseSQL("SHOW").errors[0].code).toBe("UNEXPECTED_END");
+    });
+  });
+
+  describe("GRANT and REVOKE Statements", () => {
+    test("should parse object privileges with column lists", () => {
+      const result = parseSQL(
+        "GRANT SELECT, INSERT (col1, col2) ON TABLE app.t TO reporting, PUBLIC WITH GRANT OPTION"
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.ast).toMatchObject({
+        type: "GrantStatement",
+        roles: [],
+        objectType: "TABLE",
+        objects: [{ type: "TableReference", name: "t", schema: "app" }],
+        grantees: ["reporting", "PUBLIC"],
+        grantOption: true,
+      });
+      expect(result.ast.privileges).toEqual([
+        { type: "Privilege", name: "SELECT", columns: [] },
+        { type: "Privilege", name: "INSERT", columns: ["col1", "col2"] },
+      ]);
+      expect(result.tables).toEqual(["app.t"]);
+    });
+
+    test("should parse object types other than tables", () => {
+      const schema = parseSQL("GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA app TO reader").ast;
+      expect(schema.privileges[0].name).toBe("ALL PRIVILEGES");
+      expect(schema.objectType).toBe("ALL TABLES IN SCHEMA");
+      expect(schema.objects).toEqual([{ type: "Identifier", name: "app", table: null }]);
+
+      expect(parseSQL("GRANT CONNECT, TEMPORARY ON DATABASE shop TO app").ast).toMatchObject({
+        objectType: "DATABASE",
+        privileges: [{ name: "CONNECT" }, { name: "TEMPORARY" }],
+      });
+    });
+
+    test("should parse role grants", () => {
+      expect(parseSQL("GRANT admin, auditor TO alice WITH ADMIN OPTION").ast).toMatchObject({
+        privileges: [],
+        roles: ["admin", "auditor"],
+        objects: [],
+        grantees: ["alice"],
+        grantOption: true,
+      });
+      expect(parseSQL("GRANT SELECT TO alice").errors[0].message).toBe(
+        "Expected ON, but got IDENTIFIER"
+      );
+    });
+
+    test("should parse REVOKE", () => {
+      expect(
+        parseSQL("REVOKE GRANT OPTION FOR UPDATE (salary) ON staff FROM hr CASCADE").ast
+      ).toMatchObject({
+        type: "RevokeStatement",
+        privileges: [{ name: "UPDATE", columns: ["salary"] }],
+        objectType: null,
+        grantees: ["hr"],
+        grantOption: true,
+        behavior: "CASCADE",
+      });
+      expect(parseSQL("REVOKE admin FROM alice").ast).toMatchObject({
+        roles: ["admin"],
+        grantOption: false,
+        behavior: null,
+      });
+    });
+  });
+
+  describe("EXPLAIN Statements", () => {
+    test("should wrap the explained statement with bare options", () => {
+      const result = parseSQL("EXPLAIN ANALYZE VERBOSE SELECT * FROM orders o JOIN users u ON u.id = o.uid");
+
+      expect(result.success).toBe(true);
+      expect(result.ast).toMatchObject({
+        type: "ExplainStatement",
+        parenthesized: false,
+        statement: { type: "SelectStatement" },
+      });
+      expect(result.ast.options.map((option) => option.name)).toEqual(["ANALYZE", "VERBOSE"]);
+      expect(result.tables).toEqual(["orders", "users"]);
+    });
+
+    test("should parse parenthesized options with values", () => {
+      const result = parseSQL("EXPLAIN (FORMAT json, ANALYZE, BUFFERS OFF) DELETE FROM t WHERE id = ?", {
+        dialect: "postgresql",
+      });
+
+      expect(result.ast.parenthesized).toBe(true);
+      expect(result.ast.options).toEqual([
+        { type: "ExplainOption", name: "FORMAT", value: "JSON" },
+        { type: "ExplainOption", name: "ANALYZE", value: null },
+        { type: "ExplainOption", name: "BUFFERS", value: "OFF" },
+      ]);
+      expect(result.ast.statement.type).toBe("DeleteStatement");
+      expect(result.parameters).toHaveLength(1);
+    });
+
+    test("should parse MySQL FORMAT and SQLite QUERY PLAN", () => {
+      expect(parseSQL("EXPLAIN FORMAT = TREE SELECT 1", { dialect: "mysql" }).ast.options).toEqual([
+        { type: "ExplainOption", name: "FORMAT", value: "TREE" },
+      ]);
+      expect(
+        parseSQL("EXPLAIN QUERY PLAN SELECT 1", { dialect: "sqlite" }).ast.options[0].name
+      ).toBe("QUERY PLAN");
+    });
+
+    test("should explain a parenthesized query", () => {
+      const result = parseSQL("EXPLAIN (SELECT 1 UNION SELECT 2)");
+
+      expect(result.ast.options).toEqual([]);
+      expect(result.ast.statement.type).toBe("SetOperation");
+      expect(parseSQL("EXPLAIN ()").errors[0].message).toBe(
+        "Expected EXPLAIN option, but got RIGHT_PAREN"
+      );
+    });
   });
 
   describe("Expression Parsing", () => {
@@ -266,6 +885,59 @@ describe("Parser", () => {
       expect(expr.operator).toBe("*");
     });
 
+    test("should parse CAST and TRY_CAST", () => {
+      const result = parseSQL(
+        "SELECT CAST(price AS DECIMAL(10, 2)) AS p, TRY_CAST(code AS INT), " +
+          "CAST(ts AS TIMESTAMP(3) WITH TIME ZONE) FROM t"
+      );
+
+      expect(result.success).toBe(true);
+      const [price, code, ts] = result.ast.columns;
+      expect(price).toMatchObject({ type: "Cast", syntax: "CAST", alias: "p" });
+      expect(price.expression.name).toBe("price");
+      expect(price.dataType).toMatchObject({ type: "DataType", name: "DECIMAL" });
+      expect(price.dataType.parameters.map((p) => p.value)).toEqual([10, 2]);
+      expect(code.syntax).toBe("TRY_CAST");
+      expect(ts.dataType.modifiers).toEqual(["WITH TIME ZONE"]);
+      expect(parseSQL("SELECT CAST(x) FROM t").errors[0].message).toBe(
+        "Expected AS, but got RIGHT_PAREN"
+      );
+    });
+
+    test("should parse :: casts", () => {
+      const result = parseSQL(
+        "SELECT (a + b)::numeric(10, 2), -1::int, tags::text[], m::int[3][] FROM t " +
+          "WHERE created::date = '2024-01-01'",
+        { dialect: "postgresql" }
+      );
+
+      expect(result.success).toBe(true);
+      const [sum, negative, tags, matrix] = result.ast.columns;
+      expect(sum).toMatchObject({ type: "Cast", syntax: "::" });
+      expect(sum.expression.operator).toBe("+");
+      expect(negative).toMatchObject({ type: "UnaryExpression", operator: "-" });
+      expect(negative.operand.type).toBe("Cast");
+      expect(tags.dataType.arrayDimensions).toEqual([null]);
+      expect(matrix.dataType.arrayDimensions.map((size) => size && size.value)).toEqual([3, null]);
+      expect(result.ast.where.left.type).toBe("Cast");
+    });
+
+    test("should parse T-SQL CONVERT", () => {
+      const result = parseSQL("SELECT CONVERT(varchar(10), created, 120) FROM t", {
+        dialect: "tsql",
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.ast.columns[0]).toMatchObject({
+        type: "Cast",
+        syntax: "CONVERT",
+        dataType: { name: "varchar" },
+        expression: { name: "created" },
+        style: { value: 120 },
+      });
+      expect(parseSQL("SELECT CONVERT(a, b) FROM t").ast.columns[0].type).toBe("FunctionCall");
+    });
+
     test("should handle operator precedence", () => {
       const result = parseSQL("SELECT 1 + 2 * 3 FROM dual");
 
@@ -278,6 +950,179 @@ describe("Parser", () => {
     });
   });
 
+  describe("Bind Parameters", () => {
+    test("should parse parameters as expressions", () => {
+      const result = parseSQL(
+        "SELECT * FROM users WHERE id = ? AND name = :name AND age > $2 LIMIT @size OFFSET ?"
+      );
+
+      expect(result.success).toBe(true);
+      const { where, limit } = result.ast;
+      expect(where.left.left.right).toEqual({
+        type: "Parameter",
+        style: "positional",
+        prefix: "?",
+        name: null,
+        number: null,
+        position: 1,
+      });
+      expect(where.left.right.right).toMatchObject({ style: "named", prefix: ":", name: "name" });
+      expect(where.right.right).toMatchObject({ style: "numbered", prefix: "$", number: 2 });
+      expect(limit.count).toMatchObject({ type: "Parameter", name: "size", position: 4 });
+      expect(limit.offset).toMatchObject({ type: "Parameter", position: 5 });
+    });
+
+    test("should list every placeholder with the column it is compared against", () => {
+      const select = parseSQL(
+        "SELECT * FROM users u WHERE u.id = ? AND ? < age AND status IN (?, ?) " +
+          "AND created BETWEEN $1 AND $2 AND CAST(code AS INT) = ? LIMIT ?"
+      );
+
+      expect(select.parameters.map((p) => [p.position, p.column])).toEqual([
+        [1, "u.id"],
+        [2, "age"],
+        [3, "status"],
+        [4, "status"],
+        [5, "created"],
+        [6, "created"],
+        [7, "code"],
+        [8, null],
+      ]);
+      expect(select.parameters[4]).toMatchObject({ style: "numbered", prefix: "$", number: 1 });
+    });
+
+    test("should parse ? after contextual words where the dialect has the ? operator", () => {
+      const statements = [
+        ["SELECT * FROM t WHERE a LIKE ? ESCAPE ?", 2],
+        ["SELECT * FROM t WHERE a SIMILAR TO ?", 1],
+        ["SELECT * FROM t ORDER BY a FETCH FIRST ? ROWS ONLY", 1],
+        ["UPDATE t SET a = ? RETURNING ?", 2],
+      ];
+
+      ["standard", "postgresql"].forEach((dialect) => {
+        statements.forEach(([sql, count]) => {
+          const result = parseSQL(sql, { dialect, strict: true });
+          expect(result.success).toBe(true);
+          expect(result.parameters).toHaveLength(count);
+          result.parameters.forEach((p) => expect(p.style).toBe("positional"));
+        });
+      });
+
+      expect(parseSQL("SELECT * FROM t WHERE a LIKE ?1 ESCAPE ?2").ast.where.escape).toMatchObject({
+        style: "numbered",
+        number: 2,
+      });
+      // After an operand ? is still the JSON key operator
+      expect(parseSQL("SELECT j ? 'k' FROM t").ast.columns[0].operator).toBe("?");
+    });
+
+    test("should parse SQLite ?NNN placeholders as numbered parameters", () => {
+      const result = parseSQL("SELECT * FROM t WHERE a = ?1 AND b = ?2");
+
+      expect(result.success).toBe(true);
+      expect(result.parameters).toEqual([
+        expect.objectContaining({ style: "numbered", prefix: "?", number: 1, column: "a" }),
+        expect.objectContaining({ style: "numbered", prefix: "?", number: 2, column: "b" }),
+      ]);
+    });
+
+    test("should report the target columns of inserted and assigned parameters", () => {
+      const insert = parseSQL("INSERT INTO t (a, b) VALUES (:a, :b), (?, DEFAULT)");
+      expect(insert.parameters.map((p) => [p.name, p.column])).toEqual([
+        ["a", "a"],
+        ["b", "b"],
+        [null, "a"],
+      ]);
+
+      const update = parseSQL("UPDATE t SET a = @a WHERE id = @id");
+      expect(update.parameters.map((p) => [p.prefix, p.name, p.column])).toEqual([
+        ["@", "a", "a"],
+        ["@", "id", "id"],
+      ]);
+      expect(parseSQL("SELECT FROM").parameters).toEqual([]);
+    });
+  });
+
+  describe("Arrays and JSON Operators", () => {
+    test("should parse array constructors and subscripts", () => {
+      const result = parseSQL(
+        "SELECT ARRAY[1, 2], ARRAY[[1], [2]], tags[1], tags[2:3], tags[:n], m[1][2] FROM t",
+        { dialect: "postgresql" }
+      );
+
+      expect(result.success).toBe(true);
+      const [array, nested, index, slice, open, chained] = result.ast.columns;
+      expect(array.type).toBe("ArrayLiteral");
+      expect(array.elements.map((e) => e.value)).toEqual([1, 2]);
+      expect(nested.elements[1]).toMatchObject({ type: "ArrayLiteral", elements: [{ value: 2 }] });
+      expect(index).toMatchObject({
+        type: "Subscript",
+        expression: { type: "ColumnReference", name: "tags" },
+        lower: { value: 1 },
+        upper: null,
+        slice: false,
+      });
+      expect(slice).toMatchObject({ lower: { value: 2 }, upper: { value: 3 }, slice: true });
+      expect(open).toMatchObject({ lower: null, upper: { name: "n" }, slice: true });
+      expect(chained.expression).toMatchObject({ type: "Subscript", lower: { value: 1 } });
+    });
+
+    test("should bind JSON operators tighter than comparisons and looser than +", () => {
+      const result = parseSQL(
+        "SELECT * FROM t WHERE data->'a'->>'b' = 'x' AND tags @> ARRAY['y'] AND data ? 'k' AND n #>> p || q LIKE 'z'",
+        { dialect: "postgresql" }
+      );
+
+      expect(result.success).toBe(true);
+      const [[equals, contains], hasKey, like] = [
+        [result.ast.where.left.left.left, result.ast.where.left.left.right],
+        result.ast.where.left.right,
+        result.ast.where.right,
+      ];
+      expect(equals.operator).toBe("=");
+      expect(equals.left).toMatchObject({ operator: "->>", left: { operator: "->" } });
+      expect(contains).toMatchObject({ operator: "@>", right: { type: "ArrayLiteral" } });
+      expect(hasKey).toMatchObject({ operator: "?", right: { value: "k" } });
+      expect(like.left).toMatchObject({ operator: "||", left: { operator: "#>>" } });
+    });
+
+    test("should put || on the same left-associative level as the JSON operators", () => {
+      const [arrow, names, sum] = parseSQL(
+        "SELECT j->'a' || 'x', j->>'first' || ' ' || j->>'last', a + b || c FROM t",
+        { dialect: "postgresql" }
+      ).ast.columns;
+
+      expect(arrow).toMatchObject({ operator: "||", left: { operator: "->" }, right: { value: "x" } });
+      // ((((j->>'first') || ' ') || j) ->> 'last')
+      expect(names).toMatchObject({
+        operator: "->>",
+        left: { operator: "||", left: { operator: "||", left: { operator: "->>" } } },
+      });
+      expect(sum).toMatchObject({ operator: "||", left: { operator: "+" } });
+    });
+
+    test("should compare with ANY and ALL of an array", () => {
+      const result = parseSQL(
+        "SELECT * FROM t WHERE id = ANY(ids) AND code <> ALL (ARRAY[1, 2]) AND x > ANY($1)",
+        { dialect: "postgresql" }
+      );
+
+      expect(result.success).toBe(true);
+      const { where } = result.ast;
+      expect(where.left.left).toMatchObject({
+        operator: "= ANY",
+        right: { type: "ColumnReference", name: "ids" },
+      });
+      expect(where.left.right).toMatchObject({ operator: "<> ALL", right: { type: "ArrayLiteral" } });
+      expect(where.right).toMatchObject({ operator: "> ANY", right: { type: "Parameter" } });
+      expect(result.parameters[0].column).toBe("x");
+    });
+
+    test("should reject empty subscripts", () => {
+      expect(parseSQL("SELECT tags[] FROM t").success).toBe(false);
+    });
+  });
+
   describe("Literal Values", () => {
     test("should parse string literals", () => {
       const result = parseSQL("SELECT 'Hello World' FROM dual");
@@ -443,6 +1288,10 @@ describe("Parser", () => {
       );
       expect(tables).toContain("users");
       expect(tables).toContain("orders");
+      expect(extractTables("SELECT * FROM warehouse.sales.orders o, sales.items")).toEqual([
+        "warehouse.sales.orders",
+        "sales.items",
+      ]);
     });
 
     test("extractColumns should return column names", () => {
@@ -455,5 +1304,89 @@ describe("Parser", () => {
       expect(columns).toContain("email");
       expect(columns).toContain("active");
     });
+
+    test("analyzeSQL should report the shared columns of joins", () => {
+      const { analyzeSQL } = require("../src/index.js");
+
+      const { joins } = analyzeSQL(
+        "SELECT * FROM customers c JOIN orders o USING (customer_id) NATURAL JOIN regions"
+      ).analysis;
+      expect(joins[0]).toMatchObject({ table: "orders", using: ["customer_id"], natural: false });
+      expect(joins[1]).toMatchObject({ table: "regions", using: null, natural: true });
+    });
+
+    test("analyzeSQL should report type conversions", () => {
+      const { analyzeSQL } = require("../src/index.js");
+
+      const { fields, conditions } = analyzeSQL(
+        "SELECT CAST(p.price AS DECIMAL(10, 2)) AS price FROM products p " +
+          "WHERE CAST(p.created AS DATE) = '2024-01-01'"
+      ).analysis;
+      expect(fields[0]).toMatchObject({
+        name: "price",
+        table: "p",
+        type: "cast",
+        expression: "CAST(p.price AS DECIMAL(10, 2))",
+      });
+      expect(conditions[0].field).toBe("created");
+    });
+
+    test("analyzeSQL should report RETURNING columns as output fields", () => {
+      const { analyzeSQL } = require("../src/index.js");
+
+      const { fields } = analyzeSQL(
+        "DELETE FROM users WHERE id = 1 RETURNING users.*, id AS deleted_id"
+      ).analysis;
+      expect(fields).toHaveLength(2);
+      expect(fields[0]).toMatchObject({ name: "*", table: "users", type: "wildcard" });
+      expect(fields[1]).toMatchObject({ name: "id", alias: "deleted_id", type: "column" });
+      expect(analyzeSQL("DELETE FROM users").analysis.fields).toEqual([]);
+    });
+
+    test("analyzeSQL should report granted and revoked privileges", () => {
+      const { analyzeSQL } = require("../src/index.js");
+
+      expect(
+        analyzeSQL("GRANT SELECT, UPDATE (email) ON app.users TO analyst, auditor").analysis
+          .privileges.map(({ grantee, privilege, columns, object }) => [grantee, privilege, columns, object])
+      ).toEqual([
+        ["analyst", "SELECT", [], "app.users"],
+        ["analyst", "UPDATE", ["email"], "app.users"],
+        ["auditor", "SELECT", [], "app.users"],
+        ["auditor", "UPDATE", ["email"], "app.users"],
+      ]);
+      expect(analyzeSQL("REVOKE ADMIN OPTION FOR admin FROM alice").analysis.privileges).toEqual([
+        {
+          action: "REVOKE",
+          grantee: "alice",
+          privilege: null,
+          role: "admin",
+          columns: [],
+          objectType: null,
+          object: null,
+          grantOption: true,
+        },
+      ]);
+      expect(analyzeSQL("DELETE FROM users").analysis.privileges).toEqual([]);
+    });
+
+    test("analyzeSQL and extractTables should see through EXPLAIN", () => {
+      const { analyzeSQL, extractTables } = require("../src/index.js");
+
+      const { query, analysis } = analyzeSQL(
+        "EXPLAIN ANALYZE SELECT name FROM users WHERE id = 1"
+      );
+      expect(query.type).toBe("SelectStatement");
+      expect(query.explain).toEqual([{ type: "ExplainOption", name: "ANALYZE", value: null }]);
+      expect(analysis.conditions[0]).toMatchObject({ field: "id", value: 1 });
+      expect(analyzeSQL("SELECT 1").query.explain).toBeUndefined();
+
+      const update = analyzeSQL("EXPLAIN UPDATE t SET a = 1");
+      expect(update.query.type).toBe("UpdateStatement");
+      expect(update.analysis.tables).toEqual([
+        { name: "t", alias: null, schema: null, catalog: null },
+      ]);
+      expect(extractTables("EXPLAIN UPDATE a SET x = 1 FROM b")).toEqual(["a", "b"]);
+    });
   });
 });
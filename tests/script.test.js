@@ -0,0 +1,114 @@
+/**
+ * Script Parsing Tests
+ *
+ * Tests for parsing multi-statement scripts with per-statement results
+ */
+
+import { parseScript, SQLError } from "../src/index.js";
+
+describe("parseScript", () => {
+  test("should parse every statement of a script", () => {
+    const result = parseScript(
+      "SELECT 1; DELETE FROM users WHERE id = 1;\nINSERT INTO logs (msg) VALUES ('done')"
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.statements.map((s) => s.ast.type)).toEqual([
+      "SelectStatement",
+      "DeleteStatement",
+      "InsertStatement",
+    ]);
+    expect(result.statements[1].tables).toEqual(["users"]);
+  });
+
+  test("should report the source range of each statement", () => {
+    const sql = "SELECT a FROM t;\n  UPDATE t SET a = 1 ;";
+    const [first, second] = parseScript(sql).statements;
+
+    expect(first.sql).toBe("SELECT a FROM t");
+    expect(first.range).toEqual({ start: 0, end: 15, line: 1, column: 1 });
+    expect(second.sql).toBe("UPDATE t SET a = 1");
+    expect(second.range).toEqual({ start: 19, end: 37, line: 2, column: 3 });
+    expect(sql.slice(second.range.start, second.range.end)).toBe(second.sql);
+  });
+
+  test("should skip empty statements and comments", () => {
+    const result = parseScript("-- seed data\n;;SELECT 1;\n/* done */;");
+
+    expect(result.statements).toHaveLength(1);
+    expect(result.statements[0].sql).toBe("SELECT 1");
+    expect(parseScript("").statements).toEqual([]);
+  });
+
+  test("should not split on semicolons inside strings or comments", () => {
+    const result = parseScript("SELECT 'a;b' FROM t -- x;y\n; SELECT 2");
+
+    expect(result.statements).toHaveLength(2);
+    expect(result.statements[0].ast.columns[0].value).toBe("a;b");
+  });
+
+  test("should report syntax errors per statement and keep parsing", () => {
+    const result = parseScript("SELECT 1; SELECT FROM; SELECT a b c; SELECT 4");
+
+    expect(result.success).toBe(false);
+    expect(result.statements.map((s) => s.success)).toEqual([true, false, false, true]);
+    expect(result.statements[1].ast).toBeNull();
+    expect(result.statements[1].sql).toBe("SELECT FROM");
+    expect(result.statements[2].errors[0].code).toBe("UNEXPECTED_TOKEN");
+    expect(result.statements[3].ast.columns[0].value).toBe(4);
+    expect(result.errors).toHaveLength(2);
+  });
+
+  test("should report lexical errors per statement and keep parsing", () => {
+    const result = parseScript("SELECT {x FROM t;\nSELECT 2");
+
+    expect(result.statements).toHaveLength(2);
+    expect(result.statements[0].sql).toBe("SELECT {x FROM t");
+    expect(result.statements[0].errors[0]).toMatchObject({
+      code: "LEXICAL_ERROR",
+      line: 1,
+      column: 8,
+    });
+    expect(result.statements[1].success).toBe(true);
+  });
+
+  test("should classify transaction and session statements of a migration", () => {
+    const result = parseScript(
+      "BEGIN;\nSET search_path = app, public;\nALTER TABLE users ADD COLUMN age INT;\n" +
+        "SAVEPOINT before_backfill;\nUPDATE users SET age = 0;\nCOMMIT;",
+      { dialect: "postgresql" }
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.statements.map((s) => s.ast.action || s.ast.type)).toEqual([
+      "BEGIN",
+      "SetStatement",
+      "AlterTableStatement",
+      "SAVEPOINT",
+      "UpdateStatement",
+      "COMMIT",
+    ]);
+  });
+
+  test("should number bind parameters per statement", () => {
+    const result = parseScript("SELECT ? FROM t WHERE a = ?; DELETE FROM t WHERE id = ?");
+
+    expect(result.statements.map((s) => s.parameters.map((p) => p.position))).toEqual([
+      [1, 2],
+      [1],
+    ]);
+    expect(result.statements[1].parameters[0].column).toBe("id");
+  });
+
+  test("should honour parsing options", () => {
+    const result = parseScript("SELECT [a] FROM t; SELECT `b` FROM t", { dialect: "tsql" });
+
+    expect(result.statements[0].success).toBe(true);
+    expect(result.statements[1].errors[0].code).toBe("LEXICAL_ERROR");
+  });
+
+  test("should throw SQLError for non-string input", () => {
+    expect(() => parseScript(null)).toThrow(SQLError);
+  });
+});
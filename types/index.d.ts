@@ -13,6 +13,7 @@ export type TokenType =
     | 'BOOLEAN'
     | 'NULL'
     | 'OPERATOR'
+    | 'PARAMETER'
     | 'PUNCTUATION'
     | 'COMMENT'
     | 'WHITESPACE'
@@ -35,15 +36,52 @@ export interface Token {
 // AST Node Types
 export type ASTNodeType = 
     | 'SelectStatement'
+    | 'SetOperation'
+    | 'ParenthesizedQuery'
     | 'InsertStatement'
+    | 'OnConflictClause'
+    | 'ReturningClause'
     | 'UpdateStatement'
     | 'DeleteStatement'
+    | 'MergeStatement'
+    | 'MergeWhenClause'
+    | 'CreateTableStatement'
+    | 'AlterTableStatement'
+    | 'AlterTableAction'
+    | 'CreateIndexStatement'
+    | 'CreateViewStatement'
+    | 'DropStatement'
+    | 'TruncateStatement'
+    | 'TransactionStatement'
+    | 'SetStatement'
+    | 'SetVariable'
+    | 'UseStatement'
+    | 'ShowStatement'
+    | 'GrantStatement'
+    | 'RevokeStatement'
+    | 'Privilege'
+    | 'ExplainStatement'
+    | 'ExplainOption'
+    | 'ColumnDefinition'
+    | 'ConstraintDefinition'
+    | 'ReferenceDefinition'
+    | 'DataType'
+    | 'Cast'
+    | 'Parameter'
+    | 'ArrayLiteral'
+    | 'Subscript'
     | 'BinaryExpression'
     | 'UnaryExpression'
     | 'FunctionCall'
+    | 'WindowFunction'
+    | 'OverClause'
+    | 'WindowDefinition'
     | 'CaseExpression'
     | 'WhenClause'
     | 'Identifier'
+    | 'TableReference'
+    | 'ColumnReference'
+    | 'Wildcard'
     | 'Literal'
     | 'FromClause'
     | 'WhereClause'
@@ -51,7 +89,8 @@ export type ASTNodeType =
     | 'GroupByClause'
     | 'HavingClause'
     | 'OrderByClause'
-    | 'LimitClause';
+    | 'LimitClause'
+    | 'LockingClause';
 
 // Base AST Node
 export interface ASTNode {
@@ -68,8 +107,28 @@ export interface SelectStatement extends ASTNode {
     where?: WhereClause;
     groupBy?: GroupByClause;
     having?: HavingClause;
+    window: WindowDefinition[] | null;
     orderBy?: OrderByClause;
     limit?: LimitClause;
+    locking: LockingClause[] | null;
+}
+
+export interface SetOperation extends ASTNode {
+    type: 'SetOperation';
+    operator: 'UNION' | 'INTERSECT' | 'EXCEPT';
+    all: boolean;
+    distinct: boolean;
+    left: SelectStatement | SetOperation | ParenthesizedQuery;
+    right: SelectStatement | SetOperation | ParenthesizedQuery;
+    orderBy?: OrderByClause;
+    limit?: LimitClause;
+}
+
+export interface ParenthesizedQuery extends ASTNode {
+    type: 'ParenthesizedQuery';
+    query: SelectStatement | SetOperation | ParenthesizedQuery;
+    orderBy: OrderByClause | null;
+    limit: LimitClause | null;
 }
 
 export interface InsertStatement extends ASTNode {
@@ -77,22 +136,310 @@ export interface InsertStatement extends ASTNode {
     table: Identifier;
     columns: string[];
     values: Literal[][];
+    query: SelectStatement | SetOperation | ParenthesizedQuery | null;
+    defaultValues: boolean;
+    onConflict: OnConflictClause | null;
+    onDuplicateKeyUpdate: UpdateStatement['set'] | null;
+    returning: ReturningClause | null;
+}
+
+export interface OnConflictClause extends ASTNode {
+    type: 'OnConflictClause';
+    columns: string[];
+    targetWhere: ASTNode | null;
+    constraint: string | null;
+    action: 'NOTHING' | 'UPDATE';
+    set: UpdateStatement['set'];
+    where: ASTNode | null;
 }
 
 export interface UpdateStatement extends ASTNode {
     type: 'UpdateStatement';
     table: Identifier;
+    joins: JoinClause[];
     set: Array<{
         column: string;
+        table: string | null;
         value: Literal | BinaryExpression;
     }>;
+    from: FromClause | null;
     where?: WhereClause;
+    orderBy: OrderByClause | null;
+    limit: LimitClause | null;
+    returning: ReturningClause | null;
 }
 
 export interface DeleteStatement extends ASTNode {
     type: 'DeleteStatement';
+    targets: string[];
     from: Identifier;
+    joins: JoinClause[];
+    using: FromClause | null;
     where?: WhereClause;
+    orderBy: OrderByClause | null;
+    limit: LimitClause | null;
+    returning: ReturningClause | null;
+}
+
+export interface MergeStatement extends ASTNode {
+    type: 'MergeStatement';
+    target: ASTNode;
+    source: ASTNode;
+    on: ASTNode;
+    whenClauses: MergeWhenClause[];
+}
+
+export interface MergeWhenClause extends ASTNode {
+    type: 'MergeWhenClause';
+    matched: boolean;
+    by: 'TARGET' | 'SOURCE' | null;
+    condition: ASTNode | null;
+    action: 'UPDATE' | 'DELETE' | 'INSERT' | 'NOTHING';
+    set: UpdateStatement['set'];
+    columns: string[];
+    values: ASTNode | null;
+}
+
+export interface ReturningClause extends ASTNode {
+    type: 'ReturningClause';
+    syntax: 'RETURNING' | 'OUTPUT';
+    columns: ASTNode[];
+}
+
+export interface CreateTableStatement extends ASTNode {
+    type: 'CreateTableStatement';
+    table: ASTNode;
+    temporary: boolean;
+    ifNotExists: boolean;
+    columns: ColumnDefinition[];
+    constraints: ConstraintDefinition[];
+    query: ASTNode | null;
+}
+
+export interface AlterTableStatement extends ASTNode {
+    type: 'AlterTableStatement';
+    table: ASTNode;
+    ifExists: boolean;
+    actions: AlterTableAction[];
+}
+
+export interface AlterTableAction extends ASTNode {
+    type: 'AlterTableAction';
+    action:
+        | 'ADD COLUMN'
+        | 'DROP COLUMN'
+        | 'RENAME COLUMN'
+        | 'RENAME TABLE'
+        | 'ALTER COLUMN'
+        | 'MODIFY COLUMN'
+        | 'ADD CONSTRAINT'
+        | 'DROP CONSTRAINT';
+    name: string | null;
+    newName: string | null;
+    definition: ColumnDefinition | ConstraintDefinition | null;
+    operation: 'TYPE' | 'SET DEFAULT' | 'DROP DEFAULT' | 'SET NOT NULL' | 'DROP NOT NULL' | null;
+    dataType: DataType | null;
+    defaultValue: ASTNode | null;
+    ifExists: boolean;
+    ifNotExists: boolean;
+    behavior: 'CASCADE' | 'RESTRICT' | null;
+}
+
+export interface CreateIndexStatement extends ASTNode {
+    type: 'CreateIndexStatement';
+    name: string;
+    unique: boolean;
+    ifNotExists: boolean;
+    table: ASTNode;
+    method: string | null;
+    columns: ASTNode[];
+    where: ASTNode | null;
+}
+
+export interface CreateViewStatement extends ASTNode {
+    type: 'CreateViewStatement';
+    name: ASTNode;
+    orReplace: boolean;
+    temporary: boolean;
+    ifNotExists: boolean;
+    columns: string[];
+    query: ASTNode;
+}
+
+export interface DropStatement extends ASTNode {
+    type: 'DropStatement';
+    objectType: 'TABLE' | 'VIEW' | 'INDEX' | 'DATABASE' | 'SCHEMA';
+    ifExists: boolean;
+    names: ASTNode[];
+    table: ASTNode | null;
+    behavior: 'CASCADE' | 'RESTRICT' | null;
+}
+
+export interface TruncateStatement extends ASTNode {
+    type: 'TruncateStatement';
+    tables: ASTNode[];
+    identity: 'RESTART IDENTITY' | 'CONTINUE IDENTITY' | null;
+    behavior: 'CASCADE' | 'RESTRICT' | null;
+}
+
+export interface TransactionStatement extends ASTNode {
+    type: 'TransactionStatement';
+    action: 'BEGIN' | 'START TRANSACTION' | 'COMMIT' | 'ROLLBACK' | 'SAVEPOINT' | 'RELEASE' | 'SET TRANSACTION';
+    keyword: 'TRANSACTION' | 'WORK' | 'TRAN' | null;
+    behavior: 'DEFERRED' | 'IMMEDIATE' | 'EXCLUSIVE' | null;
+    modes: string[];
+    savepoint: string | null;
+    scope: 'SESSION' | 'GLOBAL' | null;
+}
+
+export interface SetStatement extends ASTNode {
+    type: 'SetStatement';
+    variables: SetVariable[];
+}
+
+export interface SetVariable extends ASTNode {
+    type: 'SetVariable';
+    name: Identifier | Parameter;
+    scope: 'SESSION' | 'LOCAL' | 'GLOBAL' | null;
+    operator: '=' | 'TO' | null;
+    values: ASTNode[];
+}
+
+export interface UseStatement extends ASTNode {
+    type: 'UseStatement';
+    database: string;
+}
+
+export interface ShowStatement extends ASTNode {
+    type: 'ShowStatement';
+    subject: string;
+    target: TableReference | null;
+    like: string | null;
+    where: ASTNode | null;
+}
+
+export type GrantObjectType =
+    | 'TABLE'
+    | 'SEQUENCE'
+    | 'SCHEMA'
+    | 'DATABASE'
+    | 'ALL TABLES IN SCHEMA'
+    | 'ALL SEQUENCES IN SCHEMA'
+    | 'ALL FUNCTIONS IN SCHEMA';
+
+export interface GrantStatement extends ASTNode {
+    type: 'GrantStatement';
+    privileges: Privilege[];
+    roles: string[];
+    objectType: GrantObjectType | null;
+    objects: (TableReference | Identifier)[];
+    grantees: string[];
+    grantOption: boolean;
+}
+
+export interface RevokeStatement extends ASTNode {
+    type: 'RevokeStatement';
+    privileges: Privilege[];
+    roles: string[];
+    objectType: GrantObjectType | null;
+    objects: (TableReference | Identifier)[];
+    grantees: string[];
+    grantOption: boolean;
+    behavior: 'CASCADE' | 'RESTRICT' | null;
+}
+
+export interface Privilege extends ASTNode {
+    type: 'Privilege';
+    name: string;
+    columns: string[];
+}
+
+export interface ExplainStatement extends ASTNode {
+    type: 'ExplainStatement';
+    statement: ASTNode;
+    options: ExplainOption[];
+    parenthesized: boolean;
+}
+
+export interface ExplainOption extends ASTNode {
+    type: 'ExplainOption';
+    name: string;
+    value: string | null;
+}
+
+export interface ColumnDefinition extends ASTNode {
+    type: 'ColumnDefinition';
+    name: string;
+    dataType: DataType;
+    nullable: boolean | null;
+    defaultValue: ASTNode | null;
+    autoIncrement: boolean;
+    constraints: ConstraintDefinition[];
+}
+
+export interface ConstraintDefinition extends ASTNode {
+    type: 'ConstraintDefinition';
+    constraintType: 'PRIMARY KEY' | 'UNIQUE' | 'FOREIGN KEY' | 'CHECK';
+    name: string | null;
+    columns: string[];
+    expression: ASTNode | null;
+    references: ReferenceDefinition | null;
+}
+
+export interface ReferenceDefinition extends ASTNode {
+    type: 'ReferenceDefinition';
+    table: ASTNode;
+    columns: string[];
+    onDelete: string | null;
+    onUpdate: string | null;
+}
+
+export interface DataType extends ASTNode {
+    type: 'DataType';
+    name: string;
+    parameters: ASTNode[];
+    modifiers: string[];
+    arrayDimensions: (ASTNode | null)[];
+}
+
+export interface Cast extends ASTNode {
+    type: 'Cast';
+    syntax: 'CAST' | 'TRY_CAST' | 'CONVERT' | '::';
+    expression: ASTNode;
+    dataType: DataType;
+    style: ASTNode | null;
+}
+
+export interface Parameter extends ASTNode {
+    type: 'Parameter';
+    style: 'positional' | 'numbered' | 'named';
+    prefix: '?' | '$' | ':' | '@';
+    name: string | null;
+    number: number | null;
+    position: number;
+}
+
+// Bind parameter entry in parse results
+export interface ParameterInfo {
+    position: number;
+    style: Parameter['style'];
+    prefix: Parameter['prefix'];
+    name: string | null;
+    number: number | null;
+    column: string | null;
+}
+
+export interface ArrayLiteral extends ASTNode {
+    type: 'ArrayLiteral';
+    elements: ASTNode[];
+}
+
+export interface Subscript extends ASTNode {
+    type: 'Subscript';
+    expression: ASTNode;
+    lower: ASTNode | null;
+    upper: ASTNode | null;
+    slice: boolean;
 }
 
 // Expression Nodes
@@ -113,6 +460,45 @@ export interface FunctionCall extends ASTNode {
     type: 'FunctionCall';
     name: string;
     arguments: ASTNode[];
+    distinct?: boolean;
+    withinGroup?: OrderByClause;
+    filter?: ASTNode;
+    nullTreatment?: 'IGNORE NULLS' | 'RESPECT NULLS';
+}
+
+export interface WindowFunction extends ASTNode {
+    type: 'WindowFunction';
+    function: FunctionCall;
+    over: OverClause;
+}
+
+export interface OverClause extends ASTNode {
+    type: 'OverClause';
+    name: string | null;
+    partitionBy: ASTNode[] | null;
+    orderBy: ASTNode[] | null;
+    frame: WindowFrame | null;
+    parenthesized: boolean;
+}
+
+export interface WindowFrame {
+    type: 'ROWS' | 'RANGE' | 'GROUPS';
+    start: FrameBound;
+    end: FrameBound | null;
+    exclude: 'CURRENT ROW' | 'GROUP' | 'TIES' | 'NO OTHERS' | null;
+}
+
+export interface FrameBound {
+    type: 'UNBOUNDED' | 'CURRENT_ROW' | 'OFFSET' | 'INTERVAL';
+    direction?: 'PRECEDING' | 'FOLLOWING';
+    value?: ASTNode;
+    unit?: string;
+}
+
+export interface WindowDefinition extends ASTNode {
+    type: 'WindowDefinition';
+    name: string;
+    specification: OverClause;
 }
 
 export interface CaseExpression extends ASTNode {
@@ -136,10 +522,35 @@ export interface Identifier extends ASTNode {
     alias?: string;
 }
 
+export interface TableReference extends ASTNode {
+    type: 'TableReference';
+    name: string;
+    alias: string | null;
+    schema: string | null;
+    catalog: string | null;
+}
+
+export interface ColumnReference extends ASTNode {
+    type: 'ColumnReference';
+    name: string;
+    table: string | null;
+    schema: string | null;
+    catalog: string | null;
+    alias: string | null;
+}
+
+export interface Wildcard extends ASTNode {
+    type: 'Wildcard';
+    name: '*';
+    table: string | null;
+    schema: string | null;
+    catalog: string | null;
+}
+
 export interface Literal extends ASTNode {
     type: 'Literal';
     value: any;
-    dataType: 'string' | 'number' | 'boolean' | 'null';
+    dataType: 'string' | 'number' | 'boolean' | 'null' | 'keyword';
 }
 
 // Clause Nodes
@@ -158,6 +569,8 @@ export interface JoinClause extends ASTNode {
     joinType: 'INNER' | 'LEFT' | 'RIGHT' | 'FULL' | 'CROSS';
     table: Identifier;
     condition?: BinaryExpression;
+    using: string[] | null;
+    natural: boolean;
 }
 
 export interface GroupByClause extends ASTNode {
@@ -180,8 +593,19 @@ export interface OrderByClause extends ASTNode {
 
 export interface LimitClause extends ASTNode {
     type: 'LimitClause';
-    count: Literal;
-    offset?: Literal;
+    count: ASTNode | null;
+    offset: ASTNode | null;
+    syntax: 'LIMIT' | 'LIMIT_COMMA' | 'OFFSET' | 'FETCH' | 'TOP';
+    percent: boolean;
+    withTies: boolean;
+}
+
+export interface LockingClause extends ASTNode {
+    type: 'LockingClause';
+    strength: 'UPDATE' | 'NO KEY UPDATE' | 'SHARE' | 'KEY SHARE';
+    tables: string[];
+    wait: 'NOWAIT' | 'SKIP LOCKED' | null;
+    syntax: 'FOR' | 'LOCK IN SHARE MODE';
 }
 
 // Error Types
@@ -204,28 +628,113 @@ export interface SQLErrorConstructor {
 export interface ParseResult {
     success: boolean;
     ast?: ASTNode;
+    tables: string[];
+    columns: string[];
+    parameters: ParameterInfo[];
     errors: SQLError[];
     tokens?: Token[];
 }
 
+// Script Parse Result
+export interface ScriptStatementResult {
+    success: boolean;
+    ast: ASTNode | null;
+    sql: string;
+    range: { start: number; end: number; line: number; column: number };
+    tables: string[];
+    columns: string[];
+    parameters: ParameterInfo[];
+    errors: SQLError[];
+}
+
+export interface ScriptParseResult {
+    success: boolean;
+    statements: ScriptStatementResult[];
+    errors: SQLError[];
+}
+
 // Validation Result
 export interface ValidationResult {
     valid: boolean;
     errors: SQLError[];
 }
 
+// Dialects
+export type DialectName = 'standard' | 'mysql' | 'postgresql' | 'sqlite' | 'tsql';
+
+export interface DialectDefinition {
+    extends?: string;
+    keywords?: Record<string, string | null>;
+    nonReserved?: string[];
+    identifierQuotes?: Array<[string, string]>;
+    stringQuotes?: string[];
+    escapes?: { backslash?: boolean; doubledQuote?: boolean };
+    lineComments?: string[];
+    blockComments?: boolean;
+    operators?: Record<string, string | null>;
+    features?: DialectFeatures;
+}
+
+export interface DialectFeatures {
+    insertWithoutInto?: boolean;
+    onConflict?: boolean;
+    onDuplicateKeyUpdate?: boolean;
+    returning?: boolean;
+    output?: boolean;
+    dmlLimit?: boolean;
+    convert?: boolean;
+    top?: boolean;
+}
+
+export declare class Dialect {
+    constructor(name: string, definition?: DialectDefinition);
+    name: string;
+    keywords: Record<string, string>;
+    nonReserved: Set<string>;
+    identifierQuotes: Array<[string, string]>;
+    stringQuotes: string[];
+    escapes: { backslash: boolean; doubledQuote: boolean };
+    lineComments: string[];
+    blockComments: boolean;
+    operators: Record<string, string>;
+    features: Required<DialectFeatures>;
+    supports(feature: keyof DialectFeatures): boolean;
+    keywordType(word: string): string | null;
+    isKeyword(word: string): boolean;
+    isNonReserved(word: string): boolean;
+    quoteIdentifier(name: string): string;
+    quoteString(value: string): string;
+}
+
 // Lexer Options
 export interface LexerOptions {
     includeComments?: boolean;
     includeWhitespace?: boolean;
     caseSensitive?: boolean;
+    dialect?: DialectName | string | Dialect;
+    recoverFromErrors?: boolean;
 }
 
 // Parser Options
 export interface ParserOptions {
     allowPartialParsing?: boolean;
     maxErrors?: number;
-    dialect?: 'standard' | 'mysql' | 'postgresql' | 'sqlite';
+    dialect?: DialectName | string | Dialect;
+}
+
+// Generator Options
+export interface GeneratorOptions {
+    keywordCase?: 'preserve' | 'upper' | 'lower';
+    dialect?: DialectName | string | Dialect;
+}
+
+// Format Options
+export interface FormatOptions extends ParserOptions {
+    indent?: number | string;
+    keywordCase?: 'upper' | 'lower' | 'preserve';
+    commaPosition?: 'trailing' | 'leading';
+    maxLineWidth?: number;
+    alignAliases?: boolean;
 }
 
 // Main Classes
@@ -239,13 +748,29 @@ export declare class Parser {
     parse(): ASTNode;
 }
 
+export declare class SQLGenerator {
+    constructor(options?: GeneratorOptions);
+    generate(node: ASTNode): string;
+}
+
+export declare class SQLFormatter extends SQLGenerator {
+    constructor(options?: FormatOptions);
+    format(ast: ASTNode): string;
+}
+
 export declare const SQLError: SQLErrorConstructor;
 
 // Main API Functions
 export declare function parseSQL(sql: string, options?: ParserOptions): ParseResult;
+export declare function parseScript(sql: string, options?: ParserOptions): ScriptParseResult;
 export declare function validateSQL(sql: string, options?: ParserOptions): ValidationResult;
 export declare function extractTables(sql: string): string[];
 export declare function extractColumns(sql: string): string[];
+export declare function generateSQL(ast: ASTNode, options?: GeneratorOptions): string;
+export declare function formatSQL(sql: string, options?: FormatOptions): string;
+export declare function registerDialect(name: string, definition?: DialectDefinition): Dialect;
+export declare function getDialect(dialect?: DialectName | string | Dialect): Dialect;
+export declare function listDialects(): string[];
 
 // Utility Functions
 export declare function createSelectNode(options: Partial<SelectStatement>): SelectStatement;
@@ -267,6 +792,7 @@ export declare const TokenType: {
     readonly BOOLEAN: 'BOOLEAN';
     readonly NULL: 'NULL';
     readonly OPERATOR: 'OPERATOR';
+    readonly PARAMETER: 'PARAMETER';
     readonly PUNCTUATION: 'PUNCTUATION';
     readonly COMMENT: 'COMMENT';
     readonly WHITESPACE: 'WHITESPACE';
@@ -278,12 +804,21 @@ export declare const KEYWORDS: Record<string, string>;
 // Default export
 declare const SQLParser: {
     parseSQL: typeof parseSQL;
+    parseScript: typeof parseScript;
     validateSQL: typeof validateSQL;
     extractTables: typeof extractTables;
     extractColumns: typeof extractColumns;
+    generateSQL: typeof generateSQL;
+    formatSQL: typeof formatSQL;
+    registerDialect: typeof registerDialect;
+    getDialect: typeof getDialect;
+    listDialects: typeof listDialects;
     Lexer: typeof Lexer;
     Parser: typeof Parser;
     SQLError: typeof SQLError;
+    SQLGenerator: typeof SQLGenerator;
+    SQLFormatter: typeof SQLFormatter;
+    Dialect: typeof Dialect;
     TokenType: typeof TokenType;
     KEYWORDS: typeof KEYWORDS;
 };